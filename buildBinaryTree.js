@@ -0,0 +1,133 @@
+import mongoose from 'mongoose';
+import User from './src/models/User.js';
+import Referral from './src/models/Referral.js';
+import TreeNode from './src/models/TreeNode.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Builds the binary genealogy tree from existing Referral documents. Users are placed
+// in registration order, each in its sponsor's recorded leg with the same outermost-slot
+// spillover that registration uses. Users without a sponsor become roots.
+// Usage: node buildBinaryTree.js [--dry-run] [--rebuild]
+//   --rebuild  delete an existing tree first (otherwise the script refuses to run)
+const dryRun = process.argv.includes('--dry-run');
+const rebuild = process.argv.includes('--rebuild');
+
+const BATCH_SIZE = 1000;
+
+const buildBinaryTree = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log(`MongoDB Connected${dryRun ? ' (dry run)' : ''}`);
+
+    const existing = await TreeNode.countDocuments();
+    if (existing > 0 && !rebuild) {
+      console.error(`❌ The tree already has ${existing} nodes. Re-run with --rebuild to replace it.`);
+      process.exit(1);
+    }
+
+    const [users, referrals] = await Promise.all([
+      User.find({}).select('_id createdAt registrationDepositVerified').sort({ createdAt: 1, _id: 1 }).lean(),
+      Referral.find({}).lean(),
+    ]);
+
+    const referralByUser = new Map(referrals.map(r => [r.referred.toString(), r]));
+    const nodes = new Map();
+    const report = [];
+
+    const root = (user) => ({
+      user: user._id,
+      sponsor: null,
+      parent: null,
+      position: null,
+      depth: 0,
+      ancestors: [],
+      left: null,
+      right: null,
+      leftExtreme: user._id,
+      rightExtreme: user._id,
+      leftCount: 0,
+      rightCount: 0,
+      leftActiveCount: 0,
+      rightActiveCount: 0,
+      isActive: false,
+    });
+
+    for (const user of users) {
+      const id = user._id.toString();
+      const referral = referralByUser.get(id);
+      const sponsorNode = referral && nodes.get(referral.referrer.toString());
+
+      if (referral && !sponsorNode) {
+        report.push({ user: id, sponsor: referral.referrer.toString(), reason: 'sponsor not found, placed as root' });
+      }
+
+      let node;
+      if (!sponsorNode) {
+        node = root(user);
+        node.isActive = Boolean(user.registrationDepositVerified);
+      } else {
+        const side = referral.side || 'left';
+        const extremeField = `${side}Extreme`;
+        const parent = nodes.get(sponsorNode[extremeField].toString());
+
+        node = {
+          ...root(user),
+          sponsor: referral.referrer,
+          parent: parent.user,
+          position: side,
+          depth: parent.depth + 1,
+          ancestors: [...parent.ancestors, { user: parent.user, side }],
+          isActive: Boolean(referral.isActive),
+        };
+        parent[side] = user._id;
+
+        // The parent and the nodes above it on the same outer edge now end at this node
+        let edge = parent;
+        edge[extremeField] = user._id;
+        while (edge.position === side) {
+          edge = nodes.get(edge.parent.toString());
+          edge[extremeField] = user._id;
+        }
+
+        for (const ancestor of node.ancestors) {
+          const ancestorNode = nodes.get(ancestor.user.toString());
+          ancestorNode[`${ancestor.side}Count`]++;
+          if (node.isActive) ancestorNode[`${ancestor.side}ActiveCount`]++;
+        }
+      }
+
+      nodes.set(id, node);
+    }
+
+    const all = [...nodes.values()];
+    const maxDepth = all.reduce((max, node) => Math.max(max, node.depth), 0);
+    console.log(`${all.length} nodes built, ${all.filter(n => n.depth === 0).length} roots, max depth ${maxDepth}`);
+
+    if (!dryRun) {
+      if (existing > 0) {
+        await TreeNode.deleteMany({});
+        console.log(`Deleted ${existing} existing nodes`);
+      }
+      for (let i = 0; i < all.length; i += BATCH_SIZE) {
+        await TreeNode.insertMany(all.slice(i, i + BATCH_SIZE), { ordered: false });
+      }
+      console.log(`${all.length} nodes written`);
+    }
+
+    if (report.length > 0) {
+      console.log(`\n⚠️  ${report.length} users could not be placed under their sponsor:`);
+      console.table(report);
+    } else {
+      console.log('✅ Done');
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error:', error);
+    process.exit(1);
+  }
+};
+
+buildBinaryTree();
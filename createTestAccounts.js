@@ -3,6 +3,7 @@ import User from './src/models/User.js';
 import Deposit from './src/models/Deposit.js';
 import Transaction from './src/models/Transaction.js';
 import Referral from './src/models/Referral.js';
+import { placeInTree } from './src/utils/binaryTree.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -56,6 +57,10 @@ async function createTestAccounts() {
 
       console.log(`  ➜ Created referral on ${side} side`);
 
+      // Place in the referrer's leg of the binary tree
+      const node = await placeInTree({ userId: user._id, sponsorId: referrer._id, side });
+      console.log(`  ➜ Placed in tree at depth ${node.depth}`);
+
       // Create registration deposit
       const dummyTxHash = `0x${Math.random().toString(16).substr(2, 64)}`;
       const depositAmount = 90; // 90 USD registration deposit
@@ -81,6 +86,8 @@ async function createTestAccounts() {
         walletAddress: '0x1ab174ddf2fb97bd3cf3362a98b103a6f3852a67',
         status: 'pending',
         description: 'Registration deposit',
+        sourceType: 'deposit',
+        sourceId: deposit._id,
       });
 
       console.log(`  ➜ Created transaction record`);
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+import User from './src/models/User.js';
+import { ACCOUNTS, deriveUserBalance, postTransfer, userAccount } from './src/utils/ledger.js';
+import * as money from './src/utils/money.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Posts an opening-balance entry for every user whose stored balance is not yet
+// explained by the journal, so User.balance can be derived from entries alone.
+// Safe to re-run: users already in sync are skipped.
+const migrateLedgerOpeningBalances = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('MongoDB Connected');
+
+    let posted = 0;
+    let inSync = 0;
+
+    const cursor = User.find({}).select('_id username balance').cursor();
+    for await (const user of cursor) {
+      const derived = await deriveUserBalance(user._id);
+      const difference = money.sub(user.balance, derived);
+
+      if (money.isZero(difference)) {
+        inSync++;
+        continue;
+      }
+
+      // The stored balance already includes this amount, so only the journal is written
+      await postTransfer({
+        type: 'opening_balance',
+        debit: money.isPositive(difference) ? ACCOUNTS.OPENING_BALANCES : userAccount(user._id),
+        credit: money.isPositive(difference) ? userAccount(user._id) : ACCOUNTS.OPENING_BALANCES,
+        amount: money.abs(difference),
+        applyToBalance: false,
+        description: 'Opening balance carried over from pre-ledger history',
+      });
+
+      posted++;
+      console.log(`Posted opening balance of ${money.format(difference, 6)} for ${user.username}`);
+    }
+
+    console.log(`✅ Done. ${posted} opening entries posted, ${inSync} users already in sync`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error:', error);
+    process.exit(1);
+  }
+};
+
+migrateLedgerOpeningBalances();
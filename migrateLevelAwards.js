@@ -0,0 +1,96 @@
+import mongoose from 'mongoose';
+import User from './src/models/User.js';
+import Transaction from './src/models/Transaction.js';
+import LevelAward from './src/models/LevelAward.js';
+import * as money from './src/utils/money.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Creates LevelAward documents for levels claimed before awards were recorded, so the
+// unique (user, level) index also protects them. Each award is linked to the user's
+// matching level_reward transaction when one is found. Safe to re-run.
+// Usage: node migrateLevelAwards.js [--dry-run]
+const dryRun = process.argv.includes('--dry-run');
+
+const LEVEL_DESCRIPTION = /^Level (\d+) achievement reward/;
+
+const migrateLevelAwards = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log(`MongoDB Connected${dryRun ? ' (dry run)' : ''}`);
+
+    let created = 0;
+    const report = [];
+
+    // Raw documents: older versions also kept award details in `levelAwards` on the user
+    const cursor = User.collection.find(
+      { achievedLevels: { $exists: true, $ne: [] } },
+      { projection: { username: 1, achievedLevels: 1, levelAwards: 1 } }
+    );
+
+    for await (const user of cursor) {
+      const [awards, transactions] = await Promise.all([
+        LevelAward.find({ user: user._id }).select('level').lean(),
+        Transaction.find({ user: user._id, type: 'level_reward' }).sort({ createdAt: 1 }).lean(),
+      ]);
+      const awarded = new Set(awards.map(a => a.level));
+
+      const transactionsByLevel = new Map();
+      for (const transaction of transactions) {
+        const match = LEVEL_DESCRIPTION.exec(transaction.description);
+        if (match && !transactionsByLevel.has(Number(match[1]))) {
+          transactionsByLevel.set(Number(match[1]), transaction);
+        }
+      }
+      const details = new Map((user.levelAwards || []).map(a => [a.level, a]));
+
+      for (const level of new Set(user.achievedLevels)) {
+        if (awarded.has(level)) continue;
+
+        const transaction = transactionsByLevel.get(level);
+        const detail = details.get(level);
+        report.push({
+          user: user._id.toString(),
+          username: user.username,
+          level,
+          reward: money.toFixedString(transaction?.amount ?? detail?.reward ?? 0),
+          transaction: transaction ? transaction._id.toString() : 'not found',
+        });
+
+        if (!dryRun) {
+          await LevelAward.updateOne(
+            { user: user._id, level },
+            {
+              $setOnInsert: {
+                plan: detail?.plan || null,
+                planVersion: detail?.planVersion ?? 0,
+                reward: transaction?.amount ?? detail?.reward ?? 0,
+                nonCashReward: detail?.nonCashReward || '',
+                leftCount: detail?.leftCount,
+                rightCount: detail?.rightCount,
+                transaction: transaction?._id,
+                backfilled: true,
+                createdAt: detail?.awardedAt || transaction?.createdAt || new Date(),
+              },
+            },
+            { upsert: true, timestamps: false }
+          );
+        }
+        created++;
+      }
+    }
+
+    if (report.length > 0) {
+      console.table(report);
+    }
+    console.log(`${dryRun ? 'Would create' : 'Created'} ${created} level awards`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error:', error);
+    process.exit(1);
+  }
+};
+
+migrateLevelAwards();
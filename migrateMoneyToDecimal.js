@@ -0,0 +1,120 @@
+import mongoose from 'mongoose';
+import * as money from './src/utils/money.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Converts every stored amount from a JavaScript Number to Decimal128.
+// Each value is read through its shortest round-trip representation (the same digits
+// the API used to return), so 0.6373 becomes exactly 0.6373 rather than its binary
+// approximation. Values carrying float drift beyond MONEY_DECIMALS places are rounded
+// and listed so they can be reviewed. Safe to re-run: converted values are skipped.
+// Usage: node migrateMoneyToDecimal.js [--dry-run]
+const dryRun = process.argv.includes('--dry-run');
+
+const MONEY_FIELDS = {
+  users: ['balance', 'totalDeposits', 'totalWithdrawals', 'referralEarnings', 'registrationDepositAmount'],
+  deposits: ['amount'],
+  withdrawals: ['amount'],
+  transactions: ['amount'],
+  referrals: ['commission'],
+};
+
+const NUMBER_TYPES = ['double', 'int', 'long'];
+
+const convert = (value, context, rounded) => {
+  const decimal = money.toDecimal(value);
+  if (Number(decimal.toString()) !== value) {
+    rounded.push({ ...context, from: String(value), to: decimal.toString() });
+  }
+  return decimal;
+};
+
+const migrateCollection = async (db, name, fields, rounded) => {
+  const collection = db.collection(name);
+  const filter = { $or: fields.map(field => ({ [field]: { $type: NUMBER_TYPES } })) };
+
+  let converted = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length > 0 && !dryRun) {
+      await collection.bulkWrite(batch, { ordered: false });
+    }
+    batch = [];
+  };
+
+  for await (const doc of collection.find(filter)) {
+    const $set = {};
+    for (const field of fields) {
+      if (typeof doc[field] === 'number') {
+        $set[field] = convert(doc[field], { collection: name, id: doc._id.toString(), field }, rounded);
+      }
+    }
+
+    batch.push({ updateOne: { filter: { _id: doc._id }, update: { $set } } });
+    converted++;
+    if (batch.length >= 500) await flush();
+  }
+  await flush();
+
+  return converted;
+};
+
+// Journal legs live in an array, so each entry's legs are rewritten together
+const migrateJournal = async (db, rounded) => {
+  const collection = db.collection('journalentries');
+  const filter = {
+    $or: [
+      { 'legs.debit': { $type: NUMBER_TYPES } },
+      { 'legs.credit': { $type: NUMBER_TYPES } },
+    ],
+  };
+
+  let converted = 0;
+  for await (const entry of collection.find(filter)) {
+    const legs = entry.legs.map((leg, index) => ({
+      ...leg,
+      debit: convert(leg.debit ?? 0, { collection: 'journalentries', id: entry._id.toString(), field: `legs.${index}.debit` }, rounded),
+      credit: convert(leg.credit ?? 0, { collection: 'journalentries', id: entry._id.toString(), field: `legs.${index}.credit` }, rounded),
+    }));
+
+    if (!dryRun) {
+      await collection.updateOne({ _id: entry._id }, { $set: { legs } });
+    }
+    converted++;
+  }
+
+  return converted;
+};
+
+const migrateMoneyToDecimal = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log(`MongoDB Connected${dryRun ? ' (dry run)' : ''}`);
+
+    const db = mongoose.connection.db;
+    const rounded = [];
+
+    for (const [name, fields] of Object.entries(MONEY_FIELDS)) {
+      const count = await migrateCollection(db, name, fields, rounded);
+      console.log(`${name}: ${count} documents converted`);
+    }
+
+    const journalCount = await migrateJournal(db, rounded);
+    console.log(`journalentries: ${journalCount} documents converted`);
+
+    if (rounded.length > 0) {
+      console.log(`\n⚠️  ${rounded.length} values had more than ${money.MONEY_DECIMALS} decimals and were rounded:`);
+      console.table(rounded);
+    }
+
+    console.log('✅ Done');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error:', error);
+    process.exit(1);
+  }
+};
+
+migrateMoneyToDecimal();
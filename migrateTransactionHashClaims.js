@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+import Deposit from './src/models/Deposit.js';
+import TransactionHashClaim from './src/models/TransactionHashClaim.js';
+import { normalizeTransactionHash } from './src/utils/transactionHashClaims.js';
+import * as money from './src/utils/money.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Creates hash claims for pending and approved deposits made before claims existed.
+// The earliest deposit keeps each hash; later deposits with the same hash are recorded
+// as duplicate attempts on its claim and listed for review. Safe to re-run.
+// Usage: node migrateTransactionHashClaims.js [--dry-run]
+const dryRun = process.argv.includes('--dry-run');
+
+const migrateTransactionHashClaims = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log(`MongoDB Connected${dryRun ? ' (dry run)' : ''}`);
+
+    const [deposits, existingClaims] = await Promise.all([
+      Deposit.find({ status: { $in: ['pending', 'approved'] } }).sort({ createdAt: 1 }).lean(),
+      TransactionHashClaim.find({}).lean(),
+    ]);
+
+    const claimedDeposits = new Set(existingClaims.map(claim => claim.deposit.toString()));
+    const holders = new Map(
+      existingClaims.filter(claim => claim.status === 'active').map(claim => [claim.hash, claim.deposit])
+    );
+
+    let created = 0;
+    const report = [];
+
+    for (const deposit of deposits) {
+      if (claimedDeposits.has(deposit._id.toString())) continue;
+
+      const hash = normalizeTransactionHash(deposit.transactionHash);
+      if (!hash) {
+        report.push({ deposit: deposit._id.toString(), status: deposit.status, amount: money.toFixedString(deposit.amount), reason: 'missing hash', heldBy: '' });
+        continue;
+      }
+
+      const holder = holders.get(hash);
+      if (holder) {
+        report.push({ deposit: deposit._id.toString(), status: deposit.status, amount: money.toFixedString(deposit.amount), reason: 'duplicate', heldBy: holder.toString() });
+        if (!dryRun) {
+          await TransactionHashClaim.updateOne(
+            { hash, status: 'active' },
+            {
+              $push: {
+                duplicateAttempts: {
+                  user: deposit.user,
+                  deposit: deposit._id,
+                  submittedHash: deposit.transactionHash,
+                  amount: deposit.amount,
+                  isRegistrationDeposit: deposit.isRegistrationDeposit,
+                  attemptedAt: deposit.createdAt,
+                },
+              },
+            }
+          );
+        }
+        continue;
+      }
+
+      holders.set(hash, deposit._id);
+      created++;
+      if (!dryRun) {
+        await TransactionHashClaim.create({ hash, deposit: deposit._id, user: deposit.user, createdAt: deposit.createdAt });
+      }
+    }
+
+    console.log(`${created} claims created`);
+
+    if (report.length > 0) {
+      console.log(`\n⚠️  ${report.length} deposits could not claim their hash:`);
+      console.table(report);
+    } else {
+      console.log('✅ No duplicate hashes found');
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error:', error);
+    process.exit(1);
+  }
+};
+
+migrateTransactionHashClaims();
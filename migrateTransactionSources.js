@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+import Transaction from './src/models/Transaction.js';
+import Deposit from './src/models/Deposit.js';
+import Withdrawal from './src/models/Withdrawal.js';
+import * as money from './src/utils/money.js';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Back-fills Transaction.sourceType/sourceId for rows written before the link existed.
+// A deposit/withdrawal row is only linked when exactly one unlinked source document
+// matches it; everything else is listed for manual review.
+// Usage: node migrateTransactionSources.js [--dry-run]
+const dryRun = process.argv.includes('--dry-run');
+
+const SOURCE_TYPE_BY_TRANSACTION_TYPE = {
+  daily_reward: 'spin',
+  level_reward: 'level_reward',
+  bonus: 'bonus',
+};
+
+// Transaction status a source document in a given status should have produced
+const EXPECTED_STATUS = {
+  pending: ['pending'],
+  processing: ['pending'],
+  approved: ['completed'],
+  rejected: ['rejected', 'cancelled'],
+};
+
+// Source documents are created a moment before their transaction row
+const MAX_CREATION_GAP_MS = 60 * 1000;
+
+const findCandidates = (transaction, sources, claimed) => sources.filter((source) => {
+  if (claimed.has(source._id.toString())) return false;
+  if (source.user.toString() !== transaction.user.toString()) return false;
+  if (money.compare(source.amount, transaction.amount) !== 0) return false;
+  if (!(EXPECTED_STATUS[source.status] || []).includes(transaction.status)) return false;
+
+  // Deposit rows copy the on-chain hash, which identifies the source outright
+  if (transaction.type === 'deposit' && transaction.transactionHash && source.transactionHash) {
+    return transaction.transactionHash === source.transactionHash;
+  }
+  if (transaction.type === 'withdrawal' && transaction.walletAddress !== source.walletAddress) {
+    return false;
+  }
+  return Math.abs(new Date(transaction.createdAt) - new Date(source.createdAt)) <= MAX_CREATION_GAP_MS;
+});
+
+const linkSourceDocuments = async (type, Model, report) => {
+  const [transactions, sources, alreadyLinked] = await Promise.all([
+    Transaction.find({ type, sourceId: { $exists: false } }).sort({ createdAt: 1 }).lean(),
+    Model.find({}).lean(),
+    Transaction.distinct('sourceId', { sourceType: type, type }),
+  ]);
+
+  const claimed = new Set(alreadyLinked.map(id => id.toString()));
+
+  for (const transaction of transactions) {
+    const candidates = findCandidates(transaction, sources, claimed);
+
+    if (candidates.length !== 1) {
+      report.push({
+        transaction: transaction._id.toString(),
+        type,
+        user: transaction.user.toString(),
+        amount: money.toFixedString(transaction.amount),
+        reason: candidates.length === 0 ? 'no matching source' : 'ambiguous',
+        candidates: candidates.map(candidate => candidate._id.toString()),
+      });
+      continue;
+    }
+
+    const [source] = candidates;
+    claimed.add(source._id.toString());
+
+    if (!dryRun) {
+      await Transaction.updateOne(
+        { _id: transaction._id },
+        { sourceType: type, sourceId: source._id }
+      );
+    }
+  }
+
+  return transactions.length;
+};
+
+const migrateTransactionSources = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log(`MongoDB Connected${dryRun ? ' (dry run)' : ''}`);
+
+    // Rows without a source document only need their type recorded
+    for (const [type, sourceType] of Object.entries(SOURCE_TYPE_BY_TRANSACTION_TYPE)) {
+      const filter = { type, sourceType: { $exists: false } };
+      const count = await Transaction.countDocuments(filter);
+      if (!dryRun) {
+        await Transaction.updateMany(filter, { sourceType });
+      }
+      console.log(`${type}: ${count} rows tagged as ${sourceType}`);
+    }
+
+    const report = [];
+    const deposits = await linkSourceDocuments('deposit', Deposit, report);
+    const withdrawals = await linkSourceDocuments('withdrawal', Withdrawal, report);
+
+    console.log(`deposit: ${deposits} unlinked rows examined`);
+    console.log(`withdrawal: ${withdrawals} unlinked rows examined`);
+
+    if (report.length > 0) {
+      console.log(`\n⚠️  ${report.length} rows could not be matched unambiguously:`);
+      console.table(report.map(row => ({ ...row, candidates: row.candidates.join(', ') })));
+    } else {
+      console.log('✅ All rows linked');
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error:', error);
+    process.exit(1);
+  }
+};
+
+migrateTransactionSources();
@@ -2,6 +2,7 @@ import cluster from 'cluster';
 import os from 'os';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { SCHEDULER_ELECTION_MESSAGE, SCHEDULER_READY_MESSAGE } from './utils/scheduler.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -13,6 +14,26 @@ if (cluster.isPrimary) {
   console.log(`🚀 Master process ${process.pid} is running`);
   console.log(`🔥 Forking ${numCPUs} worker processes for maximum performance...`);
 
+  // The worker currently running scheduled jobs, elected among the workers that reported
+  // ready and re-elected whenever it exits
+  let schedulerWorker = null;
+  const readyWorkers = new Set();
+
+  const electSchedulerWorker = () => {
+    const candidate = [...readyWorkers].find(worker => worker.isConnected() && !worker.isDead());
+    if (!candidate) return;
+    schedulerWorker = candidate;
+    candidate.send({ type: SCHEDULER_ELECTION_MESSAGE });
+  };
+
+  cluster.on('message', (worker, message) => {
+    if (message?.type !== SCHEDULER_READY_MESSAGE) return;
+    readyWorkers.add(worker);
+    if (!schedulerWorker) {
+      electSchedulerWorker();
+    }
+  });
+
   // Fork workers for each CPU core
   for (let i = 0; i < numCPUs; i++) {
     cluster.fork();
@@ -21,6 +42,11 @@ if (cluster.isPrimary) {
   // Handle worker crashes - restart automatically
   cluster.on('exit', (worker, code, signal) => {
     console.log(`⚠️  Worker ${worker.process.pid} died. Restarting...`);
+    readyWorkers.delete(worker);
+    if (worker === schedulerWorker) {
+      schedulerWorker = null;
+      electSchedulerWorker();
+    }
     cluster.fork();
   });
 
@@ -3,6 +3,19 @@ import mongoose from 'mongoose';
 // Singleton connection cache for serverless
 let cachedConnection = null;
 
+// Unique indexes that correctness depends on (not just speed). They are ensured on every
+// start, whatever CREATE_INDEXES_ON_START says, and a failure stops the server.
+const REQUIRED_INDEXES = [
+  // One stored response per Idempotency-Key
+  ['idempotencykeys', { scopedKey: 1 }, { unique: true }],
+  // A transaction hash backs at most one deposit
+  ['transactionhashclaims', { hash: 1 }, { unique: true, partialFilterExpression: { status: 'active' } }],
+  // One pairing bonus run per day
+  ['pairingruns', { runDate: 1 }, { unique: true }],
+  // One tree node per user; deleteUser relies on it to find the only node to remove
+  ['treenodes', { user: 1 }, { unique: true }],
+];
+
 const connectDB = async () => {
   // Reuse existing connection if available
   if (cachedConnection && mongoose.connection.readyState === 1) {
@@ -26,6 +39,8 @@ const connectDB = async () => {
     cachedConnection = conn;
     console.log(`MongoDB Connected: ${conn.connection.host}`);
     console.log(`Connection pool configured: min=0, max=5 (serverless optimized)`);
+
+    await createRequiredIndexes();
     
     // Only create indexes if explicitly enabled via env flag
     if (process.env.CREATE_INDEXES_ON_START === 'true') {
@@ -40,6 +55,20 @@ const connectDB = async () => {
   }
 };
 
+// Creating an index that already exists is a no-op; a conflicting index or duplicate
+// data makes this throw, which aborts startup in connectDB
+const createRequiredIndexes = async () => {
+  const db = mongoose.connection.db;
+
+  for (const [collection, keys, options] of REQUIRED_INDEXES) {
+    try {
+      await db.collection(collection).createIndex(keys, { ...options, background: true });
+    } catch (error) {
+      throw new Error(`Required index on ${collection} ${JSON.stringify(keys)} could not be created: ${error.message}`);
+    }
+  }
+};
+
 // Create database indexes for frequently queried fields
 const createIndexes = async () => {
   try {
@@ -58,9 +87,48 @@ const createIndexes = async () => {
     await db.collection('referrals').createIndex({ referred: 1 }, { background: true });
     await db.collection('referrals').createIndex({ referrer: 1, side: 1 }, { background: true });
     
+    // Session indexes
+    await db.collection('sessions').createIndex({ user: 1, revokedAt: 1, lastSeenAt: -1 }, { background: true });
+    await db.collection('sessions').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0, background: true });
+
+    // Account token indexes (email verification, password reset)
+    await db.collection('accounttokens').createIndex({ tokenHash: 1 }, { unique: true, background: true });
+    await db.collection('accounttokens').createIndex({ user: 1, purpose: 1, createdAt: -1 }, { background: true });
+    await db.collection('accounttokens').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0, background: true });
+
+    // Referral visit indexes
+    await db.collection('referralvisits').createIndex({ referrer: 1, createdAt: -1 }, { background: true });
+    await db.collection('referralvisits').createIndex({ convertedUser: 1 }, { background: true });
+
+    // Commission indexes
+    await db.collection('commissions').createIndex({ deposit: 1, generation: 1 }, { unique: true, background: true });
+    await db.collection('commissions').createIndex({ user: 1, createdAt: -1 }, { background: true });
+
+    // Level plan indexes
+    await db.collection('levelplans').createIndex({ version: 1 }, { unique: true, background: true });
+    await db.collection('levelplans').createIndex({ status: 1 }, { unique: true, partialFilterExpression: { status: 'active' }, background: true });
+
+    // Level award indexes
+    await db.collection('levelawards').createIndex({ user: 1, level: 1 }, { unique: true, background: true });
+
+    // Pairing indexes
+    await db.collection('pairingruns').createIndex({ runDate: 1 }, { unique: true, background: true });
+    await db.collection('pairingpayouts').createIndex({ run: 1, user: 1 }, { unique: true, background: true });
+    await db.collection('pairingpayouts').createIndex({ user: 1, createdAt: -1 }, { background: true });
+
+    // Role indexes
+    await db.collection('roles').createIndex({ name: 1 }, { unique: true, background: true });
+
+    // Leaderboard indexes
+    await db.collection('leaderboardsnapshots').createIndex({ board: 1, period: 1, status: 1, computedAt: -1 }, { background: true });
+    await db.collection('leaderboardentries').createIndex({ snapshot: 1, rank: 1 }, { background: true });
+    await db.collection('leaderboardentries').createIndex({ snapshot: 1, user: 1 }, { background: true });
+    await db.collection('leaderboardentries').createIndex({ user: 1 }, { background: true });
+
     // Transaction indexes
     await db.collection('transactions').createIndex({ user: 1, createdAt: -1 }, { background: true });
     await db.collection('transactions').createIndex({ type: 1 }, { background: true });
+    await db.collection('transactions').createIndex({ sourceType: 1, sourceId: 1 }, { background: true });
     
     // Deposit indexes
     await db.collection('deposits').createIndex({ user: 1, createdAt: -1 }, { background: true });
@@ -69,6 +137,36 @@ const createIndexes = async () => {
     // Withdrawal indexes
     await db.collection('withdrawals').createIndex({ user: 1, createdAt: -1 }, { background: true });
     await db.collection('withdrawals').createIndex({ status: 1 }, { background: true });
+    await db.collection('withdrawals').createIndex({ payoutBatch: 1, status: 1 }, { background: true });
+
+    // Payout batch indexes
+    await db.collection('payoutbatches').createIndex({ status: 1, createdAt: -1 }, { background: true });
+    
+    // Journal indexes
+    await db.collection('journalentries').createIndex({ 'legs.account': 1, createdAt: -1 }, { background: true });
+    await db.collection('journalentries').createIndex({ transaction: 1 }, { background: true });
+    
+    // Idempotency key indexes
+    await db.collection('idempotencykeys').createIndex({ scopedKey: 1 }, { unique: true, background: true });
+    await db.collection('idempotencykeys').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0, background: true });
+
+    // Binary tree indexes
+    await db.collection('treenodes').createIndex({ user: 1 }, { unique: true, background: true });
+    await db.collection('treenodes').createIndex({ 'ancestors.user': 1 }, { background: true });
+    await db.collection('treenodes').createIndex({ parent: 1 }, { background: true });
+    await db.collection('treenodes').createIndex({ leftExtreme: 1 }, { background: true });
+    await db.collection('treenodes').createIndex({ rightExtreme: 1 }, { background: true });
+    await db.collection('treemoves').createIndex({ user: 1, createdAt: -1 }, { background: true });
+    await db.collection('treemoves').createIndex({ createdAt: -1 }, { background: true });
+
+    // Transaction hash claim indexes
+    await db.collection('transactionhashclaims').createIndex({ hash: 1 }, { unique: true, partialFilterExpression: { status: 'active' }, background: true });
+    await db.collection('transactionhashclaims').createIndex({ deposit: 1 }, { background: true });
+
+    // Reconciliation indexes
+    await db.collection('reconciliationruns').createIndex({ status: 1, startedAt: -1 }, { background: true });
+    await db.collection('reconciliationdiscrepancies').createIndex({ run: 1, createdAt: 1 }, { background: true });
+    await db.collection('reconciliationdiscrepancies').createIndex({ user: 1, createdAt: -1 }, { background: true });
     
     // Settings indexes
     await db.collection('settings').createIndex({ key: 1 }, { unique: true, background: true });
@@ -1,9 +1,24 @@
+import mongoose from 'mongoose';
 import User from '../models/User.js';
 import Deposit from '../models/Deposit.js';
 import Withdrawal from '../models/Withdrawal.js';
 import Transaction from '../models/Transaction.js';
 import Settings from '../models/Settings.js';
 import Referral from '../models/Referral.js';
+import TreeNode from '../models/TreeNode.js';
+import { ACCOUNTS, BalanceChangedError, InsufficientFundsError, postTransfer, userAccount, deriveUserBalance, getTrialBalance } from '../utils/ledger.js';
+import JournalEntry from '../models/JournalEntry.js';
+import { withTransaction } from '../utils/dbTransaction.js';
+import { normalizeTransactionHash, DuplicateTransactionHashError } from '../utils/transactionHashClaims.js';
+import { processDeposit, reverseDeposit } from '../utils/depositProcessing.js';
+import { processWithdrawal } from '../utils/withdrawalProcessing.js';
+import TransactionHashClaim from '../models/TransactionHashClaim.js';
+import Commission from '../models/Commission.js';
+import ReferralVisit from '../models/ReferralVisit.js';
+import { getSubtree, isInDownline, MAX_SUBTREE_DEPTH } from '../utils/binaryTree.js';
+import { referralFunnelStages, visitDateFilter, withConversionRates } from '../utils/referralTracking.js';
+import * as money from '../utils/money.js';
+import { canGrant, findRolePermissions } from '../utils/permissions.js';
 
 // @desc    Get all users
 // @route   GET /api/admin/users
@@ -141,13 +156,71 @@ export const updateUser = async (req, res) => {
     const user = await User.findById(req.params.id);
 
     if (user) {
+      const previous = {
+        username: user.username,
+        email: user.email,
+        isActive: user.isActive,
+        emailVerified: user.emailVerified,
+        ...(user.emailVerifiedAt ? { emailVerifiedAt: user.emailVerifiedAt } : { $unset: { emailVerifiedAt: 1 } }),
+      };
+
       user.username = req.body.username || user.username;
       user.email = req.body.email || user.email;
-      user.balance = req.body.balance !== undefined ? req.body.balance : user.balance;
       user.isActive = req.body.isActive !== undefined ? req.body.isActive : user.isActive;
-      user.isAdmin = req.body.isAdmin !== undefined ? req.body.isAdmin : user.isAdmin;
 
-      const updatedUser = await user.save();
+      // A new address starts unverified unless the admin vouches for it
+      if (user.isModified('email')) {
+        user.emailVerified = false;
+        user.emailVerifiedAt = undefined;
+      }
+      if (typeof req.body.emailVerified === 'boolean') {
+        user.emailVerified = req.body.emailVerified;
+        user.emailVerifiedAt = req.body.emailVerified ? new Date() : undefined;
+      }
+
+      const targetBalance = req.body.balance !== undefined ? money.toDecimal(req.body.balance) : null;
+      const difference = targetBalance ? money.sub(targetBalance, user.balance) : null;
+
+      // The profile and the balance are saved together, so a refused adjustment leaves both untouched
+      try {
+        await withTransaction(async (session) => {
+          await user.save({ session });
+
+          // Balance edits are posted as adjustments so the journal still explains the balance.
+          // The adjustment is computed from the balance read above; if the balance moved in
+          // the meantime the ledger refuses it instead of applying a stale delta.
+          if (difference && !money.isZero(difference)) {
+            try {
+              await postTransfer({
+                type: 'adjustment',
+                debit: money.isPositive(difference) ? ACCOUNTS.ADJUSTMENTS : userAccount(user._id),
+                credit: money.isPositive(difference) ? userAccount(user._id) : ACCOUNTS.ADJUSTMENTS,
+                amount: money.abs(difference),
+                expectedBalance: user.balance,
+                postedBy: req.user._id,
+                description: `Admin balance adjustment to ${money.format(targetBalance)}`,
+                session,
+              });
+            } catch (error) {
+              if (!session) {
+                // Without transactions the profile edit is already saved; put it back
+                await User.updateOne({ _id: user._id }, previous);
+              }
+              throw error;
+            }
+          }
+        });
+      } catch (error) {
+        if (error instanceof InsufficientFundsError) {
+          return res.status(400).json({ message: 'Balance cannot be negative' });
+        }
+        if (error instanceof BalanceChangedError) {
+          return res.status(409).json({ message: error.message });
+        }
+        throw error;
+      }
+
+      const updatedUser = await User.findById(user._id);
       res.json(updatedUser);
     } else {
       res.status(404).json({ message: 'User not found' });
@@ -157,6 +230,34 @@ export const updateUser = async (req, res) => {
   }
 };
 
+// @desc    Get a user's binary tree, nested to a requested depth
+// @route   GET /api/admin/users/:id/tree
+// @access  Private/Admin
+export const getUserTree = async (req, res) => {
+  try {
+    // `root` expands a node further down the user's downline
+    const root = req.query.root || req.params.id;
+
+    if (!mongoose.Types.ObjectId.isValid(root) || !mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid user id' });
+    }
+
+    if (!(await isInDownline(req.params.id, root))) {
+      return res.status(404).json({ message: 'Node not found in this user\'s downline' });
+    }
+
+    const tree = await getSubtree(root, { depth: req.query.depth ?? 3, extraUserFields: 'email' });
+
+    if (!tree) {
+      return res.status(404).json({ message: 'User is not placed in the binary tree' });
+    }
+
+    res.json({ tree, maxDepth: MAX_SUBTREE_DEPTH });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
 // @desc    Delete user
 // @route   DELETE /api/admin/users/:id
 // @access  Private/Admin
@@ -164,12 +265,42 @@ export const deleteUser = async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
 
-    if (user) {
-      await user.deleteOne();
-      res.json({ message: 'User removed' });
-    } else {
-      res.status(404).json({ message: 'User not found' });
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Removing a member from the middle of the binary tree would break the ancestor paths,
+    // leg counts and extreme pointers of everyone around them, so only users outside the
+    // tree (or alone at a root) without referrals can be deleted
+    const placedMessage = 'User is placed in the binary tree or has referrals and cannot be deleted; deactivate the account instead';
+    const [node, hasReferrals] = await Promise.all([
+      TreeNode.findOne({ user: user._id }).select('parent left right').lean(),
+      Referral.exists({ referrer: user._id }),
+    ]);
+    if (node?.parent || node?.left || node?.right || hasReferrals) {
+      return res.status(409).json({ message: placedMessage });
     }
+
+    const deleted = await withTransaction(async (session) => {
+      // Conditional, so a member placed under the node meanwhile blocks the delete
+      if (node) {
+        const { deletedCount } = await TreeNode.deleteOne(
+          { _id: node._id, parent: null, left: null, right: null },
+          { session }
+        );
+        if (deletedCount === 0) return false;
+      }
+
+      await Referral.deleteMany({ referred: user._id }, { session });
+      await User.deleteOne({ _id: user._id }, { session });
+      return true;
+    });
+
+    if (!deleted) {
+      return res.status(409).json({ message: placedMessage });
+    }
+
+    res.json({ message: 'User removed' });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -184,18 +315,58 @@ export const getAllDeposits = async (req, res) => {
     const limit = parseInt(req.query.limit) || 50;
     const skip = (page - 1) * limit;
 
+    // ?duplicates=true lists only deposits whose hash someone else tried to submit
+    const filter = {};
+    if (req.query.duplicates === 'true') {
+      filter._id = { $in: await TransactionHashClaim.distinct('deposit', { 'duplicateAttempts.0': { $exists: true } }) };
+    }
+
     const [deposits, total] = await Promise.all([
-      Deposit.find({})
+      Deposit.find(filter)
         .populate('user', 'username email')
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(limit)
         .lean(),
-      Deposit.countDocuments({})
+      Deposit.countDocuments(filter)
+    ]);
+
+    // Attach each deposit's hash claim with the duplicate submissions it refused, and
+    // link deposits whose hash is held by another (earlier) deposit to that claimant
+    const [claims, activeClaims] = await Promise.all([
+      TransactionHashClaim.find({ deposit: { $in: deposits.map(d => d._id) } })
+        .populate('duplicateAttempts.user', 'username email')
+        .lean(),
+      TransactionHashClaim.find({
+        hash: { $in: deposits.map(d => normalizeTransactionHash(d.transactionHash)).filter(Boolean) },
+        status: 'active',
+      })
+        .populate('user', 'username email')
+        .lean()
     ]);
 
+    const data = deposits.map((deposit) => {
+      const claim = claims.find(c => c.deposit.equals(deposit._id));
+      const holder = activeClaims.find(c => c.hash === normalizeTransactionHash(deposit.transactionHash));
+
+      return {
+        ...deposit,
+        hashClaim: claim ? {
+          hash: claim.hash,
+          status: claim.status,
+          releaseReason: claim.releaseReason,
+          duplicateAttempts: claim.duplicateAttempts,
+        } : null,
+        duplicateOf: holder && !holder.deposit.equals(deposit._id) ? {
+          deposit: holder.deposit,
+          user: holder.user,
+          claimedAt: holder.createdAt,
+        } : null,
+      };
+    });
+
     res.json({
-      data: deposits,
+      data,
       pagination: {
         total,
         page,
@@ -227,34 +398,155 @@ export const updateDeposit = async (req, res) => {
       });
     }
 
-    deposit.status = status;
-    deposit.adminNotes = adminNotes || deposit.adminNotes;
-    deposit.approvedBy = req.user._id;
-    deposit.approvedAt = new Date();
+    const updated = await processDeposit(deposit, { status, adminNotes, processedBy: req.user._id });
 
-    await deposit.save();
+    if (!updated) {
+      return res.status(409).json({ message: `Deposit has already been ${deposit.status}` });
+    }
+
+    res.json(updated);
+  } catch (error) {
+    if (error instanceof DuplicateTransactionHashError) {
+      return res.status(409).json({ message: 'This transaction hash is already claimed by another deposit' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
 
-    // Update user balance if approved (regular deposits only)
-    if (status === 'approved') {
-      const user = await User.findById(deposit.user);
-      user.balance += deposit.amount;
-      user.totalDeposits += deposit.amount;
-      await user.save();
+// @desc    Reverse an approved deposit and the referral commissions it paid
+// @route   POST /api/admin/deposits/:id/reverse
+// @access  Private/Admin
+export const reverseApprovedDeposit = async (req, res) => {
+  try {
+    const { reason, allowNegativeBalance } = req.body;
+    const deposit = await Deposit.findById(req.params.id);
+
+    if (!deposit) {
+      return res.status(404).json({ message: 'Deposit not found' });
+    }
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ message: 'A reason is required to reverse a deposit' });
+    }
+
+    const reversed = await reverseDeposit(deposit, {
+      reason: String(reason).trim(),
+      processedBy: req.user._id,
+      allowNegativeBalance: allowNegativeBalance === true,
+    });
 
-      // Update transaction
-      await Transaction.findOneAndUpdate(
-        { user: deposit.user, type: 'deposit', amount: deposit.amount, status: 'pending' },
-        { status: 'completed', processedBy: req.user._id, processedAt: new Date() }
-      );
-    } else if (status === 'rejected') {
-      // Update transaction
-      await Transaction.findOneAndUpdate(
-        { user: deposit.user, type: 'deposit', amount: deposit.amount, status: 'pending' },
-        { status: 'rejected', processedBy: req.user._id, processedAt: new Date() }
-      );
+    if (!reversed) {
+      return res.status(409).json({ message: `Only approved deposits can be reversed (deposit is ${deposit.status})` });
     }
 
-    res.json(deposit);
+    const commissions = await Commission.find({ deposit: deposit._id, status: 'reversed' }).lean();
+
+    res.json({ deposit: reversed, reversedCommissions: commissions });
+  } catch (error) {
+    if (error instanceof InsufficientFundsError) {
+      return res.status(409).json({
+        message: 'The deposit or its commissions have already been spent. Set allowNegativeBalance to reverse anyway.'
+      });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Get referral commissions, optionally for one deposit or earner
+// @route   GET /api/admin/commissions
+// @access  Private/Admin
+export const getCommissions = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    for (const param of ['deposit', 'user']) {
+      if (req.query[param] && !mongoose.Types.ObjectId.isValid(req.query[param])) {
+        return res.status(400).json({ message: `Invalid ${param} id` });
+      }
+    }
+
+    const filter = {};
+    if (req.query.deposit) filter.deposit = req.query.deposit;
+    if (req.query.user) filter.user = req.query.user;
+    if (req.query.status) filter.status = req.query.status;
+
+    const [commissions, total] = await Promise.all([
+      Commission.find(filter)
+        .populate('user', 'username email')
+        .populate('sourceUser', 'username email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Commission.countDocuments(filter)
+    ]);
+
+    res.json({
+      data: commissions,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Get referral link funnels per sponsor
+// @route   GET /api/admin/referral-stats
+// @access  Private/Admin
+export const getReferralVisitStats = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const dateFilter = visitDateFilter(req.query);
+    if (!dateFilter) {
+      return res.status(400).json({ message: 'from and to must be valid dates' });
+    }
+
+    const sortFields = ['visits', 'uniqueVisitors', 'signups', 'paidRegistrations', 'activated'];
+    const sortBy = sortFields.includes(req.query.sort) ? req.query.sort : 'visits';
+
+    const match = { ...dateFilter };
+    if (req.query.campaign) match.campaign = req.query.campaign;
+
+    const [result] = await ReferralVisit.aggregate([
+      ...referralFunnelStages(match, '$referrer'),
+      { $sort: { [sortBy]: -1, _id: 1 } },
+      {
+        $facet: {
+          data: [{ $skip: skip }, { $limit: limit }],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const sponsors = await User.find({ _id: { $in: result.data.map(row => row._id) } })
+      .select('username email referralCode')
+      .lean();
+    const sponsorsById = new Map(sponsors.map(u => [u._id.toString(), u]));
+
+    const total = result.total[0]?.count || 0;
+
+    res.json({
+      data: result.data.map(({ _id, ...stats }) => ({
+        sponsor: sponsorsById.get(_id.toString()) || { _id },
+        ...withConversionRates(stats)
+      })),
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -305,36 +597,18 @@ export const updateWithdrawal = async (req, res) => {
       return res.status(404).json({ message: 'Withdrawal not found' });
     }
 
-    withdrawal.status = status;
-    withdrawal.transactionHash = transactionHash || withdrawal.transactionHash;
-    withdrawal.adminNotes = adminNotes || withdrawal.adminNotes;
-    withdrawal.approvedBy = req.user._id;
-    withdrawal.approvedAt = new Date();
-
-    await withdrawal.save();
-
-    // If rejected, return balance to user
-    if (status === 'rejected') {
-      const user = await User.findById(withdrawal.user);
-      user.balance += withdrawal.amount;
-      await user.save();
+    // Withdrawals in a payout batch are settled through the batch import
+    if (withdrawal.status === 'processing') {
+      return res.status(409).json({ message: 'Withdrawal is in a payout batch; settle it through the batch import' });
+    }
 
-      await Transaction.findOneAndUpdate(
-        { user: withdrawal.user, type: 'withdrawal', amount: withdrawal.amount, status: 'pending' },
-        { status: 'rejected', processedBy: req.user._id, processedAt: new Date() }
-      );
-    } else if (status === 'approved') {
-      const user = await User.findById(withdrawal.user);
-      user.totalWithdrawals += withdrawal.amount;
-      await user.save();
+    const updated = await processWithdrawal(withdrawal, { status, transactionHash, adminNotes, processedBy: req.user._id });
 
-      await Transaction.findOneAndUpdate(
-        { user: withdrawal.user, type: 'withdrawal', amount: withdrawal.amount, status: 'pending' },
-        { status: 'completed', transactionHash, processedBy: req.user._id, processedAt: new Date() }
-      );
+    if (!updated) {
+      return res.status(409).json({ message: `Withdrawal has already been ${withdrawal.status}` });
     }
 
-    res.json(withdrawal);
+    res.json(updated);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -523,65 +797,17 @@ export const verifyRegistrationDeposit = async (req, res) => {
       return res.status(400).json({ message: 'This is not a registration deposit' });
     }
 
-    deposit.status = status;
-    deposit.adminNotes = adminNotes || deposit.adminNotes;
-    deposit.approvedBy = req.user._id;
-    deposit.approvedAt = new Date();
-
-    await deposit.save();
+    const updated = await processDeposit(deposit, { status, adminNotes, processedBy: req.user._id });
 
-    const user = await User.findById(deposit.user);
-
-    if (status === 'approved') {
-      // Activate user account and credit balance
-      user.isActive = true;
-      user.registrationDepositVerified = true;
-      user.balance += deposit.amount;
-      user.totalDeposits += deposit.amount;
-      await user.save();
-
-      // Activate the referral relationship
-      const Referral = (await import('../models/Referral.js')).default;
-      await Referral.updateOne(
-        { referred: deposit.user },
-        { isActive: true }
-      );
-      
-      // Get the referrer and automatically process their level rewards
-      const referral = await Referral.findOne({ referred: deposit.user });
-      if (referral && referral.referrer) {
-        // Import and call the level rewards processing function
-        const { processLevelRewards } = await import('./userController.js');
-        await processLevelRewards(referral.referrer);
-      }
-
-      // Create transaction record
-      await Transaction.findOneAndUpdate(
-        { user: deposit.user, type: 'deposit', amount: deposit.amount, status: 'pending' },
-        { status: 'completed', processedBy: req.user._id, processedAt: new Date() }
-      );
-    } else if (status === 'rejected') {
-      // Keep user inactive and referral inactive
-      user.isActive = false;
-      user.registrationDepositVerified = false;
-      await user.save();
-      
-      // Ensure referral stays inactive
-      const Referral = (await import('../models/Referral.js')).default;
-      await Referral.updateOne(
-        { referred: deposit.user },
-        { isActive: false }
-      );
-
-      // Update transaction
-      await Transaction.findOneAndUpdate(
-        { user: deposit.user, type: 'deposit', amount: deposit.amount, status: 'pending' },
-        { status: 'rejected', processedBy: req.user._id, processedAt: new Date() }
-      );
+    if (!updated) {
+      return res.status(409).json({ message: `Registration deposit has already been ${deposit.status}` });
     }
 
-    res.json(deposit);
+    res.json(updated);
   } catch (error) {
+    if (error instanceof DuplicateTransactionHashError) {
+      return res.status(409).json({ message: 'This transaction hash is already claimed by another deposit' });
+    }
     res.status(500).json({ message: error.message });
   }
 };
@@ -591,9 +817,10 @@ export const verifyRegistrationDeposit = async (req, res) => {
 // @access  Private/Admin
 export const creditBonus = async (req, res) => {
   try {
-    const { userId, amount, description } = req.body;
+    const { userId, description } = req.body;
+    const amount = money.parseAmount(req.body.amount);
 
-    if (!userId || !amount || amount <= 0) {
+    if (!userId || !amount) {
       return res.status(400).json({ message: 'Valid userId and positive amount are required' });
     }
 
@@ -602,24 +829,36 @@ export const creditBonus = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Update user balance
-    user.balance += amount;
-    await user.save();
-
-    // Create bonus transaction
-    await Transaction.create({
-      user: userId,
-      type: 'bonus',
-      amount,
-      status: 'completed',
-      description: description || `Admin bonus: $${amount.toFixed(2)}`,
-      processedBy: req.user._id,
-      processedAt: new Date(),
+    const credited = await withTransaction(async (session) => {
+      // Create bonus transaction
+      const [transaction] = await Transaction.create([{
+        user: userId,
+        type: 'bonus',
+        amount,
+        status: 'completed',
+        description: description || `Admin bonus: ${money.format(amount)}`,
+        processedBy: req.user._id,
+        processedAt: new Date(),
+        sourceType: 'bonus',
+      }], { session });
+
+      // Update user balance
+      const { user: updatedUser } = await postTransfer({
+        type: 'bonus',
+        debit: ACCOUNTS.REWARDS_EXPENSE,
+        credit: userAccount(userId),
+        amount,
+        transaction: transaction._id,
+        postedBy: req.user._id,
+        description: 'Admin bonus',
+        session,
+      });
+      return updatedUser;
     });
 
     res.json({
       message: 'Bonus credited successfully',
-      newBalance: user.balance,
+      newBalance: credited.balance,
       amount,
     });
   } catch (error) {
@@ -661,6 +900,17 @@ export const createAdmin = async (req, res) => {
       });
     }
 
+    // The role must exist and grant nothing beyond the creator's own permissions,
+    // so only a superadmin can create another superadmin
+    const newRole = String(role || 'admin');
+    const rolePermissions = await findRolePermissions(newRole);
+    if (!rolePermissions) {
+      return res.status(400).json({ message: `Unknown role: ${newRole}` });
+    }
+    if (!canGrant(req.permissions, rolePermissions)) {
+      return res.status(403).json({ message: 'You cannot assign a role with permissions you do not have' });
+    }
+
     // Check if admin already exists
     const Admin = (await import('../models/Admin.js')).default;
     const existingAdmin = await Admin.findOne({ $or: [{ email }, { username }] });
@@ -676,7 +926,7 @@ export const createAdmin = async (req, res) => {
       username,
       email,
       password,
-      role: role || 'admin',
+      role: newRole,
       isActive: true,
     });
 
@@ -710,15 +960,15 @@ export const getFinanceOverview = async (req, res) => {
         { $group: { _id: null, total: { $sum: '$amount' } } }
       ]),
       Transaction.aggregate([
-        { $match: { type: { $in: ['bonus', 'daily_reward', 'level_reward', 'referral'] }, status: 'completed' } },
+        { $match: { type: { $in: ['bonus', 'daily_reward', 'level_reward', 'referral', 'pairing_bonus'] }, status: 'completed' } },
         { $group: { _id: null, total: { $sum: '$amount' } } }
       ])
     ]);
 
-    const totalDeposits = approvedDeposits[0]?.total || 0;
-    const totalWithdrawals = approvedWithdrawals[0]?.total || 0;
-    const totalBonuses = completedBonuses[0]?.total || 0;
-    const available = totalDeposits - totalWithdrawals - totalBonuses;
+    const totalDeposits = money.toDecimal(approvedDeposits[0]?.total);
+    const totalWithdrawals = money.toDecimal(approvedWithdrawals[0]?.total);
+    const totalBonuses = money.toDecimal(completedBonuses[0]?.total);
+    const available = money.sub(money.sub(totalDeposits, totalWithdrawals), totalBonuses);
 
     res.json({
       totalUsers,
@@ -760,7 +1010,7 @@ export const getUserAverages = async (req, res) => {
     const transactionsData = await Transaction.aggregate([
       { 
         $match: { 
-          type: { $in: ['deposit', 'withdrawal', 'bonus', 'daily_reward', 'level_reward', 'referral'] },
+          type: { $in: ['deposit', 'withdrawal', 'bonus', 'daily_reward', 'level_reward', 'referral', 'pairing_bonus'] },
           status: 'completed',
           createdAt: { $lte: periodEnd } // include all transactions before period end
         } 
@@ -793,10 +1043,11 @@ export const getUserAverages = async (req, res) => {
         let txActiveDays = Math.min(activeDays, Math.ceil((periodEnd - txDate) / (1000 * 60 * 60 * 24)));
         if (txActiveDays <= 0) return; // ignore transactions outside active period
 
+        // Weighted averages are statistics, so plain numbers are precise enough here
         if (tx.type === 'deposit') {
-          weightedTotal += tx.amount * txActiveDays;
+          weightedTotal += money.toNumber(tx.amount) * txActiveDays;
         } else if (tx.type === 'withdrawal') {
-          weightedTotal -= tx.amount * txActiveDays;
+          weightedTotal -= money.toNumber(tx.amount) * txActiveDays;
         }
       });
 
@@ -806,13 +1057,13 @@ export const getUserAverages = async (req, res) => {
       // Calculate total deposits, withdrawals, bonuses
       const depositsLastPeriod = userTransactions
         .filter(t => t.type === 'deposit')
-        .reduce((sum, t) => sum + t.amount, 0);
+        .reduce((sum, t) => money.add(sum, t.amount), money.toDecimal(0));
       const withdrawalsLastPeriod = userTransactions
         .filter(t => t.type === 'withdrawal')
-        .reduce((sum, t) => sum + t.amount, 0);
+        .reduce((sum, t) => money.add(sum, t.amount), money.toDecimal(0));
       const bonusesLastPeriod = userTransactions
-        .filter(t => ['bonus', 'daily_reward', 'level_reward', 'referral'].includes(t.type))
-        .reduce((sum, t) => sum + t.amount, 0);
+        .filter(t => ['bonus', 'daily_reward', 'level_reward', 'referral', 'pairing_bonus'].includes(t.type))
+        .reduce((sum, t) => money.add(sum, t.amount), money.toDecimal(0));
 
       return {
         userId: user._id,
@@ -844,3 +1095,64 @@ export const getUserAverages = async (req, res) => {
     res.status(500).json({ message: error.message });
   }
 };
+
+// @desc    Get a user's journal entries with stored vs derived balance
+// @route   GET /api/admin/finance/ledger/:userId
+// @access  Private/Admin
+export const getUserLedger = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const user = await User.findById(req.params.userId).select('username email balance').lean();
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const filter = { 'legs.account': userAccount(user._id) };
+    const [entries, total, derivedBalance] = await Promise.all([
+      JournalEntry.find(filter)
+        .populate('transaction', 'type amount status description')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      JournalEntry.countDocuments(filter),
+      deriveUserBalance(user._id)
+    ]);
+
+    res.json({
+      user,
+      storedBalance: user.balance,
+      derivedBalance,
+      difference: money.sub(user.balance, derivedBalance),
+      data: entries,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Get ledger trial balance per account
+// @route   GET /api/admin/finance/ledger
+// @access  Private/Admin
+export const getLedgerTrialBalance = async (req, res) => {
+  try {
+    const accounts = await getTrialBalance();
+    const net = money.add(...accounts.map(account => account.net));
+
+    res.json({
+      accounts,
+      balanced: money.isZero(net),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -1,15 +1,46 @@
 import User from '../models/User.js';
 import Admin from '../models/Admin.js';
-import { generateToken } from '../middleware/auth.js';
+import TransactionHashClaim from '../models/TransactionHashClaim.js';
 import mongoose from 'mongoose';
 import { getSetting, getSettings } from '../utils/settingsHelper.js';
+import { withTransaction } from '../utils/dbTransaction.js';
+import { claimTransactionHash, normalizeTransactionHash, recordDuplicateAttempt, DuplicateTransactionHashError } from '../utils/transactionHashClaims.js';
+import { getWithdrawalPolicy } from '../utils/withdrawalPolicy.js';
+import { choosePlacementSide, ensureTreeNode, placeInTree, PLACEMENT_STRATEGIES } from '../utils/binaryTree.js';
+import { getCommissionRates } from '../utils/referralCommissions.js';
+import { findAttributedVisit, linkReferralSignup, recordReferralVisit } from '../utils/referralTracking.js';
+import { setLeaderboardName } from '../utils/leaderboards.js';
+import {
+  generateAccessToken,
+  listActiveSessions,
+  refreshSession,
+  revokeAllSessions,
+  revokeSession,
+  SessionError,
+  startSession,
+} from '../utils/sessions.js';
+import {
+  challengeTwoFactor,
+  generateSetupToken,
+  SETUP_TOKEN_EXPIRE,
+  TwoFactorError,
+  verifyTwoFactorCode,
+} from '../utils/twoFactor.js';
+import { consumeAccountToken, sendAccountToken } from '../utils/accountTokens.js';
+import { sendInBackground, sendMail } from '../utils/mailer.js';
+import * as money from '../utils/money.js';
 
 // @desc    Register new user
 // @route   POST /api/auth/register
 // @access  Public
 export const register = async (req, res) => {
   try {
-    const { username, email, password, referralCode } = req.body;
+    const { username, email, password, referralCode, side: preferredSide, attributionToken } = req.body;
+
+    // Referral links can carry the leg the sponsor wants the recruit on
+    if (preferredSide !== undefined && preferredSide !== '' && !['left', 'right'].includes(preferredSide)) {
+      return res.status(400).json({ message: 'side must be left or right' });
+    }
 
     // Check if new registrations are enabled (with caching)
     const Settings = (await import('../models/Settings.js')).default;
@@ -42,13 +73,16 @@ export const register = async (req, res) => {
       return res.status(400).json({ message: 'User already exists' });
     }
 
-    // Handle referral
+    // Handle referral; the tracked visit supplies the sponsor when the code was not kept
+    const visit = await findAttributedVisit(attributionToken);
     let referredBy = null;
     if (referralCode) {
       const referrer = await User.findOne({ referralCode }).select('_id').lean();
       if (referrer) {
         referredBy = referrer._id;
       }
+    } else if (visit) {
+      referredBy = visit.referrer;
     }
 
     // Create user with inactive status (pending deposit verification)
@@ -67,25 +101,43 @@ export const register = async (req, res) => {
       const Referral = (await import('../models/Referral.js')).default;
       
       // Side assignment without transactions to support standalone MongoDB
-      const totalCount = await Referral.countDocuments({ referrer: referredBy });
-      const side = totalCount % 2 === 0 ? 'left' : 'right';
-      
+      const { side, strategy } = await choosePlacementSide(referredBy, preferredSide);
+
+      // The direct sponsor keeps the commission rate in force at sign-up
+      const [commissionRate] = await getCommissionRates();
+
       // Create referral without transaction
       await Referral.create({
         referrer: referredBy,
         referred: user._id,
         side,
+        placementStrategy: strategy,
+        commissionRate,
         isActive: false, // Will be activated on registration deposit approval
       });
+
+      // Place the user in the sponsor's leg of the binary tree (spilling over if needed)
+      await placeInTree({ userId: user._id, sponsorId: referredBy, side });
+
+      // Only a visit to this sponsor's link counts as the signup's source
+      if (visit && visit.referrer.toString() === referredBy.toString()) {
+        await linkReferralSignup(visit._id, user._id);
+      }
+    } else {
+      await ensureTreeNode(user._id);
     }
 
+    // A mail failure must not undo the signup; the user can ask for a new link
+    sendInBackground(sendAccountToken(user, 'email_verification'));
+
     if (user) {
       res.status(201).json({
         _id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: user.emailVerified,
         referralCode: user.referralCode,
-        token: generateToken(user._id),
+        ...(await startSession(user._id, 'User', req)),
       });
     } else {
       res.status(400).json({ message: 'Invalid user data' });
@@ -126,6 +178,18 @@ export const login = async (req, res) => {
         });
       }
 
+      // The `requireVerifiedEmailForLogin` setting turns away unverified addresses
+      const requireVerifiedEmail = await getSetting(Settings, 'requireVerifiedEmailForLogin', false);
+      if (requireVerifiedEmail && !user.emailVerified) {
+        return res.status(403).json({
+          message: 'Please verify your email address before logging in. Check your inbox for the link.',
+          emailNotVerified: true
+        });
+      }
+
+      // Accounts with two-factor enabled also need a code
+      await challengeTwoFactor('user', user, req.body.twoFactorCode);
+
       // Update last login
       user.lastLogin = new Date();
       await user.save();
@@ -134,17 +198,21 @@ export const login = async (req, res) => {
         _id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: user.emailVerified,
         referralCode: user.referralCode,
         balance: user.balance,
         isActive: user.isActive,
         registrationDepositVerified: user.registrationDepositVerified,
         achievedLevels: user.achievedLevels || [],
-        token: generateToken(user._id),
+        ...(await startSession(user._id, 'User', req)),
       });
     } else {
       res.status(401).json({ message: 'Invalid email or password' });
     }
   } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
     res.status(500).json({ message: error.message });
   }
 };
@@ -160,6 +228,19 @@ export const adminLogin = async (req, res) => {
     const admin = await Admin.findOne({ email }).select('+password');
 
     if (admin && (await admin.matchPassword(password))) {
+      // Two-factor is mandatory for admins: until they enroll they only get a token for
+      // the setup routes, and enrolling finishes the login
+      if (!admin.twoFactorEnabled) {
+        return res.json({
+          message: 'Set up two-factor authentication to continue',
+          twoFactorSetupRequired: true,
+          setupToken: generateSetupToken(admin._id),
+          expiresIn: SETUP_TOKEN_EXPIRE,
+        });
+      }
+
+      await verifyTwoFactorCode('admin', admin._id, req.body.twoFactorCode);
+
       // Update last login
       admin.lastLogin = new Date();
       await admin.save();
@@ -170,11 +251,104 @@ export const adminLogin = async (req, res) => {
         email: admin.email,
         role: admin.role,
         isAdmin: true,
-        token: generateToken(admin._id),
+        ...(await startSession(admin._id, 'Admin', req)),
       });
     } else {
       res.status(401).json({ message: 'Invalid email or password' });
     }
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Exchange a refresh token for a new access and refresh token
+// @route   POST /api/auth/refresh
+// @access  Public
+export const refreshAccessToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'refreshToken is required' });
+    }
+
+    const tokens = await refreshSession(refreshToken, req);
+
+    res.json(tokens);
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(error.statusCode).json({ message: error.message, sessionRevoked: true });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Log out: revoke the current session
+// @route   POST /api/auth/logout
+// @access  Private
+export const logout = async (req, res) => {
+  try {
+    await revokeSession(req.authSession._id, 'logout');
+
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    List the caller's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+    const currentId = req.authSession._id.toString();
+
+    res.json({
+      data: sessions.map(session => ({
+        ...session,
+        current: session._id.toString() === currentId
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Revoke one of the caller's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+export const revokeOwnSession = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const session = await revokeSession(req.params.id, 'revoked', { userId: req.user._id });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Revoke all of the caller's sessions (`?keepCurrent=true` keeps this one)
+// @route   DELETE /api/auth/sessions
+// @access  Private
+export const revokeOwnSessions = async (req, res) => {
+  try {
+    const except = req.query.keepCurrent === 'true' ? req.authSession._id : undefined;
+
+    const revoked = await revokeAllSessions(req.user._id, { except, reason: 'revoked_all' });
+
+    res.json({ message: 'Sessions revoked', revoked });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -192,6 +366,7 @@ export const getProfile = async (req, res) => {
         _id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: user.emailVerified === true,
         walletAddress: user.walletAddress,
         balance: user.balance,
         totalDeposits: user.totalDeposits,
@@ -201,8 +376,11 @@ export const getProfile = async (req, res) => {
         spinWheelCount: user.spinWheelCount,
         spinWheelLastUsed: user.spinWheelLastUsed,
         achievedLevels: user.achievedLevels || [],
+        placementStrategy: user.placementStrategy || 'alternate',
+        leaderboardOptOut: user.leaderboardOptOut === true,
+        twoFactorEnabled: user.twoFactorEnabled === true,
         createdAt: user.createdAt,
-        isAdmin: user.isAdmin,
+        isAdmin: false,
       });
     } else {
       res.status(404).json({ message: 'User not found' });
@@ -212,6 +390,15 @@ export const getProfile = async (req, res) => {
   }
 };
 
+// Changing the email, wallet address or password needs a two-factor code
+export const isSensitiveProfileChange = (req) => {
+  const { email, walletAddress, password } = req.body || {};
+
+  return Boolean(password)
+    || Boolean(email && String(email).toLowerCase() !== req.user.email)
+    || Boolean(walletAddress && walletAddress !== req.user.walletAddress);
+};
+
 // @desc    Update user profile
 // @route   PUT /api/auth/profile
 // @access  Private
@@ -224,21 +411,69 @@ export const updateProfile = async (req, res) => {
       user.email = req.body.email || user.email;
       user.walletAddress = req.body.walletAddress || user.walletAddress;
 
+      if (req.body.placementStrategy !== undefined) {
+        if (!PLACEMENT_STRATEGIES.includes(req.body.placementStrategy)) {
+          return res.status(400).json({ message: `placementStrategy must be one of: ${PLACEMENT_STRATEGIES.join(', ')}` });
+        }
+        user.placementStrategy = req.body.placementStrategy;
+      }
+
+      if (req.body.leaderboardOptOut !== undefined) {
+        if (typeof req.body.leaderboardOptOut !== 'boolean') {
+          return res.status(400).json({ message: 'leaderboardOptOut must be true or false' });
+        }
+        user.leaderboardOptOut = req.body.leaderboardOptOut;
+      }
+      const leaderboardNameChanged = user.isModified('leaderboardOptOut') || user.isModified('username');
+
       if (req.body.password) {
         user.password = req.body.password;
       }
 
+      // A new address has to be verified again
+      const emailChanged = user.isModified('email');
+      if (emailChanged) {
+        user.emailVerified = false;
+        user.emailVerifiedAt = undefined;
+      }
+
+      const passwordChanged = user.isModified('password');
       const updatedUser = await user.save();
 
+      // A new password signs out every other device
+      if (passwordChanged) {
+        await revokeAllSessions(updatedUser._id, { except: req.authSession._id, reason: 'password_changed' });
+        sendInBackground(sendMail({
+          to: updatedUser.email,
+          template: 'password_changed',
+          data: { username: updatedUser.username, changedAt: new Date() },
+        }));
+      }
+
+      if (emailChanged) {
+        sendInBackground(sendAccountToken(updatedUser, 'email_verification'));
+      }
+
+      // Stored leaderboards show the new name (or hide it) without waiting for a refresh
+      if (leaderboardNameChanged) {
+        await setLeaderboardName(updatedUser._id, {
+          optOut: updatedUser.leaderboardOptOut,
+          username: updatedUser.username,
+        });
+      }
+
       res.json({
         _id: updatedUser._id,
         username: updatedUser.username,
         email: updatedUser.email,
+        emailVerified: updatedUser.emailVerified,
         walletAddress: updatedUser.walletAddress,
         balance: updatedUser.balance,
+        placementStrategy: updatedUser.placementStrategy,
+        leaderboardOptOut: updatedUser.leaderboardOptOut,
         referralCode: updatedUser.referralCode,
-        isAdmin: updatedUser.isAdmin,
-        token: generateToken(updatedUser._id),
+        isAdmin: false,
+        token: generateAccessToken(updatedUser._id, req.authSession._id),
       });
     } else {
       res.status(404).json({ message: 'User not found' });
@@ -248,17 +483,135 @@ export const updateProfile = async (req, res) => {
   }
 };
 
+// @desc    Verify an email address with the token from the emailed link
+// @route   POST /api/auth/verify-email
+// @access  Public
+export const verifyEmail = async (req, res) => {
+  try {
+    const accountToken = await consumeAccountToken(req.body.token, 'email_verification');
+
+    if (!accountToken) {
+      return res.status(400).json({ message: 'Invalid or expired verification link' });
+    }
+
+    // The link only verifies the address it was sent to
+    const user = await User.findOneAndUpdate(
+      { _id: accountToken.user, email: accountToken.email },
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({ message: 'This link is for an email address the account no longer uses' });
+    }
+
+    res.json({ message: 'Email address verified', email: user.email, emailVerified: true });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Lookups by a submitted address; a string is required so the query cannot carry operators
+const findUserByEmail = (email) => {
+  if (!email || typeof email !== 'string') return null;
+  return User.findOne({ email: email.trim().toLowerCase() });
+};
+
+// @desc    Send a new verification link
+// @route   POST /api/auth/verify-email/resend
+// @access  Public
+export const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await findUserByEmail(req.body.email);
+
+    if (user && !user.emailVerified) {
+      sendInBackground(sendAccountToken(user, 'email_verification'));
+    }
+
+    // The same answer either way, so the endpoint does not reveal which addresses exist
+    res.json({ message: 'If the address belongs to an unverified account, a new link has been sent' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Email a password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+export const forgotPassword = async (req, res) => {
+  try {
+    const user = await findUserByEmail(req.body.email);
+
+    if (user) {
+      sendInBackground(sendAccountToken(user, 'password_reset'));
+    }
+
+    res.json({ message: 'If an account exists for this email, a password reset link has been sent' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Set a new password with the token from the emailed link
+// @route   POST /api/auth/reset-password
+// @access  Public
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    // Checked before the token is used up, so a rejected password does not burn the link
+    if (!password || typeof password !== 'string' || password.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters' });
+    }
+
+    const accountToken = await consumeAccountToken(token, 'password_reset');
+    if (!accountToken) {
+      return res.status(400).json({ message: 'Invalid or expired reset link' });
+    }
+
+    const user = await User.findById(accountToken.user);
+    if (!user || user.email !== accountToken.email) {
+      return res.status(400).json({ message: 'Invalid or expired reset link' });
+    }
+
+    user.password = password;
+    // Opening the link proves the user controls the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    // Whoever knew the old password is signed out everywhere
+    await revokeAllSessions(user._id, { reason: 'password_reset' });
+    sendInBackground(sendMail({
+      to: user.email,
+      template: 'password_changed',
+      data: { username: user.username, changedAt: new Date() },
+    }));
+
+    res.json({ message: 'Password has been reset, please log in' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
 // @desc    Submit registration deposit
 // @route   POST /api/auth/registration-deposit
 // @access  Public
 export const submitRegistrationDeposit = async (req, res) => {
   try {
-    const { userId, transactionHash, amount } = req.body;
+    const { userId, transactionHash } = req.body;
+    const amount = money.parseAmount(req.body.amount);
 
-    if (amount < 60) {
+    if (!amount || money.compare(amount, 60) < 0) {
       return res.status(400).json({ message: 'Minimum deposit amount is $60' });
     }
 
+    if (!normalizeTransactionHash(transactionHash)) {
+      return res.status(400).json({ message: 'A transaction hash is required' });
+    }
+
     const user = await User.findById(userId);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
@@ -268,43 +621,119 @@ export const submitRegistrationDeposit = async (req, res) => {
       return res.status(400).json({ message: 'Registration deposit already submitted' });
     }
 
-    // Update user with deposit info
-    user.registrationDepositPaid = true;
-    user.registrationDepositAmount = amount;
-    await user.save();
-
-    // Get wallet address from settings
+    // The wallet the deposit was sent from; without one the deposit wallet from settings is
+    // recorded, and the deposit can only be approved manually
     const Settings = (await import('../models/Settings.js')).default;
     let depositWalletSetting = await Settings.findOne({ key: 'depositWallet' });
-    const walletAddress = depositWalletSetting?.value || process.env.DEPOSIT_WALLET || '0x1ab174ddf2fb97bd3cf3362a98b103a6f3852a67';
+    const walletAddress = req.body.walletAddress || depositWalletSetting?.value || process.env.DEPOSIT_WALLET || '0x1ab174ddf2fb97bd3cf3362a98b103a6f3852a67';
 
-    // Create deposit record with registration flag
     const Deposit = (await import('../models/Deposit.js')).default;
-    const deposit = await Deposit.create({
-      user: userId,
-      amount,
-      transactionHash,
-      walletAddress,
-      status: 'pending',
-      proof: '',
-      isRegistrationDeposit: true,
-    });
-
-    // Create transaction record
     const Transaction = (await import('../models/Transaction.js')).default;
-    await Transaction.create({
-      user: userId,
-      type: 'deposit',
-      amount,
-      transactionHash,
-      status: 'pending',
-      description: 'Registration deposit - pending verification',
+
+    const deposit = await withTransaction(async (session) => {
+      // Update user with deposit info; the filter makes a concurrent second submission a no-op
+      const claimed = await User.findOneAndUpdate(
+        { _id: userId, registrationDepositPaid: { $ne: true } },
+        { registrationDepositPaid: true, registrationDepositAmount: amount },
+        { session }
+      );
+      if (!claimed) return null;
+
+      const depositId = new mongoose.Types.ObjectId();
+
+      try {
+        // Reserve the hash first so the same on-chain transfer cannot back two deposits
+        await claimTransactionHash({ hash: transactionHash, deposit: depositId, user: userId, session });
+
+        // Create deposit record with registration flag
+        const [created] = await Deposit.create([{
+          _id: depositId,
+          user: userId,
+          amount,
+          transactionHash,
+          walletAddress,
+          status: 'pending',
+          proof: '',
+          isRegistrationDeposit: true,
+        }], { session });
+
+        // Create transaction record
+        await Transaction.create([{
+          user: userId,
+          type: 'deposit',
+          amount,
+          transactionHash,
+          status: 'pending',
+          description: 'Registration deposit - pending verification',
+          sourceType: 'deposit',
+          sourceId: created._id,
+        }], { session });
+
+        return created;
+      } catch (error) {
+        // Without a transaction the flag set above is not rolled back, so the submission is
+        // undone by hand and the user is never left marked paid without a deposit
+        if (!session) {
+          await Deposit.deleteOne({ _id: depositId });
+          await TransactionHashClaim.deleteOne({ deposit: depositId });
+          await User.updateOne(
+            { _id: userId },
+            { registrationDepositPaid: false, registrationDepositAmount: claimed.registrationDepositAmount }
+          );
+        }
+        throw error;
+      }
     });
 
+    if (!deposit) {
+      return res.status(400).json({ message: 'Registration deposit already submitted' });
+    }
+
     res.status(201).json({
       message: 'Registration deposit submitted successfully. Please wait for admin verification.',
       deposit,
     });
+  } catch (error) {
+    if (error instanceof DuplicateTransactionHashError) {
+      await recordDuplicateAttempt(error.hash, {
+        user: req.body.userId,
+        submittedHash: req.body.transactionHash,
+        amount: req.body.amount,
+        isRegistrationDeposit: true,
+      });
+      return res.status(409).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Record a visit to a referral link
+// @route   POST /api/auth/referral-visits
+// @access  Public
+export const trackReferralVisit = async (req, res) => {
+  try {
+    const { referralCode, campaign } = req.body;
+
+    if (!referralCode || typeof referralCode !== 'string') {
+      return res.status(400).json({ message: 'referralCode is required' });
+    }
+
+    const tracked = await recordReferralVisit({
+      referralCode,
+      campaign,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+
+    if (!tracked) {
+      return res.status(404).json({ message: 'Invalid referral code' });
+    }
+
+    // Passed back as `attributionToken` when registering
+    res.status(201).json({
+      attributionToken: tracked.token,
+      expiresIn: tracked.expiresIn,
+    });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -338,6 +767,9 @@ export const getPublicSettings = async (req, res) => {
     let withdrawLockAmount = await Settings.findOne({ key: 'withdrawLockAmount' });
     let withdrawLockDays = await Settings.findOne({ key: 'withdrawLockDays' });
 
+    // Fee, limits and network so the frontend can preview the net payout
+    const withdrawalPolicy = await getWithdrawalPolicy();
+
     res.json({
       depositWallet: depositWallet.value,
       depositQrUrl: depositQrUrl?.value || '',
@@ -345,6 +777,7 @@ export const getPublicSettings = async (req, res) => {
       maxDailyReward: maxDailyReward?.value || 0.8,
       withdrawLockAmount: withdrawLockAmount?.value || 65,
       withdrawLockDays: withdrawLockDays?.value || 90,
+      withdrawalPolicy,
     });
   } catch (error) {
     res.status(500).json({ message: error.message });
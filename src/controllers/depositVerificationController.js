@@ -0,0 +1,30 @@
+import Deposit from '../models/Deposit.js';
+import { getChainProvider } from '../utils/chainProviders.js';
+import { verifyDeposit } from '../utils/depositVerification.js';
+import { DuplicateTransactionHashError } from '../utils/transactionHashClaims.js';
+
+// @desc    Check a deposit against the chain (and auto-approve it if enabled)
+// @route   POST /api/admin/deposits/:id/verify
+// @access  Private/Admin
+export const verifyDepositOnChain = async (req, res) => {
+  try {
+    if (!getChainProvider()) {
+      return res.status(503).json({ message: 'On-chain verification is not configured. Set CHAIN_PROVIDER.' });
+    }
+
+    const deposit = await Deposit.findById(req.params.id).lean();
+
+    if (!deposit) {
+      return res.status(404).json({ message: 'Deposit not found' });
+    }
+
+    const updated = await verifyDeposit(deposit);
+
+    res.json(updated);
+  } catch (error) {
+    if (error instanceof DuplicateTransactionHashError) {
+      return res.status(409).json({ message: 'This transaction hash is already claimed by another deposit' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
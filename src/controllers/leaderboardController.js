@@ -0,0 +1,59 @@
+import {
+  getLeaderboard,
+  getUserRank,
+  LEADERBOARD_PERIODS,
+  LEADERBOARDS,
+  refreshLeaderboards,
+} from '../utils/leaderboards.js';
+
+// @desc    Get a leaderboard with the user's own rank
+// @route   GET /api/user/leaderboards/:board
+// @access  Private
+export const getLeaderboardView = async (req, res) => {
+  try {
+    const { board } = req.params;
+    const period = req.query.period || 'all_time';
+
+    if (!LEADERBOARDS.includes(board)) {
+      return res.status(404).json({ message: `Leaderboard must be one of: ${LEADERBOARDS.join(', ')}` });
+    }
+    if (!LEADERBOARD_PERIODS.includes(period)) {
+      return res.status(400).json({ message: `period must be one of: ${LEADERBOARD_PERIODS.join(', ')}` });
+    }
+
+    const leaderboard = await getLeaderboard(board, period);
+    if (!leaderboard) {
+      // Nothing has been computed yet
+      return res.json({ board, period, computedAt: null, totalRanked: 0, entries: [], me: null });
+    }
+
+    const userId = req.user._id.toString();
+    const { snapshot, ...details } = leaderboard;
+
+    res.json({
+      ...details,
+      // Users who opted out are listed without their name or id
+      entries: leaderboard.entries.map(({ user, ...entry }) => ({
+        ...entry,
+        user: entry.username || user === userId ? user : undefined,
+        isMe: user === userId,
+      })),
+      me: await getUserRank(snapshot, req.user._id),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Recompute every leaderboard now
+// @route   POST /api/admin/leaderboards/refresh
+// @access  Private/Admin
+export const refreshLeaderboardsNow = async (req, res) => {
+  try {
+    const results = await refreshLeaderboards();
+
+    res.json({ results });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -0,0 +1,205 @@
+import LevelPlan from '../models/LevelPlan.js';
+import { withTransaction } from '../utils/dbTransaction.js';
+import { DEFAULT_LEVEL_PLAN, LevelPlanValidationError, validateLevels } from '../utils/levelPlans.js';
+import { reevaluateAllLevelRewards } from '../utils/levelRewards.js';
+
+// @desc    Get all level plans, newest version first
+// @route   GET /api/admin/level-plans
+// @access  Private/Admin
+export const getLevelPlans = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = req.query.status ? { status: req.query.status } : {};
+
+    const [plans, total, active] = await Promise.all([
+      LevelPlan.find(filter)
+        .sort({ version: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      LevelPlan.countDocuments(filter),
+      LevelPlan.exists({ status: 'active' })
+    ]);
+
+    res.json({
+      data: plans,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      },
+      // Rewards fall back to the built-in plan until one is activated
+      activePlan: active ? active._id : null,
+      builtInPlan: active ? undefined : DEFAULT_LEVEL_PLAN
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Get a level plan
+// @route   GET /api/admin/level-plans/:id
+// @access  Private/Admin
+export const getLevelPlan = async (req, res) => {
+  try {
+    const plan = await LevelPlan.findById(req.params.id).lean();
+
+    if (!plan) {
+      return res.status(404).json({ message: 'Level plan not found' });
+    }
+
+    res.json(plan);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Create a draft level plan as the next version
+// @route   POST /api/admin/level-plans
+// @access  Private/Admin
+export const createLevelPlan = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ message: 'A plan name is required' });
+    }
+
+    const levels = validateLevels(req.body.levels);
+    const latest = await LevelPlan.findOne({}).sort({ version: -1 }).select('version').lean();
+
+    const plan = await LevelPlan.create({
+      name,
+      description,
+      levels,
+      version: (latest?.version || 0) + 1,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json(plan);
+  } catch (error) {
+    if (error instanceof LevelPlanValidationError) {
+      return res.status(400).json({ message: error.message, errors: error.details });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'Another plan was created at the same time, please retry' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Edit a draft level plan
+// @route   PUT /api/admin/level-plans/:id
+// @access  Private/Admin
+export const updateLevelPlan = async (req, res) => {
+  try {
+    const plan = await LevelPlan.findById(req.params.id);
+
+    if (!plan) {
+      return res.status(404).json({ message: 'Level plan not found' });
+    }
+
+    if (plan.status !== 'draft') {
+      return res.status(409).json({ message: `A plan that has been ${plan.status === 'active' ? 'activated' : 'archived'} cannot be edited; create a new version instead` });
+    }
+
+    const { name, description, levels } = req.body;
+    if (name !== undefined) {
+      if (!String(name).trim()) {
+        return res.status(400).json({ message: 'A plan name is required' });
+      }
+      plan.name = name;
+    }
+    if (description !== undefined) plan.description = description;
+    if (levels !== undefined) plan.levels = validateLevels(levels);
+
+    await plan.save();
+
+    res.json(plan);
+  } catch (error) {
+    if (error instanceof LevelPlanValidationError) {
+      return res.status(400).json({ message: error.message, errors: error.details });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Delete a draft level plan
+// @route   DELETE /api/admin/level-plans/:id
+// @access  Private/Admin
+export const deleteLevelPlan = async (req, res) => {
+  try {
+    const plan = await LevelPlan.findOneAndDelete({ _id: req.params.id, status: 'draft' });
+
+    if (!plan) {
+      const exists = await LevelPlan.exists({ _id: req.params.id });
+      if (exists) {
+        return res.status(409).json({ message: 'Only draft plans can be deleted' });
+      }
+      return res.status(404).json({ message: 'Level plan not found' });
+    }
+
+    res.json({ message: 'Level plan deleted' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Activate a level plan, archiving the current one
+// @route   POST /api/admin/level-plans/:id/activate
+// @access  Private/Admin
+export const activateLevelPlan = async (req, res) => {
+  try {
+    const plan = await LevelPlan.findById(req.params.id);
+
+    if (!plan) {
+      return res.status(404).json({ message: 'Level plan not found' });
+    }
+
+    if (plan.status === 'active') {
+      return res.status(409).json({ message: 'Level plan is already active' });
+    }
+
+    // Archived plans can be reactivated to roll back; their rules never changed
+    const activated = await withTransaction(async (session) => {
+      await LevelPlan.updateOne(
+        { status: 'active' },
+        { status: 'archived', archivedAt: new Date() },
+        { session }
+      );
+
+      const updated = await LevelPlan.findOneAndUpdate(
+        { _id: plan._id },
+        { status: 'active', activatedBy: req.user._id, activatedAt: new Date() },
+        { new: true, session }
+      );
+      // Abort (and keep the current plan) if the draft was deleted meanwhile
+      if (!updated) throw new Error('Level plan was deleted while activating');
+      return updated;
+    });
+
+    res.json(activated);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'Another plan was activated at the same time, please retry' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Re-evaluate every user against the active plan (`dryRun` lists what would be awarded)
+// @route   POST /api/admin/level-rewards/reevaluate
+// @access  Private/Admin
+export const reevaluateLevelRewards = async (req, res) => {
+  try {
+    const report = await reevaluateAllLevelRewards({ dryRun: req.body.dryRun === true });
+
+    res.json(report);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
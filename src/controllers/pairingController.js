@@ -0,0 +1,111 @@
+import PairingRun from '../models/PairingRun.js';
+import PairingPayout from '../models/PairingPayout.js';
+import { getPairingSettings, runPairing } from '../utils/pairing.js';
+
+// @desc    Run (or resume) today's pairing bonus
+// @route   POST /api/admin/pairing/runs
+// @access  Private/Admin
+export const startPairingRun = async (req, res) => {
+  try {
+    const { enabled } = await getPairingSettings();
+    if (!enabled) {
+      return res.status(403).json({
+        message: 'The pairing bonus is disabled. Enable the pairingBonusEnabled setting first.',
+        pairingDisabled: true
+      });
+    }
+
+    const { run, alreadyRunning, alreadyCompleted } = await runPairing({ trigger: 'manual', triggeredBy: req.user._id });
+
+    if (alreadyRunning) {
+      return res.status(409).json({ message: 'Today\'s pairing run is already in progress', run });
+    }
+    if (alreadyCompleted) {
+      return res.status(409).json({ message: 'Today\'s pairing run has already been paid', run });
+    }
+
+    res.status(201).json(run);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    List pairing runs
+// @route   GET /api/admin/pairing/runs
+// @access  Private/Admin
+export const getPairingRuns = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const [runs, total] = await Promise.all([
+      PairingRun.find({})
+        .populate('triggeredBy', 'username email')
+        .sort({ runDate: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      PairingRun.countDocuments({})
+    ]);
+
+    res.json({
+      data: runs,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Get a pairing run with its payouts
+// @route   GET /api/admin/pairing/runs/:id
+// @access  Private/Admin
+export const getPairingRun = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const run = await PairingRun.findById(req.params.id)
+      .populate('triggeredBy', 'username email')
+      .lean();
+
+    if (!run) {
+      return res.status(404).json({ message: 'Pairing run not found' });
+    }
+
+    const filter = { run: run._id };
+    if (req.query.capped === 'true') filter.capped = { $gt: 0 };
+
+    const [payouts, total] = await Promise.all([
+      PairingPayout.find(filter)
+        .populate('user', 'username email')
+        .sort({ amount: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      PairingPayout.countDocuments(filter)
+    ]);
+
+    res.json({
+      run,
+      payouts: {
+        data: payouts,
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -0,0 +1,289 @@
+import mongoose from 'mongoose';
+import PayoutBatch from '../models/PayoutBatch.js';
+import Withdrawal from '../models/Withdrawal.js';
+import { withTransaction } from '../utils/dbTransaction.js';
+import { processWithdrawal } from '../utils/withdrawalProcessing.js';
+import { parseCsv, toCsv } from '../utils/csv.js';
+import * as money from '../utils/money.js';
+
+const EXPORT_COLUMNS = ['address', 'amount', 'withdrawal_id'];
+
+// Recompute a batch's settled totals from its withdrawals, completing it once none are left processing
+const refreshBatchTotals = async (batch) => {
+  const groups = await Withdrawal.aggregate([
+    { $match: { payoutBatch: batch._id } },
+    { $group: { _id: '$status', count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+  ]);
+  const byStatus = Object.fromEntries(groups.map(group => [group._id, group]));
+
+  batch.approvedCount = byStatus.approved?.count || 0;
+  batch.approvedAmount = money.toDecimal(byStatus.approved?.amount);
+  batch.failedCount = byStatus.rejected?.count || 0;
+  batch.failedAmount = money.toDecimal(byStatus.rejected?.amount);
+
+  if (!byStatus.processing && batch.status !== 'completed') {
+    batch.status = 'completed';
+    batch.completedAt = new Date();
+  }
+};
+
+// Settle one row of a results CSV: a transaction hash marks the payout approved; a row
+// with status "failed" marks it failed and refunds the user. A row with neither is an error,
+// so a blank cell never refunds a payout that may have been sent.
+const settleRow = async (batch, row, adminId) => {
+  const result = { line: row._line, transactionHash: row.transaction_hash || undefined };
+
+  if (!mongoose.Types.ObjectId.isValid(row.withdrawal_id)) {
+    return { ...result, outcome: 'error', message: 'Invalid withdrawal_id' };
+  }
+
+  const withdrawal = await Withdrawal.findOne({ _id: row.withdrawal_id, payoutBatch: batch._id });
+  if (!withdrawal) {
+    return { ...result, outcome: 'error', message: 'Withdrawal is not in this batch' };
+  }
+  result.withdrawal = withdrawal._id;
+
+  const rowStatus = (row.status || '').toLowerCase();
+  if (rowStatus && !['approved', 'failed'].includes(rowStatus)) {
+    return { ...result, outcome: 'error', message: `Unknown status "${row.status}"` };
+  }
+  const failed = rowStatus === 'failed';
+  if (!failed && !row.transaction_hash) {
+    return { ...result, outcome: 'error', message: 'Rows need a transaction_hash unless their status is failed' };
+  }
+
+  if (withdrawal.status !== 'processing') {
+    return { ...result, outcome: 'skipped', message: `Withdrawal has already been ${withdrawal.status}` };
+  }
+
+  const processed = await processWithdrawal(withdrawal, {
+    status: failed ? 'rejected' : 'approved',
+    transactionHash: failed ? undefined : row.transaction_hash,
+    adminNotes: failed ? `Payout failed in batch "${batch.name}"${row.reason ? `: ${row.reason}` : ''}` : undefined,
+    processedBy: adminId,
+    fromStatus: 'processing',
+  });
+
+  if (!processed) {
+    return { ...result, outcome: 'skipped', message: 'Withdrawal was settled concurrently' };
+  }
+  return { ...result, outcome: failed ? 'failed' : 'approved' };
+};
+
+// @desc    Move pending withdrawals into a new payout batch
+// @route   POST /api/admin/payout-batches
+// @access  Private/Admin
+export const createPayoutBatch = async (req, res) => {
+  try {
+    const { name, withdrawalIds } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ message: 'A batch name is required' });
+    }
+
+    if (!Array.isArray(withdrawalIds) || withdrawalIds.length === 0) {
+      return res.status(400).json({ message: 'Select at least one withdrawal' });
+    }
+
+    if (!withdrawalIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ message: 'Invalid withdrawal id' });
+    }
+
+    // Only withdrawals that are still pending join the batch; the conditional
+    // update keeps a withdrawal from landing in two batches
+    const batch = await withTransaction(async (session) => {
+      const batchId = new mongoose.Types.ObjectId();
+
+      await Withdrawal.updateMany(
+        { _id: { $in: withdrawalIds }, status: 'pending' },
+        { status: 'processing', payoutBatch: batchId },
+        { session }
+      );
+
+      try {
+        const included = await Withdrawal.find({ payoutBatch: batchId }).select('_id amount').session(session).lean();
+        if (included.length === 0) return null;
+
+        const [created] = await PayoutBatch.create([{
+          _id: batchId,
+          name,
+          withdrawals: included.map(w => w._id),
+          withdrawalCount: included.length,
+          totalAmount: money.add(...included.map(w => w.amount)),
+          createdBy: req.user._id,
+        }], { session });
+
+        return created;
+      } catch (error) {
+        if (!session) {
+          // Without transactions the withdrawals are already claimed; hand them back
+          await Withdrawal.updateMany(
+            { payoutBatch: batchId, status: 'processing' },
+            { status: 'pending', $unset: { payoutBatch: 1 } }
+          );
+        }
+        throw error;
+      }
+    });
+
+    if (!batch) {
+      return res.status(409).json({ message: 'None of the selected withdrawals are pending' });
+    }
+
+    const includedIds = new Set(batch.withdrawals.map(id => id.toString()));
+
+    res.status(201).json({
+      batch,
+      skipped: withdrawalIds.filter(id => !includedIds.has(String(id))),
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    List payout batches
+// @route   GET /api/admin/payout-batches
+// @access  Private/Admin
+export const getPayoutBatches = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+
+    const [batches, total] = await Promise.all([
+      PayoutBatch.find(filter)
+        .select('-withdrawals -imports')
+        .populate('createdBy', 'username email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      PayoutBatch.countDocuments(filter)
+    ]);
+
+    res.json({
+      data: batches,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Get a payout batch with its withdrawals and import history
+// @route   GET /api/admin/payout-batches/:id
+// @access  Private/Admin
+export const getPayoutBatch = async (req, res) => {
+  try {
+    const batch = await PayoutBatch.findById(req.params.id)
+      .populate('createdBy', 'username email')
+      .populate({
+        path: 'withdrawals',
+        select: 'user amount fee netAmount walletAddress status transactionHash adminNotes approvedAt',
+        populate: { path: 'user', select: 'username email' },
+      })
+      .lean();
+
+    if (!batch) {
+      return res.status(404).json({ message: 'Payout batch not found' });
+    }
+
+    res.json(batch);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Export the batch's unsettled withdrawals as CSV for the treasury wallet
+// @route   GET /api/admin/payout-batches/:id/export
+// @access  Private/Admin
+export const exportPayoutBatch = async (req, res) => {
+  try {
+    const batch = await PayoutBatch.findById(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({ message: 'Payout batch not found' });
+    }
+
+    const withdrawals = await Withdrawal.find({ payoutBatch: batch._id, status: 'processing' })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const csv = toCsv(withdrawals.map(w => ({
+      address: w.walletAddress,
+      // Pay out the amount after fees (older withdrawals have no fee)
+      amount: money.toFixedString(w.netAmount ?? w.amount),
+      withdrawal_id: w._id.toString(),
+    })), EXPORT_COLUMNS);
+
+    await PayoutBatch.updateOne(
+      { _id: batch._id },
+      { exportedAt: new Date(), $inc: { exportCount: 1 } }
+    );
+
+    const fileName = `payout-batch-${batch.name.replace(/[^a-z0-9-_]+/gi, '-')}-${batch._id}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.send(csv);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Import payout results (withdrawal_id, transaction_hash, status, reason) as CSV
+// @route   POST /api/admin/payout-batches/:id/import
+// @access  Private/Admin
+export const importPayoutBatchResults = async (req, res) => {
+  try {
+    // Accepts a raw text/csv body or JSON { "csv": "..." }
+    const csv = typeof req.body === 'string' ? req.body : req.body?.csv;
+
+    if (!csv || !csv.trim()) {
+      return res.status(400).json({ message: 'CSV content is required' });
+    }
+
+    const batch = await PayoutBatch.findById(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({ message: 'Payout batch not found' });
+    }
+
+    const rows = parseCsv(csv);
+    if (rows.length === 0) {
+      return res.status(400).json({ message: 'The CSV has no data rows' });
+    }
+    const missing = ['withdrawal_id', 'transaction_hash'].filter(column => !(column in rows[0]));
+    if (missing.length > 0) {
+      return res.status(400).json({ message: `The CSV needs a ${missing.join(' and a ')} column` });
+    }
+
+    // Each row settles in its own transaction, so one bad row does not block the rest
+    const results = [];
+    for (const row of rows) {
+      results.push(await settleRow(batch, row, req.user._id));
+    }
+
+    await refreshBatchTotals(batch);
+    batch.imports.push({ importedBy: req.user._id, rows: results });
+    await batch.save();
+
+    const summary = { approved: 0, failed: 0, skipped: 0, error: 0 };
+    results.forEach(result => summary[result.outcome]++);
+
+    res.json({
+      batch,
+      summary,
+      results,
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -0,0 +1,157 @@
+import ReconciliationRun from '../models/ReconciliationRun.js';
+import ReconciliationDiscrepancy from '../models/ReconciliationDiscrepancy.js';
+import Settings from '../models/Settings.js';
+import { runReconciliation, repairDiscrepancy, RepairError } from '../utils/reconciliation.js';
+import { getSetting } from '../utils/settingsHelper.js';
+
+// @desc    Start a reconciliation run
+// @route   POST /api/admin/finance/reconciliation/runs
+// @access  Private/Admin
+export const startReconciliationRun = async (req, res) => {
+  try {
+    const { run, alreadyRunning } = await runReconciliation({ trigger: 'manual', triggeredBy: req.user._id });
+
+    if (alreadyRunning) {
+      return res.status(409).json({ message: 'A reconciliation run is already in progress', run });
+    }
+
+    res.status(201).json(run);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    List reconciliation runs
+// @route   GET /api/admin/finance/reconciliation/runs
+// @access  Private/Admin
+export const getReconciliationRuns = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const [runs, total] = await Promise.all([
+      ReconciliationRun.find({})
+        .populate('triggeredBy', 'username email')
+        .sort({ startedAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      ReconciliationRun.countDocuments({})
+    ]);
+
+    res.json({
+      data: runs,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Get a reconciliation run with its discrepancies
+// @route   GET /api/admin/finance/reconciliation/runs/:id
+// @access  Private/Admin
+export const getReconciliationRun = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const run = await ReconciliationRun.findById(req.params.id)
+      .populate('triggeredBy', 'username email')
+      .lean();
+
+    if (!run) {
+      return res.status(404).json({ message: 'Reconciliation run not found' });
+    }
+
+    const filter = { run: run._id };
+    if (req.query.repaired === 'true') filter.repairedAt = { $exists: true };
+    if (req.query.repaired === 'false') filter.repairedAt = { $exists: false };
+
+    // Records are only returned by the single-discrepancy endpoint to keep the list light
+    const [discrepancies, total] = await Promise.all([
+      ReconciliationDiscrepancy.find(filter)
+        .select('-records')
+        .populate('user', 'username email')
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      ReconciliationDiscrepancy.countDocuments(filter)
+    ]);
+
+    res.json({
+      run,
+      discrepancies: {
+        data: discrepancies,
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Get one discrepancy with its contributing records
+// @route   GET /api/admin/finance/reconciliation/discrepancies/:id
+// @access  Private/Admin
+export const getReconciliationDiscrepancy = async (req, res) => {
+  try {
+    const discrepancy = await ReconciliationDiscrepancy.findById(req.params.id)
+      .populate('user', 'username email')
+      .populate('repairedBy', 'username email')
+      .lean();
+
+    if (!discrepancy) {
+      return res.status(404).json({ message: 'Discrepancy not found' });
+    }
+
+    res.json(discrepancy);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Post a correcting entry for a discrepancy
+// @route   POST /api/admin/finance/reconciliation/discrepancies/:id/repair
+// @access  Private/Admin
+export const repairReconciliationDiscrepancy = async (req, res) => {
+  try {
+    // Repairs move money, so they must be switched on explicitly and confirmed per request
+    const repairEnabled = await getSetting(Settings, 'reconciliationRepairEnabled', false);
+    if (repairEnabled !== true) {
+      return res.status(403).json({
+        message: 'Reconciliation repairs are disabled. Enable the reconciliationRepairEnabled setting first.',
+        repairDisabled: true
+      });
+    }
+
+    if (req.body.confirm !== true) {
+      return res.status(400).json({ message: 'Set "confirm": true to apply this repair' });
+    }
+
+    const discrepancy = await repairDiscrepancy(req.params.id, req.user._id);
+
+    res.json({
+      message: 'Discrepancy repaired',
+      discrepancy,
+    });
+  } catch (error) {
+    if (error instanceof RepairError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
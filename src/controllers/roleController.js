@@ -0,0 +1,149 @@
+import Role from '../models/Role.js';
+import Admin from '../models/Admin.js';
+import {
+  BUILT_IN_ROLES,
+  canGrant,
+  getAdminPermissions,
+  PERMISSIONS,
+  RoleValidationError,
+  validateRole,
+} from '../utils/permissions.js';
+
+// @desc    Get the current admin's role and permissions
+// @route   GET /api/admin/me/permissions
+// @access  Private/Admin
+export const getMyPermissions = async (req, res) => {
+  try {
+    const permissions = req.permissions || await getAdminPermissions(req.user);
+
+    res.json({
+      role: req.user.role,
+      builtInRole: Object.hasOwn(BUILT_IN_ROLES, req.user.role),
+      permissions
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Get built-in and custom roles with every known permission
+// @route   GET /api/admin/roles
+// @access  Private/Admin
+export const getRoles = async (req, res) => {
+  try {
+    const [customRoles, counts] = await Promise.all([
+      Role.find({}).sort({ name: 1 }).lean(),
+      Admin.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+    ]);
+    const adminCounts = new Map(counts.map(c => [c._id, c.count]));
+
+    res.json({
+      permissions: PERMISSIONS,
+      builtInRoles: Object.entries(BUILT_IN_ROLES).map(([name, permissions]) => ({
+        name,
+        permissions,
+        admins: adminCounts.get(name) || 0
+      })),
+      customRoles: customRoles.map(role => ({ ...role, admins: adminCounts.get(role.name) || 0 }))
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Create a custom role
+// @route   POST /api/admin/roles
+// @access  Private/Admin
+export const createRole = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    const permissions = validateRole(req.body);
+
+    if (!canGrant(req.permissions, permissions)) {
+      return res.status(403).json({ message: 'A role cannot grant permissions you do not have' });
+    }
+
+    const role = await Role.create({
+      name,
+      description: description || '',
+      permissions,
+      createdBy: req.user._id,
+      updatedBy: req.user._id,
+    });
+
+    res.status(201).json(role);
+  } catch (error) {
+    if (error instanceof RoleValidationError) {
+      return res.status(400).json({ message: error.message, details: error.details });
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A role with this name already exists' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Update a custom role's description or permissions
+// @route   PUT /api/admin/roles/:id
+// @access  Private/Admin
+export const updateRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    // Admins refer to their role by name, so it stays fixed
+    if (req.body.name !== undefined && req.body.name !== role.name) {
+      return res.status(400).json({ message: 'A role cannot be renamed' });
+    }
+
+    if (req.body.permissions !== undefined) {
+      const permissions = validateRole(req.body, { checkName: false });
+
+      // Both the old and the new permissions must be within the editor's own
+      if (!canGrant(req.permissions, permissions) || !canGrant(req.permissions, role.permissions)) {
+        return res.status(403).json({ message: 'A role cannot grant permissions you do not have' });
+      }
+      role.permissions = permissions;
+    }
+    if (req.body.description !== undefined) {
+      role.description = req.body.description;
+    }
+    role.updatedBy = req.user._id;
+
+    await role.save();
+
+    res.json(role);
+  } catch (error) {
+    if (error instanceof RoleValidationError) {
+      return res.status(400).json({ message: error.message, details: error.details });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Delete a custom role no admin has
+// @route   DELETE /api/admin/roles/:id
+// @access  Private/Admin
+export const deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+
+    if (!role) {
+      return res.status(404).json({ message: 'Role not found' });
+    }
+
+    const admins = await Admin.countDocuments({ role: role.name });
+    if (admins > 0) {
+      return res.status(409).json({ message: `The role is assigned to ${admins} admin(s)`, admins });
+    }
+
+    await role.deleteOne();
+
+    res.json({ message: 'Role deleted' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+import TreeMove from '../models/TreeMove.js';
+import { applyTreeMove, planTreeMove, TreeMoveError } from '../utils/treeMoves.js';
+
+// @desc    Preview moving a user (and their subtree) to another sponsor or side
+// @route   POST /api/admin/users/:id/move/preview
+// @access  Private/Admin
+export const previewUserMove = async (req, res) => {
+  try {
+    const { sponsorId, side } = req.body;
+
+    const preview = await planTreeMove(req.params.id, { sponsorId, side });
+
+    res.json(preview);
+  } catch (error) {
+    if (error instanceof TreeMoveError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    Move a user (and their subtree) to another sponsor or side
+// @route   POST /api/admin/users/:id/move
+// @access  Private/Admin
+export const moveUser = async (req, res) => {
+  try {
+    const { sponsorId, side, reason } = req.body;
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ message: 'A reason is required to move a user' });
+    }
+
+    const { move, preview } = await applyTreeMove(req.params.id, {
+      sponsorId,
+      side,
+      reason: String(reason).trim(),
+      movedBy: req.user._id,
+    });
+
+    res.status(201).json({ move, preview });
+  } catch (error) {
+    if (error instanceof TreeMoveError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// @desc    List tree moves, newest first
+// @route   GET /api/admin/tree-moves
+// @access  Private/Admin
+export const getTreeMoves = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    if (req.query.user && !mongoose.Types.ObjectId.isValid(req.query.user)) {
+      return res.status(400).json({ message: 'Invalid user id' });
+    }
+
+    const filter = req.query.user ? { user: req.query.user } : {};
+
+    const [moves, total] = await Promise.all([
+      TreeMove.find(filter)
+        .select('-uplines')
+        .populate('user', 'username email')
+        .populate('movedBy', 'username email')
+        .populate('from.sponsor to.sponsor', 'username')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      TreeMove.countDocuments(filter)
+    ]);
+
+    res.json({
+      data: moves,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
@@ -0,0 +1,124 @@
+import User from '../models/User.js';
+import { startSession } from '../utils/sessions.js';
+import {
+  beginTwoFactorSetup,
+  completeTwoFactorSetup,
+  disableTwoFactor,
+  getTwoFactorStatus,
+  regenerateBackupCodes,
+  TwoFactorError,
+  verifyTwoFactorCode,
+} from '../utils/twoFactor.js';
+
+const twoFactorErrorResponse = (res, error) => {
+  if (error instanceof TwoFactorError) {
+    return res.status(error.statusCode).json({ message: error.message, ...error.details });
+  }
+  res.status(500).json({ message: error.message });
+};
+
+// @desc    Get the caller's two-factor status
+// @route   GET /api/auth/2fa
+// @access  Private (or admin setup token)
+export const getTwoFactor = async (req, res) => {
+  try {
+    const status = await getTwoFactorStatus(req.authRealm, req.user._id);
+
+    res.json(status);
+  } catch (error) {
+    twoFactorErrorResponse(res, error);
+  }
+};
+
+// @desc    Start two-factor enrollment: a new secret and its provisioning URI
+// @route   POST /api/auth/2fa/setup
+// @access  Private (or admin setup token)
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const { secret, otpauthUrl } = await beginTwoFactorSetup(req.authRealm, req.user._id);
+
+    // `otpauthUrl` is what the frontend renders as a QR code
+    res.json({ secret, otpauthUrl });
+  } catch (error) {
+    twoFactorErrorResponse(res, error);
+  }
+};
+
+// @desc    Confirm enrollment with a code from the authenticator app
+// @route   POST /api/auth/2fa/enable
+// @access  Private (or admin setup token)
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ message: 'code is required' });
+    }
+
+    const backupCodes = await completeTwoFactorSetup(req.authRealm, req.user._id, code);
+
+    // Admins enrolling from a setup token finish their login here
+    if (req.twoFactorSetupToken) {
+      const admin = req.user;
+      admin.lastLogin = new Date();
+      await admin.save();
+
+      return res.json({
+        message: 'Two-factor authentication enabled',
+        backupCodes,
+        _id: admin._id,
+        username: admin.username,
+        email: admin.email,
+        role: admin.role,
+        isAdmin: true,
+        ...(await startSession(admin._id, 'Admin', req)),
+      });
+    }
+
+    res.json({ message: 'Two-factor authentication enabled', backupCodes });
+  } catch (error) {
+    twoFactorErrorResponse(res, error);
+  }
+};
+
+// @desc    Replace the backup codes
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+export const regenerateTwoFactorBackupCodes = async (req, res) => {
+  try {
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const backupCodes = await regenerateBackupCodes(req.authRealm, req.user._id);
+
+    res.json({ backupCodes });
+  } catch (error) {
+    twoFactorErrorResponse(res, error);
+  }
+};
+
+// @desc    Turn two-factor off (users only; it is mandatory for admins)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+export const turnOffTwoFactor = async (req, res) => {
+  try {
+    const { password, twoFactorCode } = req.body;
+
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+    if (!password || !(await user.matchPassword(password))) {
+      return res.status(401).json({ message: 'Invalid password' });
+    }
+
+    await verifyTwoFactorCode('user', user._id, twoFactorCode);
+    await disableTwoFactor('user', user._id);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    twoFactorErrorResponse(res, error);
+  }
+};
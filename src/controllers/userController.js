@@ -1,15 +1,34 @@
 import Deposit from '../models/Deposit.js';
 import Withdrawal from '../models/Withdrawal.js';
 import Transaction from '../models/Transaction.js';
+import TransactionHashClaim from '../models/TransactionHashClaim.js';
 import User from '../models/User.js';
 import { getSetting, getSettings } from '../utils/settingsHelper.js';
+import { ACCOUNTS, InsufficientFundsError, postTransfer, userAccount } from '../utils/ledger.js';
+import { withTransaction } from '../utils/dbTransaction.js';
+import { claimTransactionHash, normalizeTransactionHash, recordDuplicateAttempt, DuplicateTransactionHashError } from '../utils/transactionHashClaims.js';
+import { getWithdrawalPolicy, quoteWithdrawal, checkWithdrawalVelocity, WithdrawalPolicyError } from '../utils/withdrawalPolicy.js';
+import { getLegCounts, getSubtree, isInDownline, MAX_SUBTREE_DEPTH } from '../utils/binaryTree.js';
+import { evaluateLevelRewards } from '../utils/levelRewards.js';
+import { getReferralFunnel, visitDateFilter } from '../utils/referralTracking.js';
+import * as money from '../utils/money.js';
+import mongoose from 'mongoose';
 
 // @desc    Create deposit request
 // @route   POST /api/user/deposits
 // @access  Private
 export const createDeposit = async (req, res) => {
   try {
-    const { amount, transactionHash, walletAddress, proof } = req.body;
+    const { transactionHash, walletAddress, proof } = req.body;
+    const amount = money.parseAmount(req.body.amount);
+
+    if (!amount) {
+      return res.status(400).json({ message: 'A positive deposit amount is required' });
+    }
+
+    if (!normalizeTransactionHash(transactionHash)) {
+      return res.status(400).json({ message: 'A transaction hash is required' });
+    }
 
     // Check if deposits are enabled (with caching)
     const Settings = (await import('../models/Settings.js')).default;
@@ -22,27 +41,56 @@ export const createDeposit = async (req, res) => {
       });
     }
 
-    const deposit = await Deposit.create({
-      user: req.user._id,
-      amount,
-      transactionHash,
-      walletAddress,
-      proof,
-    });
+    const deposit = await withTransaction(async (session) => {
+      const depositId = new mongoose.Types.ObjectId();
 
-    // Create transaction record
-    await Transaction.create({
-      user: req.user._id,
-      type: 'deposit',
-      amount,
-      transactionHash,
-      walletAddress,
-      status: 'pending',
-      description: 'Deposit request',
+      // Reserve the hash first so the same on-chain transfer cannot back two deposits
+      await claimTransactionHash({ hash: transactionHash, deposit: depositId, user: req.user._id, session });
+
+      try {
+        const [created] = await Deposit.create([{
+          _id: depositId,
+          user: req.user._id,
+          amount,
+          transactionHash,
+          walletAddress,
+          proof,
+        }], { session });
+
+        // Create transaction record
+        await Transaction.create([{
+          user: req.user._id,
+          type: 'deposit',
+          amount,
+          transactionHash,
+          walletAddress,
+          status: 'pending',
+          description: 'Deposit request',
+          sourceType: 'deposit',
+          sourceId: created._id,
+        }], { session });
+
+        return created;
+      } catch (error) {
+        if (!session) {
+          // Without transactions the claim is already saved; free the hash for a retry
+          await Deposit.deleteOne({ _id: depositId });
+          await TransactionHashClaim.deleteOne({ deposit: depositId });
+        }
+        throw error;
+      }
     });
 
     res.status(201).json(deposit);
   } catch (error) {
+    if (error instanceof DuplicateTransactionHashError) {
+      await recordDuplicateAttempt(error.hash, {
+        user: req.user._id,
+        submittedHash: req.body.transactionHash,
+        amount: req.body.amount,
+      });
+      return res.status(409).json({ message: error.message });
+    }
     res.status(500).json({ message: error.message });
   }
 };
@@ -68,13 +116,18 @@ export const getDeposits = async (req, res) => {
 // @access  Private
 export const createWithdrawal = async (req, res) => {
   try {
-    const { amount, walletAddress } = req.body;
+    const { walletAddress } = req.body;
+    const amount = money.parseAmount(req.body.amount);
+
+    if (!amount) {
+      return res.status(400).json({ message: 'A positive withdrawal amount is required' });
+    }
     
     // Check if withdrawals are enabled and get lock settings (with caching)
     const Settings = (await import('../models/Settings.js')).default;
     const settings = await getSettings(Settings, 
-      ['withdrawalsEnabled', 'withdrawLockAmount', 'withdrawLockDays'],
-      { withdrawalsEnabled: true, withdrawLockAmount: 65, withdrawLockDays: 90 }
+      ['withdrawalsEnabled', 'withdrawLockAmount', 'withdrawLockDays', 'requireVerifiedEmailForWithdrawals'],
+      { withdrawalsEnabled: true, withdrawLockAmount: 65, withdrawLockDays: 90, requireVerifiedEmailForWithdrawals: false }
     );
     
     if (!settings.withdrawalsEnabled) {
@@ -83,6 +136,13 @@ export const createWithdrawal = async (req, res) => {
         withdrawalsDisabled: true
       });
     }
+
+    if (settings.requireVerifiedEmailForWithdrawals && !req.user.emailVerified) {
+      return res.status(403).json({
+        message: 'Please verify your email address before withdrawing.',
+        emailNotVerified: true
+      });
+    }
     
     const user = await User.findById(req.user._id);
 
@@ -94,13 +154,13 @@ export const createWithdrawal = async (req, res) => {
     const isWithinLockPeriod = accountAge < lockDays;
     
     // Calculate available balance (balance minus locked amount if within lock period)
-    const availableBalance = isWithinLockPeriod ? Math.max(0, user.balance - lockAmount) : user.balance;
+    const availableBalance = isWithinLockPeriod ? money.max(0, money.sub(user.balance, lockAmount)) : user.balance;
     
     // Check if withdrawal would dip into locked amount
-    if (isWithinLockPeriod && amount > availableBalance) {
+    if (isWithinLockPeriod && money.compare(amount, availableBalance) > 0) {
       const unlockDate = new Date(new Date(user.createdAt).getTime() + lockDays * 24 * 60 * 60 * 1000);
       return res.status(400).json({ 
-        message: `$${lockAmount} is locked for ${lockDays} days from account creation. Available to withdraw: $${availableBalance.toFixed(2)}`,
+        message: `$${lockAmount} is locked for ${lockDays} days from account creation. Available to withdraw: ${money.format(availableBalance)}`,
         lockedAmount: lockAmount,
         availableBalance: availableBalance,
         unlockDate: unlockDate,
@@ -109,32 +169,101 @@ export const createWithdrawal = async (req, res) => {
     }
 
     // Check if user has sufficient balance
-    if (user.balance < amount) {
+    if (money.compare(user.balance, amount) < 0) {
       return res.status(400).json({ message: 'Insufficient balance' });
     }
 
-    const withdrawal = await Withdrawal.create({
-      user: req.user._id,
-      amount,
-      walletAddress,
-    });
+    // Fee, minimum/maximum and network rules from the withdrawal policy
+    const policy = await getWithdrawalPolicy();
+    const { fee, netAmount } = quoteWithdrawal(amount, walletAddress, policy);
+
+    // The checks above only shape the error message; the ledger re-checks the balance
+    // atomically, so concurrent requests cannot both spend the same funds
+    const withdrawal = await withTransaction(async (session) => {
+      const transactionId = new mongoose.Types.ObjectId();
+      const withdrawalId = new mongoose.Types.ObjectId();
+
+      await checkWithdrawalVelocity(req.user._id, amount, policy, session);
+
+      // Hold the amount in pending withdrawals until an admin pays it out or rejects it
+      await postTransfer({
+        type: 'withdrawal_request',
+        debit: userAccount(req.user._id),
+        credit: ACCOUNTS.PENDING_WITHDRAWALS,
+        amount,
+        minBalance: isWithinLockPeriod ? lockAmount : 0,
+        transaction: transactionId,
+        description: `Withdrawal request ${withdrawalId}`,
+        session,
+      });
+
+      // Without a transaction a failed insert cannot roll the debit back, so it is
+      // undone by hand and the user is never left debited without a withdrawal
+      let created;
+      try {
+        [created] = await Withdrawal.create([{
+          _id: withdrawalId,
+          user: req.user._id,
+          amount,
+          fee,
+          netAmount,
+          walletAddress,
+        }], { session });
+
+        // Create transaction record
+        await Transaction.create([{
+          _id: transactionId,
+          user: req.user._id,
+          type: 'withdrawal',
+          amount,
+          walletAddress,
+          status: 'pending',
+          description: 'Withdrawal request',
+          sourceType: 'withdrawal',
+          sourceId: withdrawalId,
+        }], { session });
+
+        // The fee is kept out of the payout; it settles or is refunded with the withdrawal
+        if (money.isPositive(fee)) {
+          await Transaction.create([{
+            user: req.user._id,
+            type: 'withdrawal_fee',
+            amount: fee,
+            status: 'pending',
+            description: `Withdrawal fee (${policy.feeType === 'percent' ? `${policy.feeValue}%` : money.format(fee)})`,
+            sourceType: 'withdrawal',
+            sourceId: withdrawalId,
+          }], { session });
+        }
+      } catch (error) {
+        if (!session) {
+          await Promise.all([
+            Withdrawal.deleteOne({ _id: withdrawalId }),
+            Transaction.deleteMany({ sourceType: 'withdrawal', sourceId: withdrawalId }),
+          ]);
+          await postTransfer({
+            type: 'withdrawal_reversal',
+            debit: ACCOUNTS.PENDING_WITHDRAWALS,
+            credit: userAccount(req.user._id),
+            amount,
+            transaction: transactionId,
+            description: `Failed withdrawal request ${withdrawalId} undone`,
+          });
+        }
+        throw error;
+      }
 
-    // Deduct balance temporarily
-    user.balance -= amount;
-    await user.save();
-
-    // Create transaction record
-    await Transaction.create({
-      user: req.user._id,
-      type: 'withdrawal',
-      amount,
-      walletAddress,
-      status: 'pending',
-      description: 'Withdrawal request',
+      return created;
     });
 
     res.status(201).json(withdrawal);
   } catch (error) {
+    if (error instanceof InsufficientFundsError) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error instanceof WithdrawalPolicyError) {
+      return res.status(400).json({ message: error.message, ...error.details });
+    }
     res.status(500).json({ message: error.message });
   }
 };
@@ -216,7 +345,7 @@ export const getReferrals = async (req, res) => {
 
     const Referral = (await import('../models/Referral.js')).default;
     
-    const [referrals, total, leftCount, rightCount] = await Promise.all([
+    const [referrals, total, leftCount, rightCount, legCounts] = await Promise.all([
       Referral.find({ referrer: req.user._id })
         .populate('referred', 'username email createdAt')
         .sort({ createdAt: -1 })
@@ -225,13 +354,16 @@ export const getReferrals = async (req, res) => {
         .lean(),
       Referral.countDocuments({ referrer: req.user._id }),
       Referral.countDocuments({ referrer: req.user._id, side: 'left' }),
-      Referral.countDocuments({ referrer: req.user._id, side: 'right' })
+      Referral.countDocuments({ referrer: req.user._id, side: 'right' }),
+      getLegCounts(req.user._id)
     ]);
 
-    // Normalize referrals: assign default 'left' side when absent (legacy data)
+    // Normalize referrals: assign default 'left' side when absent (legacy data);
+    // placements made before strategies existed alternated
     const normalizedReferrals = referrals.map(ref => ({
       ...ref,
-      side: ref.side || 'left'
+      side: ref.side || 'left',
+      placementStrategy: ref.placementStrategy || 'alternate'
     }));
 
     res.json({
@@ -245,101 +377,65 @@ export const getReferrals = async (req, res) => {
       teamCounts: {
         left: leftCount,
         right: rightCount
-      }
+      },
+      // Whole downline of each leg in the binary tree, including spillover
+      legCounts,
+      // The user's default for new recruits; each referral shows what placed it
+      placementStrategy: req.user.placementStrategy || 'alternate'
     });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 };
 
-// Level rewards configuration
-const LEVEL_REWARDS = [
-  { level: 0, leftRequired: 0, rightRequired: 0, reward: 0 },
-  { level: 1, leftRequired: 1, rightRequired: 1, reward: 11 },
-  { level: 2, leftRequired: 6, rightRequired: 6, reward: 67 },
-  { level: 3, leftRequired: 12, rightRequired: 12, reward: 89 },
-  { level: 4, leftRequired: 25, rightRequired: 25, reward: 167 },
-  { level: 5, leftRequired: 50, rightRequired: 50, reward: 278 },
-  { level: 6, leftRequired: 75, rightRequired: 75, reward: 389 },
-  { level: 7, leftRequired: 120, rightRequired: 120, reward: 556 },
-  { level: 8, leftRequired: 160, rightRequired: 160, reward: 1333 },
-  { level: 9, leftRequired: 220, rightRequired: 220, reward: 1667 },
-  { level: 10, leftRequired: 300, rightRequired: 300, reward: 2500 },
-  { level: 11, leftRequired: 500, rightRequired: 500, reward: 8889 },
-  { level: 12, leftRequired: 1500, rightRequired: 1500, reward: 50000 },
-];
-
-// @desc    Process level rewards for a user (internal function)
-// @access  Internal - Called by various controllers
-export const processLevelRewards = async (userId) => {
+// @desc    Get the funnel of the user's referral links: visits, signups, paid and activated
+// @route   GET /api/user/referrals/stats
+// @access  Private
+export const getReferralStats = async (req, res) => {
   try {
-    const user = await User.findById(userId);
-    if (!user) return { error: 'User not found' };
-    
-    // Guard: Initialize achievedLevels if it doesn't exist
-    if (!user.achievedLevels) {
-      user.achievedLevels = [];
+    const dateFilter = visitDateFilter(req.query);
+    if (!dateFilter) {
+      return res.status(400).json({ message: 'from and to must be valid dates' });
     }
-    
+
     const Referral = (await import('../models/Referral.js')).default;
 
-    // Count left and right team members (only active referrals)
-    const leftCount = await Referral.countDocuments({ 
-      referrer: userId, 
-      side: 'left',
-      isActive: true 
-    });
-    const rightCount = await Referral.countDocuments({ 
-      referrer: userId, 
-      side: 'right',
-      isActive: true 
+    const [funnel, totalReferrals] = await Promise.all([
+      getReferralFunnel(req.user._id, dateFilter),
+      Referral.countDocuments({ referrer: req.user._id })
+    ]);
+
+    res.json({
+      ...funnel,
+      // Every signup with the user's code, tracked through a visit or not
+      totalReferrals
     });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
 
-    const newLevelsAchieved = [];
-    
-    // Check each level starting from level 1
-    for (const levelConfig of LEVEL_REWARDS) {
-      if (levelConfig.level === 0 || levelConfig.reward === 0) continue;
-      
-      // Skip if already achieved (using guarded array)
-      if (user.achievedLevels.includes(levelConfig.level)) continue;
-      
-      // Check if requirements are met
-      if (leftCount >= levelConfig.leftRequired && rightCount >= levelConfig.rightRequired) {
-        // Award the level
-        user.balance += levelConfig.reward;
-        user.achievedLevels.push(levelConfig.level);
-        
-        // Create transaction record
-        await Transaction.create({
-          user: userId,
-          type: 'level_reward',
-          amount: levelConfig.reward,
-          status: 'completed',
-          description: `Level ${levelConfig.level} achievement reward: $${levelConfig.reward} (L: ${leftCount}, R: ${rightCount})`,
-        });
-        
-        newLevelsAchieved.push({
-          level: levelConfig.level,
-          reward: levelConfig.reward
-        });
-      }
+// @desc    Get the user's binary tree, nested to a requested depth
+// @route   GET /api/user/referrals/tree
+// @access  Private
+export const getReferralTree = async (req, res) => {
+  try {
+    // `root` expands a node further down the user's own downline
+    const root = req.query.root || req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(root) || !(await isInDownline(req.user._id, root))) {
+      return res.status(404).json({ message: 'Node not found in your downline' });
     }
-    
-    if (newLevelsAchieved.length > 0) {
-      await user.save();
+
+    const tree = await getSubtree(root, { depth: req.query.depth ?? 3 });
+
+    if (!tree) {
+      return res.status(404).json({ message: 'You are not placed in the binary tree yet' });
     }
 
-    return {
-      leftCount,
-      rightCount,
-      achievedLevels: user.achievedLevels,
-      newLevelsAchieved,
-      balance: user.balance
-    };
+    res.json({ tree, maxDepth: MAX_SUBTREE_DEPTH });
   } catch (error) {
-    console.error('Error processing level rewards:', error);
-    return { error: error.message };
+    res.status(500).json({ message: error.message });
   }
 };
 
@@ -348,68 +444,13 @@ export const processLevelRewards = async (userId) => {
 // @access  Private
 export const checkLevelRewards = async (req, res) => {
   try {
-    const user = await User.findById(req.user._id);
-    
-    // Guard: Initialize achievedLevels if it doesn't exist
-    if (!user.achievedLevels) {
-      user.achievedLevels = [];
-    }
-    const Referral = (await import('../models/Referral.js')).default;
+    const result = await evaluateLevelRewards(req.user._id);
 
-    // Count left and right team members
-    const leftCount = await Referral.countDocuments({ 
-      referrer: req.user._id, 
-      side: 'left',
-      isActive: true 
-    });
-    const rightCount = await Referral.countDocuments({ 
-      referrer: req.user._id, 
-      side: 'right',
-      isActive: true 
-    });
-
-    const newLevelsAchieved = [];
-    
-    // Check each level starting from level 1
-    for (const levelConfig of LEVEL_REWARDS) {
-      if (levelConfig.level === 0 || levelConfig.reward === 0) continue;
-      
-      // Skip if already achieved (using guarded array)
-      if (user.achievedLevels.includes(levelConfig.level)) continue;
-      
-      // Check if requirements are met
-      if (leftCount >= levelConfig.leftRequired && rightCount >= levelConfig.rightRequired) {
-        // Award the level
-        user.balance += levelConfig.reward;
-        user.achievedLevels.push(levelConfig.level);
-        
-        // Create transaction record
-        await Transaction.create({
-          user: req.user._id,
-          type: 'level_reward',
-          amount: levelConfig.reward,
-          status: 'completed',
-          description: `Level ${levelConfig.level} achievement reward: $${levelConfig.reward} (L: ${leftCount}, R: ${rightCount})`,
-        });
-        
-        newLevelsAchieved.push({
-          level: levelConfig.level,
-          reward: levelConfig.reward
-        });
-      }
-    }
-    
-    if (newLevelsAchieved.length > 0) {
-      await user.save();
+    if (!result) {
+      return res.status(404).json({ message: 'User not found' });
     }
 
-    res.json({
-      leftCount,
-      rightCount,
-      achievedLevels: user.achievedLevels,
-      newLevelsAchieved,
-      balance: user.balance
-    });
+    res.json(result);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -457,25 +498,54 @@ export const spinWheel = async (req, res) => {
     const maxReward = maxRewardSetting?.value || 0.8;
     const reward = parseFloat((minReward + Math.random() * (maxReward - minReward)).toFixed(4));
 
-    // Update user
-    user.balance += reward;
-    user.spinWheelLastUsed = now;
-    user.spinWheelCount += 1;
-    await user.save();
-
-    // Create transaction
-    await Transaction.create({
-      user: req.user._id,
-      type: 'daily_reward',
-      amount: reward,
-      status: 'completed',
-      description: `Daily scratch card reward: $${reward.toFixed(4)}`,
+    // Claim today's spin atomically: only one concurrent request can move spinWheelLastUsed
+    const credited = await withTransaction(async (session) => {
+      const claimed = await User.findOneAndUpdate(
+        {
+          _id: req.user._id,
+          $or: [
+            { spinWheelLastUsed: null },
+            { spinWheelLastUsed: { $lt: startOfToday } },
+          ],
+        },
+        { $set: { spinWheelLastUsed: now }, $inc: { spinWheelCount: 1 } },
+        { session }
+      );
+      if (!claimed) return null;
+
+      // Create transaction
+      const [transaction] = await Transaction.create([{
+        user: req.user._id,
+        type: 'daily_reward',
+        amount: reward,
+        status: 'completed',
+        description: `Daily scratch card reward: $${reward.toFixed(4)}`,
+        sourceType: 'spin',
+      }], { session });
+
+      const { user } = await postTransfer({
+        type: 'daily_reward',
+        debit: ACCOUNTS.REWARDS_EXPENSE,
+        credit: userAccount(req.user._id),
+        amount: reward,
+        transaction: transaction._id,
+        description: 'Daily scratch card reward',
+        session,
+      });
+      return user;
     });
 
+    if (!credited) {
+      return res.status(400).json({ 
+        message: 'You can only spin once per day. Next spin available at midnight.',
+        nextSpinTime: startOfTomorrow
+      });
+    }
+
     res.json({
       reward,
-      newBalance: user.balance,
-      spinCount: user.spinWheelCount,
+      newBalance: credited.balance,
+      spinCount: credited.spinWheelCount,
     });
   } catch (error) {
     res.status(500).json({ message: error.message });
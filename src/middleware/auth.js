@@ -2,6 +2,14 @@ import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 import Admin from '../models/Admin.js';
 import Settings from '../models/Settings.js';
+import { findActiveSession, REALMS, verifyAccessToken } from '../utils/sessions.js';
+import { getAdminPermissions } from '../utils/permissions.js';
+import { challengeTwoFactor, isSetupToken, TwoFactorError, verifySetupToken } from '../utils/twoFactor.js';
+
+const bearerToken = (req) => {
+  const header = req.headers.authorization;
+  return header && header.startsWith('Bearer') ? header.split(' ')[1] : null;
+};
 
 export const checkMaintenanceMode = async (req, res, next) => {
   try {
@@ -10,11 +18,13 @@ export const checkMaintenanceMode = async (req, res, next) => {
     
     if (isMaintenanceMode) {
       // Check if user is admin
-      const token = req.headers.authorization?.split(' ')[1];
+      const token = bearerToken(req);
       if (token) {
         try {
-          const decoded = jwt.verify(token, process.env.JWT_SECRET);
-          const admin = await Admin.findById(decoded.id);
+          // Only a token from the admin realm, with a live session, gets through
+          const decoded = verifyAccessToken(token, 'admin');
+          const session = await findActiveSession(decoded.sid, decoded.id, 'admin');
+          const admin = session && await Admin.findById(decoded.id);
           if (admin) {
             // Admin can proceed even in maintenance mode
             return next();
@@ -36,54 +46,139 @@ export const checkMaintenanceMode = async (req, res, next) => {
   }
 };
 
-export const protect = async (req, res, next) => {
-  let token;
+// Authenticate a token of one realm: user tokens only ever resolve to a User and admin
+// tokens to an Admin, since each realm has its own audience (and optionally its own key).
+// With `twoFactorRequired`, admins who have not enrolled in two-factor are turned away.
+const authenticate = (realm, { twoFactorRequired = false } = {}) => async (req, res, next) => {
+  const token = bearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({ message: 'Not authorized, no token' });
+  }
 
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    try {
-      // Get token from header
-      token = req.headers.authorization.split(' ')[1];
+  try {
+    const decoded = verifyAccessToken(token, realm);
 
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Access tokens are only valid while their session is
+    const session = await findActiveSession(decoded.sid, decoded.id, realm);
+    if (!session) {
+      return res.status(401).json({ message: 'Session has expired or been revoked, please log in again', sessionRevoked: true });
+    }
 
-      // Try to find user first, then admin
-      let user = await User.findById(decoded.id).select('-password');
-      
-      if (!user) {
-        user = await Admin.findById(decoded.id).select('-password');
-        if (user) {
-          user.isAdmin = true; // Mark as admin for middleware checks
-        }
+    let user;
+    if (realm === 'admin') {
+      user = await Admin.findById(decoded.id).select('-password');
+      if (user) {
+        user.isAdmin = true; // Mark as admin for controllers that serve both realms
       }
+    } else {
+      user = await User.findById(decoded.id).select('-password');
+    }
 
-      if (!user) {
-        return res.status(401).json({ message: 'User not found' });
-      }
+    if (!user) {
+      return res.status(401).json({ message: 'User not found' });
+    }
 
-      req.user = user;
-      next();
-    } catch (error) {
-      console.error(error);
-      return res.status(401).json({ message: 'Not authorized, token failed' });
+    if (twoFactorRequired && !user.twoFactorEnabled) {
+      return res.status(403).json({
+        message: 'Two-factor authentication must be set up, please log in again',
+        twoFactorSetupRequired: true
+      });
     }
+
+    req.user = user;
+    req.authSession = session;
+    req.authRealm = realm;
+    next();
+  } catch (error) {
+    console.error(error);
+    return res.status(401).json({ message: 'Not authorized, token failed' });
   }
+};
+
+export const protectUser = authenticate('user');
+export const protectAdmin = authenticate('admin', { twoFactorRequired: true });
+
+// For routes both realms use (sessions, logout): the token's own audience picks the
+// realm, and is then verified against that realm's key. A token without a known audience
+// is rejected; there is no default realm.
+export const protect = (req, res, next) => {
+  const token = bearerToken(req);
 
   if (!token) {
     return res.status(401).json({ message: 'Not authorized, no token' });
   }
+
+  const audience = jwt.decode(token)?.aud;
+  if (typeof audience !== 'string' || !Object.hasOwn(REALMS, audience)) {
+    return res.status(401).json({ message: 'Not authorized, token failed' });
+  }
+
+  return authenticate(audience)(req, res, next);
+};
+
+// For the two-factor routes: a signed-in user or admin, or an admin holding the setup
+// token `adminLogin` hands out until they have enrolled
+export const protectTwoFactorSetup = async (req, res, next) => {
+  const token = bearerToken(req);
+
+  if (!token || !isSetupToken(token)) {
+    return protect(req, res, next);
+  }
+
+  try {
+    const decoded = verifySetupToken(token);
+    const admin = await Admin.findById(decoded.id).select('-password');
+
+    if (!admin) {
+      return res.status(401).json({ message: 'User not found' });
+    }
+
+    req.user = admin;
+    req.authRealm = 'admin';
+    req.twoFactorSetupToken = true;
+    next();
+  } catch (error) {
+    return res.status(401).json({ message: 'Not authorized, token failed' });
+  }
 };
 
-export const admin = (req, res, next) => {
-  if (req.user && req.user.isAdmin) {
+// Ask accounts with two-factor enabled for a code (`twoFactorCode` in the body, or the
+// X-Two-Factor-Code header) before a sensitive action; `when` narrows it to some requests.
+// Runs before idempotency and takes the code out of the body, so retries with a fresh
+// code still match their Idempotency-Key.
+export const twoFactorChallenge = (when = () => true) => async (req, res, next) => {
+  const code = req.get('x-two-factor-code') || req.body?.twoFactorCode;
+  if (req.body) delete req.body.twoFactorCode;
+
+  try {
+    if (when(req)) {
+      await challengeTwoFactor(req.authRealm, req.user, code);
+    }
     next();
-  } else {
-    res.status(403).json({ message: 'Not authorized as admin' });
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return res.status(error.statusCode).json({ message: error.message, ...error.details });
+    }
+    res.status(500).json({ message: error.message });
   }
 };
 
-export const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
-  });
+// Allow the request only when the admin's role grants every listed permission.
+// Runs after protectAdmin; the resolved permissions are kept on `req.permissions`.
+export const requirePermission = (...permissions) => async (req, res, next) => {
+  try {
+    if (!req.permissions) {
+      req.permissions = await getAdminPermissions(req.user);
+    }
+
+    const missing = permissions.filter(permission => !req.permissions.includes(permission));
+    if (missing.length > 0) {
+      return res.status(403).json({ message: 'Not authorized for this action', missingPermissions: missing });
+    }
+
+    next();
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
 };
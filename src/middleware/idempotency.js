@@ -0,0 +1,93 @@
+import crypto from 'crypto';
+import { getIdempotencyStore } from '../utils/idempotencyStore.js';
+
+const DEFAULT_TTL_HOURS = 24;
+const MAX_KEY_LENGTH = 255;
+
+const getTtlSeconds = () => {
+  const hours = parseFloat(process.env.IDEMPOTENCY_TTL_HOURS);
+  return Math.round((hours > 0 ? hours : DEFAULT_TTL_HOURS) * 60 * 60);
+};
+
+// Serialize with sorted keys so the same payload always hashes the same way
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method}\n${req.originalUrl}\n${canonicalize(req.body || {})}`)
+  .digest('hex');
+
+// Signed-in callers are identified by realm and account. Public routes (the registration
+// deposit) name their account in the body; anything else falls back to the client IP.
+const callerScope = (req) => {
+  if (req.user?._id) {
+    return `${req.authRealm || 'user'}:${req.user._id}`;
+  }
+  const userId = req.body?.userId;
+  if (typeof userId === 'string' && userId) {
+    return `public:user:${userId}`;
+  }
+  return `public:ip:${req.ip}`;
+};
+
+// Replays the first response for retries carrying the same Idempotency-Key and payload.
+// Requests without the header are processed normally.
+export const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({ message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+  }
+
+  // Keys are namespaced per caller and route so clients cannot collide with each other
+  const scopedKey = `${callerScope(req)}:${req.method}:${req.baseUrl}${req.path}:${key}`;
+  const ttlSeconds = getTtlSeconds();
+  const store = getIdempotencyStore();
+
+  try {
+    const { state, record } = await store.begin(scopedKey, hashRequest(req), ttlSeconds);
+
+    if (state === 'mismatch') {
+      return res.status(422).json({ message: 'Idempotency-Key has already been used with a different request payload' });
+    }
+
+    if (state === 'processing') {
+      return res.status(409).json({ message: 'A request with this Idempotency-Key is still being processed' });
+    }
+
+    if (state === 'completed') {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.responseStatus).json(record.responseBody);
+    }
+
+    // First time we see this key: remember the response once the handler produces it.
+    // Server errors release the key so the client can safely retry.
+    // The stored copy goes through the app's json replacer so replays match the original
+    const originalJson = res.json.bind(res);
+    const replacer = req.app?.get('json replacer');
+    res.json = (body) => {
+      const persist = res.statusCode >= 500
+        ? store.release(scopedKey)
+        : store.complete(scopedKey, res.statusCode, JSON.parse(JSON.stringify(body ?? null, replacer)), ttlSeconds);
+
+      persist.catch(error => console.error('Idempotency store error:', error.message));
+      return originalJson(body);
+    };
+
+    next();
+  } catch (error) {
+    console.error('Idempotency check failed:', error.message);
+    res.status(500).json({ message: 'Could not verify Idempotency-Key, please retry' });
+  }
+};
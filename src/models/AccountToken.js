@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// A single-use emailed token: email verification or password reset. Only its hash is
+// stored; the document is removed once it expires.
+const accountTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  purpose: {
+    type: String,
+    enum: ['email_verification', 'password_reset'],
+    required: true,
+  },
+  // SHA-256 of the token sent in the email
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // The address the token was sent to; verification only counts for that address
+  email: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  usedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+accountTokenSchema.index({ user: 1, purpose: 1, createdAt: -1 });
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AccountToken = mongoose.model('AccountToken', accountTokenSchema);
+
+export default AccountToken;
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { twoFactorFields } from '../utils/totp.js';
 
 const adminSchema = new mongoose.Schema({
   username: {
@@ -21,11 +22,12 @@ const adminSchema = new mongoose.Schema({
     minlength: 6,
     select: false,
   },
+  // A built-in role (superadmin, admin, moderator) or the name of a custom Role
   role: {
     type: String,
-    enum: ['superadmin', 'admin', 'moderator'],
     default: 'admin',
   },
+  ...twoFactorFields,
   isActive: {
     type: Boolean,
     default: true,
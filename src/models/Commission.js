@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+import { moneyField } from '../utils/money.js';
+
+// One referral commission paid to an upline for an approved deposit. Kept per payout
+// so a reversed deposit can take back exactly what it paid.
+const commissionSchema = new mongoose.Schema({
+  deposit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deposit',
+    required: true,
+  },
+  // The user who made the deposit
+  sourceUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // The upline who earned the commission
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // The earner's direct referral the commission came through; it accumulates the total
+  referral: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Referral',
+    required: true,
+  },
+  // 1 for the direct sponsor, 2 for the sponsor's sponsor, ...
+  generation: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  rate: {
+    type: Number,
+    required: true,
+  },
+  baseAmount: moneyField({ required: true }),
+  amount: moneyField({ required: true }),
+  status: {
+    type: String,
+    enum: ['paid', 'reversed'],
+    default: 'paid',
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+  },
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  reversedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+// A deposit pays each generation at most once
+commissionSchema.index({ deposit: 1, generation: 1 }, { unique: true });
+commissionSchema.index({ user: 1, createdAt: -1 });
+
+const Commission = mongoose.model('Commission', commissionSchema);
+
+export default Commission;
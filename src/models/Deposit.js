@@ -1,4 +1,36 @@
 import mongoose from 'mongoose';
+import { moneyField } from '../utils/money.js';
+
+// Result of the last on-chain check (see utils/depositVerification.js)
+const verificationSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['verified', 'pending', 'mismatch', 'failed', 'not_found', 'error'],
+  },
+  provider: {
+    type: String,
+  },
+  checkedAt: {
+    type: Date,
+  },
+  blockNumber: {
+    type: Number,
+  },
+  confirmations: {
+    type: Number,
+  },
+  receivedAmount: moneyField(),
+  checks: {
+    found: Boolean,
+    succeeded: Boolean,
+    recipient: Boolean,
+    token: Boolean,
+    sender: Boolean,
+    amount: Boolean,
+    confirmations: Boolean,
+  },
+  reasons: [String],
+}, { _id: false });
 
 const depositSchema = new mongoose.Schema({
   user: {
@@ -6,11 +38,7 @@ const depositSchema = new mongoose.Schema({
     ref: 'User',
     required: true,
   },
-  amount: {
-    type: Number,
-    required: true,
-    min: 0,
-  },
+  amount: moneyField({ required: true, min: 0 }),
   transactionHash: {
     type: String,
     required: true,
@@ -21,7 +49,7 @@ const depositSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected'],
+    enum: ['pending', 'approved', 'rejected', 'reversed'],
     default: 'pending',
   },
   proof: {
@@ -43,6 +71,25 @@ const depositSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  autoApproved: {
+    type: Boolean,
+    default: false,
+  },
+  verification: {
+    type: verificationSchema,
+  },
+  // Set when an approved deposit is taken back (e.g. a charged-back or mistaken credit)
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  reversedAt: {
+    type: Date,
+  },
+  reversalReason: {
+    type: String,
+    default: '',
+  },
 }, {
   timestamps: true,
 });
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+const idempotencyKeySchema = new mongoose.Schema({
+  // Client key namespaced by caller and route, e.g. "user:<userId>:POST:/api/user/deposits:<key>"
+  scopedKey: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  requestHash: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing',
+  },
+  responseStatus: {
+    type: Number,
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// MongoDB removes keys once they expire
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+export default IdempotencyKey;
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+import { moneyField } from '../utils/money.js';
+
+const legSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  debit: moneyField({ default: 0, min: 0 }),
+  credit: moneyField({ default: 0, min: 0 }),
+}, {
+  _id: false,
+});
+
+const journalEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: [
+      'deposit',
+      'deposit_reversal',
+      'withdrawal_request',
+      'withdrawal_payout',
+      'withdrawal_reversal',
+      'daily_reward',
+      'bonus',
+      'level_reward',
+      'pairing_bonus',
+      'referral',
+      'referral_reversal',
+      'adjustment',
+      'opening_balance',
+    ],
+    required: true,
+  },
+  legs: {
+    type: [legSchema],
+    required: true,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+  },
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+}, {
+  timestamps: true,
+});
+
+journalEntrySchema.index({ 'legs.account': 1, createdAt: -1 });
+journalEntrySchema.index({ transaction: 1 });
+
+const JournalEntry = mongoose.model('JournalEntry', journalEntrySchema);
+
+export default JournalEntry;
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// A user's rank on one leaderboard snapshot
+const leaderboardEntrySchema = new mongoose.Schema({
+  snapshot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LeaderboardSnapshot',
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Users with the same value share a rank
+  rank: {
+    type: Number,
+    required: true,
+  },
+  // Active referrals, highest level or earnings. Display only: earnings are ranked
+  // on their exact sums before being converted.
+  value: {
+    type: Number,
+    required: true,
+  },
+  // Null for users who opted out of appearing by name
+  username: {
+    type: String,
+    default: null,
+  },
+});
+
+leaderboardEntrySchema.index({ snapshot: 1, rank: 1 });
+leaderboardEntrySchema.index({ snapshot: 1, user: 1 });
+leaderboardEntrySchema.index({ user: 1 });
+
+const LeaderboardEntry = mongoose.model('LeaderboardEntry', leaderboardEntrySchema);
+
+export default LeaderboardEntry;
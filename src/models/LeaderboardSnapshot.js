@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+// One computation of a leaderboard for a period. Its ranks are LeaderboardEntry
+// documents; older snapshots of the same board and period are removed once a newer
+// one completes.
+const leaderboardSnapshotSchema = new mongoose.Schema({
+  board: {
+    type: String,
+    enum: ['recruiters', 'levels', 'earners'],
+    required: true,
+  },
+  period: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly', 'all_time'],
+    required: true,
+  },
+  // Start of the UTC day, week or month ranked; null for all time
+  periodStart: {
+    type: Date,
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running',
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  computedAt: {
+    type: Date,
+  },
+  totalRanked: {
+    type: Number,
+    default: 0,
+  },
+  error: {
+    type: String,
+    default: '',
+  },
+}, {
+  timestamps: true,
+});
+
+leaderboardSnapshotSchema.index({ board: 1, period: 1, status: 1, computedAt: -1 });
+
+const LeaderboardSnapshot = mongoose.model('LeaderboardSnapshot', leaderboardSnapshotSchema);
+
+export default LeaderboardSnapshot;
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+import { moneyField } from '../utils/money.js';
+
+// A level claimed by a user. The unique (user, level) index is what makes awarding
+// idempotent: the reward is only credited by whoever inserts this document.
+const levelAwardSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  level: {
+    type: Number,
+    required: true,
+  },
+  // Null for the built-in plan (version 0)
+  plan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LevelPlan',
+    default: null,
+  },
+  planVersion: {
+    type: Number,
+    required: true,
+  },
+  reward: moneyField({ default: 0 }),
+  nonCashReward: {
+    type: String,
+    default: '',
+  },
+  // Active leg counts when the level was met
+  leftCount: {
+    type: Number,
+  },
+  rightCount: {
+    type: Number,
+  },
+  // The level_reward transaction, when the level pays cash
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+  },
+  // Created by migrateLevelAwards.js for a level claimed before awards were recorded
+  backfilled: {
+    type: Boolean,
+    default: false,
+  },
+}, {
+  timestamps: true,
+});
+
+levelAwardSchema.index({ user: 1, level: 1 }, { unique: true });
+
+const LevelAward = mongoose.model('LevelAward', levelAwardSchema);
+
+export default LevelAward;
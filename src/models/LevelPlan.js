@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import { moneyField } from '../utils/money.js';
+
+const planLevelSchema = new mongoose.Schema({
+  level: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  // Active members needed in each whole leg of the binary tree
+  leftRequired: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  rightRequired: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // The user's own approved deposits (User.totalDeposits) needed to qualify
+  minPersonalDeposit: moneyField({ default: 0, min: 0 }),
+  reward: moneyField({ default: 0, min: 0 }),
+  // Prize handed out outside the balance, e.g. "Smartphone"
+  nonCashReward: {
+    type: String,
+    default: '',
+    trim: true,
+  },
+}, { _id: false });
+
+// A versioned set of level reward rules. Drafts can be edited; once activated a plan is
+// frozen so every award can be traced back to the exact rules that paid it.
+const levelPlanSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  version: {
+    type: Number,
+    required: true,
+    unique: true,
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'active', 'archived'],
+    default: 'draft',
+  },
+  levels: {
+    type: [planLevelSchema],
+    required: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+  activatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+  activatedAt: {
+    type: Date,
+  },
+  archivedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+// At most one plan is active at a time
+levelPlanSchema.index({ status: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+
+const LevelPlan = mongoose.model('LevelPlan', levelPlanSchema);
+
+export default LevelPlan;
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+import { moneyField } from '../utils/money.js';
+
+// The pairing bonus of one user in one run, with the leg volumes before and after
+const pairingPayoutSchema = new mongoose.Schema({
+  run: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PairingRun',
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  leftVolume: moneyField({ required: true }),
+  rightVolume: moneyField({ required: true }),
+  matched: moneyField({ required: true }),
+  // Bonus before the daily cap
+  bonus: moneyField({ required: true }),
+  amount: moneyField({ required: true }),
+  capped: moneyField({ default: 0 }),
+  // Unmatched volume carried forward to the next run
+  carryLeft: moneyField({ required: true }),
+  carryRight: moneyField({ required: true }),
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+  },
+}, {
+  timestamps: true,
+});
+
+// A user is paid at most once per run
+pairingPayoutSchema.index({ run: 1, user: 1 }, { unique: true });
+pairingPayoutSchema.index({ user: 1, createdAt: -1 });
+
+const PairingPayout = mongoose.model('PairingPayout', pairingPayoutSchema);
+
+export default PairingPayout;
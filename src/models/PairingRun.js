@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+import { moneyField } from '../utils/money.js';
+
+// One daily pairing bonus run. `runDate` (UTC, YYYY-MM-DD) is unique, so each day is
+// paid once; a failed or crashed run is resumed rather than started again.
+const pairingRunSchema = new mongoose.Schema({
+  runDate: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  trigger: {
+    type: String,
+    enum: ['manual', 'scheduled'],
+    required: true,
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running',
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  finishedAt: {
+    type: Date,
+  },
+  // Settings in force for the run
+  rate: {
+    type: Number,
+    required: true,
+  },
+  dailyCap: moneyField({ default: 0 }),
+  usersChecked: {
+    type: Number,
+    default: 0,
+  },
+  usersPaid: {
+    type: Number,
+    default: 0,
+  },
+  usersCapped: {
+    type: Number,
+    default: 0,
+  },
+  totalMatched: moneyField({ default: 0 }),
+  totalPaid: moneyField({ default: 0 }),
+  // Bonus above the daily cap, which is not paid
+  totalCapped: moneyField({ default: 0 }),
+  error: {
+    type: String,
+    default: '',
+  },
+}, {
+  timestamps: true,
+});
+
+pairingRunSchema.index({ startedAt: -1 });
+
+const PairingRun = mongoose.model('PairingRun', pairingRunSchema);
+
+export default PairingRun;
@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+import { moneyField } from '../utils/money.js';
+
+// One row of an imported results CSV
+const importRowSchema = new mongoose.Schema({
+  line: {
+    type: Number,
+  },
+  withdrawal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Withdrawal',
+  },
+  outcome: {
+    type: String,
+    enum: ['approved', 'failed', 'skipped', 'error'],
+  },
+  transactionHash: {
+    type: String,
+  },
+  message: {
+    type: String,
+  },
+}, { _id: false });
+
+const importSchema = new mongoose.Schema({
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+  importedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  rows: [importRowSchema],
+}, { _id: false });
+
+const payoutBatchSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing',
+  },
+  withdrawals: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Withdrawal',
+  }],
+  withdrawalCount: {
+    type: Number,
+    default: 0,
+  },
+  totalAmount: moneyField({ default: 0 }),
+  approvedCount: {
+    type: Number,
+    default: 0,
+  },
+  approvedAmount: moneyField({ default: 0 }),
+  failedCount: {
+    type: Number,
+    default: 0,
+  },
+  failedAmount: moneyField({ default: 0 }),
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+  exportedAt: {
+    type: Date,
+  },
+  exportCount: {
+    type: Number,
+    default: 0,
+  },
+  imports: [importSchema],
+  completedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+const PayoutBatch = mongoose.model('PayoutBatch', payoutBatchSchema);
+
+export default PayoutBatch;
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+import { moneyField } from '../utils/money.js';
+
+const figuresSchema = new mongoose.Schema({
+  balance: moneyField({ default: 0 }),
+  totalDeposits: moneyField({ default: 0 }),
+  totalWithdrawals: moneyField({ default: 0 }),
+}, {
+  _id: false,
+});
+
+const recordSchema = new mongoose.Schema({
+  model: {
+    type: String,
+    enum: ['Deposit', 'Withdrawal', 'Transaction', 'JournalEntry'],
+    required: true,
+  },
+  id: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  type: {
+    type: String,
+    default: '',
+  },
+  status: {
+    type: String,
+    default: '',
+  },
+  amount: moneyField({ default: 0 }),
+  createdAt: {
+    type: Date,
+  },
+}, {
+  _id: false,
+});
+
+const reconciliationDiscrepancySchema = new mongoose.Schema({
+  run: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReconciliationRun',
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  stored: {
+    type: figuresSchema,
+    required: true,
+  },
+  expected: {
+    type: figuresSchema,
+    required: true,
+  },
+  // Balance derived from the journal, reported alongside the history-based figure
+  journalBalance: moneyField({ default: 0 }),
+  // History records that make up the expected figures
+  records: {
+    type: [recordSchema],
+    default: [],
+  },
+  repairedAt: {
+    type: Date,
+  },
+  repairedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+  repairEntry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry',
+  },
+}, {
+  timestamps: true,
+});
+
+reconciliationDiscrepancySchema.index({ run: 1, user: 1 });
+
+const ReconciliationDiscrepancy = mongoose.model('ReconciliationDiscrepancy', reconciliationDiscrepancySchema);
+
+export default ReconciliationDiscrepancy;
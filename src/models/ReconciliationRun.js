@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+const reconciliationRunSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['manual', 'scheduled'],
+    required: true,
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running',
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  finishedAt: {
+    type: Date,
+  },
+  usersChecked: {
+    type: Number,
+    default: 0,
+  },
+  discrepancyCount: {
+    type: Number,
+    default: 0,
+  },
+  repairedCount: {
+    type: Number,
+    default: 0,
+  },
+  error: {
+    type: String,
+    default: '',
+  },
+}, {
+  timestamps: true,
+});
+
+reconciliationRunSchema.index({ startedAt: -1 });
+
+const ReconciliationRun = mongoose.model('ReconciliationRun', reconciliationRunSchema);
+
+export default ReconciliationRun;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { moneyField } from '../utils/money.js';
 
 const referralSchema = new mongoose.Schema({
   referrer: {
@@ -11,10 +12,7 @@ const referralSchema = new mongoose.Schema({
     ref: 'User',
     required: true,
   },
-  commission: {
-    type: Number,
-    default: 0,
-  },
+  commission: moneyField({ default: 0 }),
   commissionRate: {
     type: Number,
     default: 10, // 10% commission
@@ -28,6 +26,13 @@ const referralSchema = new mongoose.Schema({
     enum: ['left', 'right'],
     required: true,
   },
+  // How the side was chosen: the side on the referral link, the sponsor's strategy,
+  // or an admin move
+  placementStrategy: {
+    type: String,
+    enum: ['preferred', 'alternate', 'left', 'right', 'weaker', 'moved'],
+    default: 'alternate',
+  },
 }, {
   timestamps: true,
 });
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// One visit to a referral link, linked to the signup it led to (if any). The visitor's
+// IP is only stored as a keyed hash, enough to count unique visitors.
+const referralVisitSchema = new mongoose.Schema({
+  referrer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  referralCode: {
+    type: String,
+    required: true,
+  },
+  ipHash: {
+    type: String,
+    default: '',
+  },
+  userAgent: {
+    type: String,
+    default: '',
+  },
+  // Free-form tag from the link, e.g. the channel it was shared on
+  campaign: {
+    type: String,
+    default: '',
+  },
+  convertedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  convertedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+referralVisitSchema.index({ referrer: 1, createdAt: -1 });
+referralVisitSchema.index({ convertedUser: 1 });
+
+const ReferralVisit = mongoose.model('ReferralVisit', referralVisitSchema);
+
+export default ReferralVisit;
@@ -0,0 +1,34 @@
+import mongoose from 'mongoose';
+
+// A custom admin role defined by a superadmin. The built-in superadmin, admin and
+// moderator roles live in code (utils/permissions.js) and cannot be stored here.
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  permissions: {
+    type: [String],
+    default: [],
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+  },
+}, {
+  timestamps: true,
+});
+
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
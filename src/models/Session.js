@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+// One login on one device. The refresh token rotates on every use; the session is the
+// family of all its tokens, so presenting a rotated token again revokes the whole session.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'userModel',
+    required: true,
+  },
+  userModel: {
+    type: String,
+    enum: ['User', 'Admin'],
+    required: true,
+  },
+  // Random key the refresh token secrets are derived from (see utils/sessions.js); the
+  // tokens themselves are never stored
+  tokenKey: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  // Generation of the current refresh token; every earlier one has been rotated out
+  generation: {
+    type: Number,
+    default: 0,
+  },
+  deviceName: {
+    type: String,
+    default: '',
+  },
+  userAgent: {
+    type: String,
+    default: '',
+  },
+  ip: {
+    type: String,
+    default: '',
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastRefreshedAt: {
+    type: Date,
+  },
+  // Pushed back on every refresh; the document is removed once it passes
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'revoked_all', 'reuse_detected', 'password_changed', 'password_reset', null],
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastSeenAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { moneyField } from '../utils/money.js';
 
 const transactionSchema = new mongoose.Schema({
   user: {
@@ -8,13 +9,10 @@ const transactionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['deposit', 'withdrawal', 'referral', 'daily_reward', 'bonus', 'level_reward'],
-    required: true,
-  },
-  amount: {
-    type: Number,
+    enum: ['deposit', 'withdrawal', 'withdrawal_fee', 'referral', 'daily_reward', 'bonus', 'level_reward', 'pairing_bonus'],
     required: true,
   },
+  amount: moneyField({ required: true }),
   status: {
     type: String,
     enum: ['pending', 'completed', 'rejected', 'cancelled'],
@@ -43,10 +41,31 @@ const transactionSchema = new mongoose.Schema({
   processedAt: {
     type: Date,
   },
+  // What produced this row. Deposits, withdrawals and pairing runs carry the id of their
+  // document; the other sources have no document of their own.
+  sourceType: {
+    type: String,
+    enum: ['deposit', 'withdrawal', 'spin', 'level_reward', 'bonus', 'pairing'],
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: function() {
+      return ['deposit', 'withdrawal', 'pairing'].includes(this.sourceType);
+    },
+  },
 }, {
   timestamps: true,
 });
 
+transactionSchema.index({ sourceType: 1, sourceId: 1 });
+
+// Propagate a status change from the source document to its ledger row. A source
+// can have several rows (e.g. a withdrawal and its fee); `type` picks one and defaults
+// to the row named after the source.
+transactionSchema.statics.updateForSource = function(sourceType, sourceId, update, { type = sourceType, ...options } = {}) {
+  return this.findOneAndUpdate({ sourceType, sourceId, type }, update, { new: true, ...options });
+};
+
 const Transaction = mongoose.model('Transaction', transactionSchema);
 
 export default Transaction;
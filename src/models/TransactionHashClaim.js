@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+import { moneyField } from '../utils/money.js';
+
+const duplicateAttemptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Set when the duplicate is an existing deposit (found by the claims migration)
+  deposit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deposit',
+  },
+  submittedHash: {
+    type: String,
+  },
+  amount: moneyField(),
+  isRegistrationDeposit: {
+    type: Boolean,
+    default: false,
+  },
+  attemptedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const transactionHashClaimSchema = new mongoose.Schema({
+  // Normalized on-chain hash (see utils/transactionHashClaims.js)
+  hash: {
+    type: String,
+    required: true,
+  },
+  deposit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Deposit',
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['active', 'released'],
+    default: 'active',
+  },
+  releaseReason: {
+    type: String,
+    enum: ['rejected', 'expired'],
+  },
+  releasedAt: {
+    type: Date,
+  },
+  duplicateAttempts: [duplicateAttemptSchema],
+}, {
+  timestamps: true,
+});
+
+// A hash can be held by one deposit at a time; released claims stay as history
+transactionHashClaimSchema.index({ hash: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+transactionHashClaimSchema.index({ deposit: 1 });
+
+const TransactionHashClaim = mongoose.model('TransactionHashClaim', transactionHashClaimSchema);
+
+export default TransactionHashClaim;
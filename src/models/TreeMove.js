@@ -0,0 +1,91 @@
+import mongoose from 'mongoose';
+import { moneyField } from '../utils/money.js';
+
+const placementSchema = new mongoose.Schema({
+  sponsor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  // Leg of the sponsor the user sits in
+  side: {
+    type: String,
+    enum: ['left', 'right', null],
+    default: null,
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  position: {
+    type: String,
+    enum: ['left', 'right', null],
+    default: null,
+  },
+  depth: {
+    type: Number,
+    default: 0,
+  },
+}, { _id: false });
+
+const uplineSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  leftBefore: Number,
+  rightBefore: Number,
+  leftAfter: Number,
+  rightAfter: Number,
+}, { _id: false });
+
+// Audit record of an admin moving a user (and their whole subtree) to another sponsor
+// or side. Rewards paid before the move are left as they were.
+const treeMoveSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  movedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true,
+  },
+  reason: {
+    type: String,
+    required: true,
+  },
+  from: placementSchema,
+  to: placementSchema,
+  // Members moved along with the user, the user included
+  subtreeSize: {
+    type: Number,
+    required: true,
+  },
+  subtreeActive: {
+    type: Number,
+    required: true,
+  },
+  // Lifetime business volume moved from the old uplines to the new ones
+  volume: moneyField({ default: 0 }),
+  // Commission the old sponsor had earned through this referral
+  previousReferralCommission: moneyField({ default: 0 }),
+  uplinesAffected: {
+    type: Number,
+    default: 0,
+  },
+  // Active leg counts of the nearest affected uplines before and after the move
+  uplines: [uplineSchema],
+}, {
+  timestamps: true,
+});
+
+treeMoveSchema.index({ user: 1, createdAt: -1 });
+treeMoveSchema.index({ createdAt: -1 });
+
+const TreeMove = mongoose.model('TreeMove', treeMoveSchema);
+
+export default TreeMove;
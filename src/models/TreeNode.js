@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+import { moneyField } from '../utils/money.js';
+
+const ancestorSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Which leg of this ancestor the node sits in
+  side: {
+    type: String,
+    enum: ['left', 'right'],
+    required: true,
+  },
+}, { _id: false });
+
+// One node per user in the binary genealogy tree. Nodes point at users rather than
+// at each other, so every reference can be used directly with the User collection.
+const treeNodeSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true,
+  },
+  // Who referred the user; the placement parent can be deeper in the sponsor's leg
+  sponsor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  // Side of the parent the node hangs on; null for roots
+  position: {
+    type: String,
+    enum: ['left', 'right'],
+    default: null,
+  },
+  depth: {
+    type: Number,
+    default: 0,
+  },
+  // Materialized path from the root down to the parent
+  ancestors: [ancestorSchema],
+  left: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  right: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  // Bottom of the outer edge of each leg, i.e. the leftmost/rightmost open slot.
+  // Points at the node itself while that child slot is empty.
+  leftExtreme: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  rightExtreme: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Whole-downline counts per leg; "active" members have a verified registration deposit
+  leftCount: {
+    type: Number,
+    default: 0,
+  },
+  rightCount: {
+    type: Number,
+    default: 0,
+  },
+  leftActiveCount: {
+    type: Number,
+    default: 0,
+  },
+  rightActiveCount: {
+    type: Number,
+    default: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: false,
+  },
+  // Business volume (approved deposits) of each leg still waiting to be matched by the
+  // pairing bonus, including the remainder carried forward from earlier runs
+  leftVolume: moneyField({ default: 0 }),
+  rightVolume: moneyField({ default: 0 }),
+  // Lifetime business volume of each leg
+  leftVolumeTotal: moneyField({ default: 0 }),
+  rightVolumeTotal: moneyField({ default: 0 }),
+}, {
+  timestamps: true,
+});
+
+treeNodeSchema.index({ 'ancestors.user': 1 });
+treeNodeSchema.index({ parent: 1 });
+treeNodeSchema.index({ leftExtreme: 1 });
+treeNodeSchema.index({ rightExtreme: 1 });
+
+const TreeNode = mongoose.model('TreeNode', treeNodeSchema);
+
+export default TreeNode;
@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
+import { moneyField } from '../utils/money.js';
 import bcrypt from 'bcryptjs';
+import { twoFactorFields } from '../utils/totp.js';
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -16,6 +18,14 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email'],
   },
+  // Set once the user opens a verification link sent to the current address
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerifiedAt: {
+    type: Date,
+  },
   password: {
     type: String,
     required: [true, 'Please provide a password'],
@@ -26,18 +36,9 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: '',
   },
-  balance: {
-    type: Number,
-    default: 0,
-  },
-  totalDeposits: {
-    type: Number,
-    default: 0,
-  },
-  totalWithdrawals: {
-    type: Number,
-    default: 0,
-  },
+  balance: moneyField({ default: 0 }),
+  totalDeposits: moneyField({ default: 0 }),
+  totalWithdrawals: moneyField({ default: 0 }),
   referralCode: {
     type: String,
     unique: true,
@@ -46,10 +47,19 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
   },
-  referralEarnings: {
-    type: Number,
-    default: 0,
+  referralEarnings: moneyField({ default: 0 }),
+  // How new recruits without a preferred side on their link are placed
+  placementStrategy: {
+    type: String,
+    enum: ['alternate', 'left', 'right', 'weaker'],
+    default: 'alternate',
   },
+  // Ranked on leaderboards without a name
+  leaderboardOptOut: {
+    type: Boolean,
+    default: false,
+  },
+  ...twoFactorFields,
   isActive: {
     type: Boolean,
     default: false,
@@ -62,10 +72,7 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
-  registrationDepositAmount: {
-    type: Number,
-    default: 0,
-  },
+  registrationDepositAmount: moneyField({ default: 0 }),
   lastLogin: {
     type: Date,
   },
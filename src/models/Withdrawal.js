@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { moneyField } from '../utils/money.js';
 
 const withdrawalSchema = new mongoose.Schema({
   user: {
@@ -6,11 +7,10 @@ const withdrawalSchema = new mongoose.Schema({
     ref: 'User',
     required: true,
   },
-  amount: {
-    type: Number,
-    required: true,
-    min: 0,
-  },
+  amount: moneyField({ required: true, min: 0 }),
+  // Kept by the platform from `amount`; `netAmount` is what is paid out on-chain
+  fee: moneyField({ default: 0, min: 0 }),
+  netAmount: moneyField({ min: 0 }),
   walletAddress: {
     type: String,
     required: true,
@@ -35,6 +35,10 @@ const withdrawalSchema = new mongoose.Schema({
   approvedAt: {
     type: Date,
   },
+  payoutBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutBatch',
+  },
 }, {
   timestamps: true,
 });
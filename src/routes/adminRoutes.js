@@ -4,8 +4,12 @@ import {
   getUserById,
   updateUser,
   deleteUser,
+  getUserTree,
   getAllDeposits,
   updateDeposit,
+  reverseApprovedDeposit,
+  getCommissions,
+  getReferralVisitStats,
   getAllWithdrawals,
   updateWithdrawal,
   getAllTransactions,
@@ -19,9 +23,54 @@ import {
   createAdmin,
   getFinanceOverview,
   getUserAverages,
+  getUserLedger,
+  getLedgerTrialBalance,
 } from '../controllers/adminController.js';
-import { protect, admin } from '../middleware/auth.js';
+import { verifyDepositOnChain } from '../controllers/depositVerificationController.js';
+import {
+  createPayoutBatch,
+  getPayoutBatches,
+  getPayoutBatch,
+  exportPayoutBatch,
+  importPayoutBatchResults,
+} from '../controllers/payoutBatchController.js';
+import {
+  getLevelPlans,
+  getLevelPlan,
+  createLevelPlan,
+  updateLevelPlan,
+  deleteLevelPlan,
+  activateLevelPlan,
+  reevaluateLevelRewards,
+} from '../controllers/levelPlanController.js';
+import {
+  startPairingRun,
+  getPairingRuns,
+  getPairingRun,
+} from '../controllers/pairingController.js';
+import {
+  previewUserMove,
+  moveUser,
+  getTreeMoves,
+} from '../controllers/treeMoveController.js';
+import { refreshLeaderboardsNow } from '../controllers/leaderboardController.js';
+import {
+  startReconciliationRun,
+  getReconciliationRuns,
+  getReconciliationRun,
+  getReconciliationDiscrepancy,
+  repairReconciliationDiscrepancy,
+} from '../controllers/reconciliationController.js';
+import {
+  getMyPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+} from '../controllers/roleController.js';
+import { protectAdmin, requirePermission } from '../middleware/auth.js';
 import { adminLimiter } from '../middleware/rateLimiter.js';
+import { idempotency } from '../middleware/idempotency.js';
 
 const router = express.Router();
 
@@ -29,44 +78,98 @@ const router = express.Router();
 router.use(adminLimiter);
 
 // User management
-router.get('/users', protect, admin, getAllUsers);
+router.get('/users', protectAdmin, requirePermission('users.read'), getAllUsers);
 router.route('/users/:id')
-  .get(protect, admin, getUserById)
-  .put(protect, admin, updateUser)
-  .delete(protect, admin, deleteUser);
+  .get(protectAdmin, requirePermission('users.read'), getUserById)
+  .put(protectAdmin, requirePermission('users.write'), updateUser)
+  .delete(protectAdmin, requirePermission('users.delete'), deleteUser);
+router.get('/users/:id/tree', protectAdmin, requirePermission('users.read'), getUserTree);
+router.post('/users/:id/move/preview', protectAdmin, requirePermission('users.move'), previewUserMove);
+router.post('/users/:id/move', protectAdmin, requirePermission('users.move'), moveUser);
+router.get('/tree-moves', protectAdmin, requirePermission('users.read'), getTreeMoves);
 
 // Deposit management
-router.get('/deposits', protect, admin, getAllDeposits);
-router.put('/deposits/:id', protect, admin, updateDeposit);
+router.get('/deposits', protectAdmin, requirePermission('deposits.read'), getAllDeposits);
+router.put('/deposits/:id', protectAdmin, requirePermission('deposits.approve'), updateDeposit);
+router.post('/deposits/:id/verify', protectAdmin, requirePermission('deposits.approve'), verifyDepositOnChain);
+router.post('/deposits/:id/reverse', protectAdmin, requirePermission('deposits.reverse'), reverseApprovedDeposit);
+
+// Referral commissions
+router.get('/commissions', protectAdmin, requirePermission('referrals.read'), getCommissions);
+router.get('/referral-stats', protectAdmin, requirePermission('referrals.read'), getReferralVisitStats);
 
 // Withdrawal management
-router.get('/withdrawals', protect, admin, getAllWithdrawals);
-router.put('/withdrawals/:id', protect, admin, updateWithdrawal);
+router.get('/withdrawals', protectAdmin, requirePermission('withdrawals.read'), getAllWithdrawals);
+router.put('/withdrawals/:id', protectAdmin, requirePermission('withdrawals.approve'), updateWithdrawal);
+
+// Payout batches
+router.post('/payout-batches', protectAdmin, requirePermission('payouts.manage'), createPayoutBatch);
+router.get('/payout-batches', protectAdmin, requirePermission('payouts.manage'), getPayoutBatches);
+router.get('/payout-batches/:id', protectAdmin, requirePermission('payouts.manage'), getPayoutBatch);
+router.get('/payout-batches/:id/export', protectAdmin, requirePermission('payouts.manage'), exportPayoutBatch);
+router.post('/payout-batches/:id/import', protectAdmin, requirePermission('payouts.manage'), express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), importPayoutBatchResults);
 
 // Transactions
-router.get('/transactions/recent', protect, admin, getRecentTransactions);
-router.get('/transactions', protect, admin, getAllTransactions);
+router.get('/transactions/recent', protectAdmin, requirePermission('transactions.read'), getRecentTransactions);
+router.get('/transactions', protectAdmin, requirePermission('transactions.read'), getAllTransactions);
 
 // Stats
-router.get('/stats', protect, admin, getDashboardStats);
+router.get('/stats', protectAdmin, requirePermission('stats.read'), getDashboardStats);
 
 // Settings
 router.route('/settings')
-  .get(protect, admin, getSettings)
-  .put(protect, admin, updateSettings);
+  .get(protectAdmin, requirePermission('settings.read'), getSettings)
+  .put(protectAdmin, requirePermission('settings.write'), updateSettings);
 
 // Registration Verification
-router.get('/registration-deposits', protect, admin, getPendingRegistrations);
-router.put('/registration-deposits/:id', protect, admin, verifyRegistrationDeposit);
+router.get('/registration-deposits', protectAdmin, requirePermission('registrations.verify'), getPendingRegistrations);
+router.put('/registration-deposits/:id', protectAdmin, requirePermission('registrations.verify'), verifyRegistrationDeposit);
 
 // Bonus Management
-router.post('/bonus', protect, admin, creditBonus);
+router.post('/bonus', protectAdmin, requirePermission('bonus.credit'), idempotency, creditBonus);
+
+// Level plans
+router.route('/level-plans')
+  .get(protectAdmin, requirePermission('levels.read'), getLevelPlans)
+  .post(protectAdmin, requirePermission('levels.manage'), createLevelPlan);
+router.route('/level-plans/:id')
+  .get(protectAdmin, requirePermission('levels.read'), getLevelPlan)
+  .put(protectAdmin, requirePermission('levels.manage'), updateLevelPlan)
+  .delete(protectAdmin, requirePermission('levels.manage'), deleteLevelPlan);
+router.post('/level-plans/:id/activate', protectAdmin, requirePermission('levels.manage'), activateLevelPlan);
+router.post('/level-rewards/reevaluate', protectAdmin, requirePermission('levels.manage'), reevaluateLevelRewards);
+
+// Pairing bonus
+router.post('/pairing/runs', protectAdmin, requirePermission('pairing.run'), startPairingRun);
+router.get('/pairing/runs', protectAdmin, requirePermission('pairing.read'), getPairingRuns);
+router.get('/pairing/runs/:id', protectAdmin, requirePermission('pairing.read'), getPairingRun);
+
+// Leaderboards
+router.post('/leaderboards/refresh', protectAdmin, requirePermission('leaderboards.refresh'), refreshLeaderboardsNow);
 
 // Admin Management
-router.post('/admins', protect, admin, createAdmin);
+router.post('/admins', protectAdmin, requirePermission('admins.manage'), createAdmin);
+router.get('/me/permissions', protectAdmin, getMyPermissions);
+
+// Roles
+router.route('/roles')
+  .get(protectAdmin, requirePermission('roles.manage'), getRoles)
+  .post(protectAdmin, requirePermission('roles.manage'), createRole);
+router.route('/roles/:id')
+  .put(protectAdmin, requirePermission('roles.manage'), updateRole)
+  .delete(protectAdmin, requirePermission('roles.manage'), deleteRole);
 
 // Finance
-router.get('/finance/overview', protect, admin, getFinanceOverview);
-router.get('/finance/user-averages', protect, admin, getUserAverages);
+router.get('/finance/overview', protectAdmin, requirePermission('finance.read'), getFinanceOverview);
+router.get('/finance/user-averages', protectAdmin, requirePermission('finance.read'), getUserAverages);
+router.get('/finance/ledger', protectAdmin, requirePermission('finance.read'), getLedgerTrialBalance);
+router.get('/finance/ledger/:userId', protectAdmin, requirePermission('finance.read'), getUserLedger);
+
+// Reconciliation
+router.post('/finance/reconciliation/runs', protectAdmin, requirePermission('finance.reconcile'), startReconciliationRun);
+router.get('/finance/reconciliation/runs', protectAdmin, requirePermission('finance.read'), getReconciliationRuns);
+router.get('/finance/reconciliation/runs/:id', protectAdmin, requirePermission('finance.read'), getReconciliationRun);
+router.get('/finance/reconciliation/discrepancies/:id', protectAdmin, requirePermission('finance.read'), getReconciliationDiscrepancy);
+router.post('/finance/reconciliation/discrepancies/:id/repair', protectAdmin, requirePermission('finance.reconcile'), repairReconciliationDiscrepancy);
 
 export default router;
@@ -7,19 +7,60 @@ import {
   updateProfile,
   submitRegistrationDeposit,
   getPublicSettings,
+  trackReferralVisit,
+  refreshAccessToken,
+  logout,
+  getSessions,
+  revokeOwnSession,
+  revokeOwnSessions,
+  isSensitiveProfileChange,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
 } from '../controllers/authController.js';
-import { protect, checkMaintenanceMode } from '../middleware/auth.js';
-import { authLimiter } from '../middleware/rateLimiter.js';
+import {
+  getTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateTwoFactorBackupCodes,
+  turnOffTwoFactor,
+} from '../controllers/twoFactorController.js';
+import {
+  protect,
+  protectUser,
+  protectTwoFactorSetup,
+  twoFactorChallenge,
+  checkMaintenanceMode,
+} from '../middleware/auth.js';
+import { authLimiter, generalLimiter } from '../middleware/rateLimiter.js';
+import { idempotency } from '../middleware/idempotency.js';
 
 const router = express.Router();
 
 router.post('/register', authLimiter, checkMaintenanceMode, register);
 router.post('/login', authLimiter, checkMaintenanceMode, login);
 router.post('/admin-login', authLimiter, adminLogin);
-router.post('/registration-deposit', authLimiter, checkMaintenanceMode, submitRegistrationDeposit);
+router.post('/refresh', generalLimiter, refreshAccessToken);
+router.post('/logout', protect, logout);
+router.route('/sessions')
+  .get(protect, getSessions)
+  .delete(protect, revokeOwnSessions);
+router.delete('/sessions/:id', protect, revokeOwnSession);
+router.post('/verify-email', generalLimiter, verifyEmail);
+router.post('/verify-email/resend', authLimiter, resendVerificationEmail);
+router.post('/forgot-password', authLimiter, forgotPassword);
+router.post('/reset-password', authLimiter, resetPassword);
+router.get('/2fa', protectTwoFactorSetup, getTwoFactor);
+router.post('/2fa/setup', authLimiter, protectTwoFactorSetup, setupTwoFactor);
+router.post('/2fa/enable', authLimiter, protectTwoFactorSetup, enableTwoFactor);
+router.post('/2fa/backup-codes', authLimiter, protect, twoFactorChallenge(), regenerateTwoFactorBackupCodes);
+router.post('/2fa/disable', authLimiter, protectUser, turnOffTwoFactor);
+router.post('/registration-deposit', authLimiter, checkMaintenanceMode, idempotency, submitRegistrationDeposit);
 router.get('/settings', getPublicSettings);
+router.post('/referral-visits', generalLimiter, trackReferralVisit);
 router.route('/profile')
-  .get(protect, checkMaintenanceMode, getProfile)
-  .put(protect, checkMaintenanceMode, updateProfile);
+  .get(protectUser, checkMaintenanceMode, getProfile)
+  .put(protectUser, checkMaintenanceMode, twoFactorChallenge(isSensitiveProfileChange), updateProfile);
 
 export default router;
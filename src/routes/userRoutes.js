@@ -6,25 +6,32 @@ import {
   getWithdrawals,
   getTransactions,
   getReferrals,
+  getReferralTree,
+  getReferralStats,
   spinWheel,
   checkLevelRewards,
 } from '../controllers/userController.js';
-import { protect, checkMaintenanceMode } from '../middleware/auth.js';
+import { getLeaderboardView } from '../controllers/leaderboardController.js';
+import { protectUser, twoFactorChallenge, checkMaintenanceMode } from '../middleware/auth.js';
 import { depositLimiter, withdrawalLimiter } from '../middleware/rateLimiter.js';
+import { idempotency } from '../middleware/idempotency.js';
 
 const router = express.Router();
 
 router.route('/deposits')
-  .get(protect, checkMaintenanceMode, getDeposits)
-  .post(protect, depositLimiter, checkMaintenanceMode, createDeposit);
+  .get(protectUser, checkMaintenanceMode, getDeposits)
+  .post(protectUser, depositLimiter, checkMaintenanceMode, idempotency, createDeposit);
 
 router.route('/withdrawals')
-  .get(protect, checkMaintenanceMode, getWithdrawals)
-  .post(protect, withdrawalLimiter, checkMaintenanceMode, createWithdrawal);
+  .get(protectUser, checkMaintenanceMode, getWithdrawals)
+  .post(protectUser, withdrawalLimiter, checkMaintenanceMode, twoFactorChallenge(), idempotency, createWithdrawal);
 
-router.get('/transactions', protect, checkMaintenanceMode, getTransactions);
-router.get('/referrals', protect, checkMaintenanceMode, getReferrals);
-router.post('/spin-wheel', protect, checkMaintenanceMode, spinWheel);
-router.post('/level-rewards/check', protect, checkMaintenanceMode, checkLevelRewards);
+router.get('/transactions', protectUser, checkMaintenanceMode, getTransactions);
+router.get('/referrals', protectUser, checkMaintenanceMode, getReferrals);
+router.get('/referrals/tree', protectUser, checkMaintenanceMode, getReferralTree);
+router.get('/referrals/stats', protectUser, checkMaintenanceMode, getReferralStats);
+router.get('/leaderboards/:board', protectUser, checkMaintenanceMode, getLeaderboardView);
+router.post('/spin-wheel', protectUser, checkMaintenanceMode, spinWheel);
+router.post('/level-rewards/check', protectUser, checkMaintenanceMode, checkLevelRewards);
 
 export default router;
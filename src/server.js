@@ -11,6 +11,13 @@ import authRoutes from './routes/authRoutes.js';
 import userRoutes from './routes/userRoutes.js';
 import adminRoutes from './routes/adminRoutes.js';
 import User from './models/User.js';
+import { moneyJsonReplacer } from './utils/money.js';
+import { scheduleJob, hoursFromEnv } from './utils/scheduler.js';
+import { runReconciliation } from './utils/reconciliation.js';
+import { verifyPendingDeposits } from './utils/depositVerification.js';
+import { expireStaleDeposits } from './utils/depositProcessing.js';
+import { runScheduledPairing } from './utils/pairing.js';
+import { refreshLeaderboards } from './utils/leaderboards.js';
 
 // Load env vars
 dotenv.config();
@@ -39,6 +46,9 @@ connectDB();
 
 const app = express();
 
+// Decimal128 amounts are serialized as fixed-precision numbers in every response
+app.set('json replacer', moneyJsonReplacer);
+
 // Middleware
 const corsOptions = {
   origin: function (origin, callback) {
@@ -149,6 +159,15 @@ if (process.env.SERVERLESS === 'true') {
   app.listen(PORT, () => {
     console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
     createAdminUser();
+
+    // Background jobs only run on long-lived servers
+    scheduleJob('reconciliation', hoursFromEnv('RECONCILIATION_INTERVAL_HOURS', 24), () => runReconciliation({ trigger: 'scheduled' }));
+    scheduleJob('pairing', hoursFromEnv('PAIRING_CHECK_INTERVAL_HOURS', 1), runScheduledPairing);
+    scheduleJob('leaderboards', hoursFromEnv('LEADERBOARD_REFRESH_INTERVAL_HOURS', 1), refreshLeaderboards);
+    if (process.env.CHAIN_PROVIDER) {
+      scheduleJob('deposit-verification', hoursFromEnv('DEPOSIT_VERIFICATION_INTERVAL_HOURS', 0.25), verifyPendingDeposits);
+      scheduleJob('deposit-expiry', hoursFromEnv('DEPOSIT_EXPIRY_CHECK_INTERVAL_HOURS', 1), expireStaleDeposits);
+    }
   });
 }
 
@@ -0,0 +1,88 @@
+import crypto from 'crypto';
+import AccountToken from '../models/AccountToken.js';
+import { sendMail } from './mailer.js';
+
+// A new link for the same purpose is not sent more often than this
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+const positiveNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+const PURPOSES = {
+  email_verification: {
+    template: 'verify_email',
+    path: '/verify-email',
+    lifetimeMs: () => positiveNumber(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS, 24) * 60 * 60 * 1000,
+  },
+  password_reset: {
+    template: 'password_reset',
+    path: '/reset-password',
+    lifetimeMs: () => positiveNumber(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 60) * 60 * 1000,
+  },
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// "24 hours", "1 hour", "30 minutes"
+const describeDuration = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  if (minutes % 60 !== 0) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  const hours = minutes / 60;
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+};
+
+const appLink = (linkPath, token) => {
+  const base = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  return `${base}${linkPath}?token=${encodeURIComponent(token)}`;
+};
+
+// Email a fresh token for `purpose` to the user's current address. Earlier unused tokens
+// of that purpose stop working. Returns false when one was sent too recently.
+export const sendAccountToken = async (user, purpose) => {
+  const { template, path, lifetimeMs } = PURPOSES[purpose];
+
+  const recent = await AccountToken.exists({
+    user: user._id,
+    purpose,
+    createdAt: { $gt: new Date(Date.now() - RESEND_INTERVAL_MS) },
+  });
+  if (recent) return false;
+
+  await AccountToken.deleteMany({ user: user._id, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const lifetime = lifetimeMs();
+  await AccountToken.create({
+    user: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    email: user.email,
+    expiresAt: new Date(Date.now() + lifetime),
+  });
+
+  await sendMail({
+    to: user.email,
+    template,
+    data: {
+      username: user.username,
+      link: appLink(path, token),
+      expiresIn: describeDuration(lifetime),
+    },
+  });
+  return true;
+};
+
+// Use up a token: returns it, or null when it is unknown, used, expired or for another purpose.
+// The update is conditional, so a token can only ever be used once.
+export const consumeAccountToken = async (token, purpose) => {
+  if (!token || typeof token !== 'string') return null;
+
+  const now = new Date();
+  return AccountToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+    { usedAt: now },
+    { new: true }
+  ).lean();
+};
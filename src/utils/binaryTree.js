@@ -0,0 +1,320 @@
+import TreeNode from '../models/TreeNode.js';
+import User from '../models/User.js';
+import Referral from '../models/Referral.js';
+import { withTransaction } from './dbTransaction.js';
+import * as money from './money.js';
+
+const SIDES = ['left', 'right'];
+
+// A concurrent placement can take the slot we found; look it up again this many times
+const MAX_PLACEMENT_ATTEMPTS = 5;
+
+export const otherSide = (side) => (side === 'left' ? 'right' : 'left');
+
+// Apply `inc(side)` to every ancestor, grouped by the leg the node sits in
+const incrementAncestors = async (ancestors, inc, session) => {
+  for (const side of SIDES) {
+    const users = ancestors.filter(a => a.side === side).map(a => a.user);
+    if (users.length > 0) {
+      await TreeNode.updateMany({ user: { $in: users } }, { $inc: inc(side) }, { session });
+    }
+  }
+};
+
+export const PLACEMENT_STRATEGIES = ['alternate', 'left', 'right', 'weaker'];
+
+// Pick the sponsor leg for a new recruit: the side on the referral link wins, otherwise
+// the sponsor's strategy applies. Returns the side and the strategy that chose it.
+export const choosePlacementSide = async (sponsorId, preferredSide) => {
+  if (SIDES.includes(preferredSide)) {
+    return { side: preferredSide, strategy: 'preferred' };
+  }
+
+  const sponsor = await User.findById(sponsorId).select('placementStrategy').lean();
+  const strategy = PLACEMENT_STRATEGIES.includes(sponsor?.placementStrategy) ? sponsor.placementStrategy : 'alternate';
+
+  if (strategy === 'left' || strategy === 'right') {
+    return { side: strategy, strategy };
+  }
+
+  if (strategy === 'weaker') {
+    // The leg with fewer members in its whole downline; ties go left
+    const legs = await getLegCounts(sponsorId);
+    return { side: legs.right < legs.left ? 'right' : 'left', strategy };
+  }
+
+  // Alternate by the number of direct referrals
+  const totalCount = await Referral.countDocuments({ referrer: sponsorId });
+  return { side: totalCount % 2 === 0 ? 'left' : 'right', strategy };
+};
+
+// Get a user's node, creating a root node for users that are not in the tree yet
+export const ensureTreeNode = async (userId, session = null) => {
+  return TreeNode.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId, leftExtreme: userId, rightExtreme: userId } },
+    { upsert: true, new: true, session }
+  );
+};
+
+// Place a new user in the sponsor's `side` leg, spilling over into the outermost open
+// slot of that leg (the leftmost slot for the left leg, the rightmost for the right).
+export const placeInTree = async ({ userId, sponsorId, side }) => {
+  return withTransaction(async (session) => {
+    const extremeField = `${side}Extreme`;
+    let parent = null;
+
+    for (let attempt = 0; attempt < MAX_PLACEMENT_ATTEMPTS && !parent; attempt++) {
+      const sponsorNode = await ensureTreeNode(sponsorId, session);
+
+      // The slot is claimed conditionally, so two registrations cannot share it
+      parent = await TreeNode.findOneAndUpdate(
+        { user: sponsorNode[extremeField], [side]: null },
+        { [side]: userId },
+        { new: true, session }
+      );
+    }
+    if (!parent) {
+      throw new Error('Could not find an open slot in the binary tree, please retry');
+    }
+
+    const ancestors = [...parent.ancestors, { user: parent.user, side }];
+
+    const [node] = await TreeNode.create([{
+      user: userId,
+      sponsor: sponsorId,
+      parent: parent.user,
+      position: side,
+      depth: parent.depth + 1,
+      ancestors,
+      leftExtreme: userId,
+      rightExtreme: userId,
+    }], { session });
+
+    // Every node whose outer edge ended at the parent now ends at the new node
+    await TreeNode.updateMany(
+      { [extremeField]: parent.user },
+      { [extremeField]: userId },
+      { session }
+    );
+
+    await incrementAncestors(ancestors, s => ({ [`${s}Count`]: 1 }), session);
+
+    return node;
+  });
+};
+
+// Count (or stop counting) a user as an active member of every upline leg
+export const setTreeNodeActive = async (userId, isActive, session = null) => {
+  const node = await TreeNode.findOneAndUpdate(
+    { user: userId, isActive: !isActive },
+    { isActive },
+    { session }
+  );
+  if (!node) return;
+
+  await incrementAncestors(node.ancestors, s => ({ [`${s}ActiveCount`]: isActive ? 1 : -1 }), session);
+};
+
+// Add a member's approved deposit to the business volume of every upline leg it sits in
+export const addLegVolume = async (userId, amount, session = null) => {
+  const node = await TreeNode.findOne({ user: userId }).select('ancestors').session(session).lean();
+  if (!node) return;
+
+  const volume = money.toDecimal(amount);
+  await incrementAncestors(node.ancestors, s => ({ [`${s}Volume`]: volume, [`${s}VolumeTotal`]: volume }), session);
+};
+
+// Take volume off every ancestor's leg. Volume that was already matched has been paid,
+// so neither figure goes below zero.
+const takeAncestorVolume = async (ancestors, volume, session) => {
+  const zero = money.toDecimal(0);
+  for (const side of SIDES) {
+    const users = ancestors.filter(a => a.side === side).map(a => a.user);
+    if (users.length === 0) continue;
+
+    await TreeNode.updateMany({ user: { $in: users } }, [{
+      $set: {
+        [`${side}Volume`]: { $max: [{ $subtract: [`$${side}Volume`, volume] }, zero] },
+        [`${side}VolumeTotal`]: { $max: [{ $subtract: [`$${side}VolumeTotal`, volume] }, zero] },
+      },
+    }], { session });
+  }
+};
+
+// Take a reversed deposit back out of the upline volumes
+export const removeLegVolume = async (userId, amount, session = null) => {
+  const node = await TreeNode.findOne({ user: userId }).select('ancestors').session(session).lean();
+  if (!node) return;
+
+  await takeAncestorVolume(node.ancestors, money.toDecimal(amount), session);
+};
+
+// Size, active members and lifetime volume of the subtree rooted at `node`;
+// `ownVolume` is the root user's own approved deposits
+export const subtreeStats = (node, ownVolume) => ({
+  size: 1 + node.leftCount + node.rightCount,
+  active: (node.isActive ? 1 : 0) + node.leftActiveCount + node.rightActiveCount,
+  volume: money.add(ownVolume, node.leftVolumeTotal, node.rightVolumeTotal),
+});
+
+// Move a user together with their whole subtree into the outermost open slot of
+// `sponsorId`'s `side` leg. Must run inside the caller's transaction. The old uplines
+// lose the subtree's counts and its lifetime volume; the new uplines gain the counts and
+// the lifetime volume, but not unmatched volume, so nothing is paired twice.
+export const moveSubtree = async ({ userId, sponsorId, side, ownVolume, session = null }) => {
+  const node = await TreeNode.findOne({ user: userId }).session(session).lean();
+  if (!node) {
+    throw new Error('User is not placed in the binary tree');
+  }
+
+  const stats = subtreeStats(node, ownVolume);
+  const inSubtree = { user: { $ne: userId }, 'ancestors.user': { $ne: userId } };
+
+  // Detach from the old parent
+  if (node.parent) {
+    const oldExtremeField = `${node.position}Extreme`;
+    await TreeNode.updateOne({ user: node.parent }, { [node.position]: null }, { session });
+
+    // The old parent's outer edge went through the user; it now ends at the parent
+    await TreeNode.updateMany(
+      { [oldExtremeField]: node[oldExtremeField], ...inSubtree },
+      { [oldExtremeField]: node.parent },
+      { session }
+    );
+
+    await incrementAncestors(node.ancestors, s => ({ [`${s}Count`]: -stats.size, [`${s}ActiveCount`]: -stats.active }), session);
+    await takeAncestorVolume(node.ancestors, stats.volume, session);
+  }
+
+  // Attach under the outermost open slot of the sponsor's leg, as a registration would
+  const extremeField = `${side}Extreme`;
+  const sponsorNode = await ensureTreeNode(sponsorId, session);
+  const parent = await TreeNode.findOneAndUpdate(
+    { user: sponsorNode[extremeField], [side]: null },
+    { [side]: userId },
+    { new: true, session }
+  );
+  if (!parent) {
+    throw new Error('Could not find an open slot in the binary tree, please retry');
+  }
+
+  const ancestors = [...parent.ancestors.map(a => ({ user: a.user, side: a.side })), { user: parent.user, side }];
+  const depth = parent.depth + 1;
+
+  // Descendants keep the part of their path below the user
+  await TreeNode.updateMany({ 'ancestors.user': userId }, [{
+    $set: {
+      ancestors: { $concatArrays: [{ $literal: ancestors }, { $slice: ['$ancestors', node.ancestors.length, { $size: '$ancestors' }] }] },
+      depth: { $add: ['$depth', depth - node.depth] },
+    },
+  }], { session });
+
+  await TreeNode.updateOne(
+    { user: userId },
+    { sponsor: sponsorId, parent: parent.user, position: side, depth, ancestors },
+    { session }
+  );
+
+  // Every node whose outer edge ended at the new parent now ends at the bottom of the user's edge
+  await TreeNode.updateMany(
+    { [extremeField]: parent.user },
+    { [extremeField]: node[extremeField] },
+    { session }
+  );
+
+  await incrementAncestors(ancestors, s => ({
+    [`${s}Count`]: stats.size,
+    [`${s}ActiveCount`]: stats.active,
+    [`${s}VolumeTotal`]: stats.volume,
+  }), session);
+
+  return {
+    stats,
+    from: { parent: node.parent, position: node.position, depth: node.depth, ancestors: node.ancestors },
+    to: { parent: parent.user, position: side, depth, ancestors },
+  };
+};
+
+// Whole-downline leg sizes for a user; users outside the tree have empty legs
+export const getLegCounts = async (userId) => {
+  const node = await TreeNode.findOne({ user: userId })
+    .select('leftCount rightCount leftActiveCount rightActiveCount')
+    .lean();
+
+  return {
+    left: node?.leftCount || 0,
+    right: node?.rightCount || 0,
+    leftActive: node?.leftActiveCount || 0,
+    rightActive: node?.rightActiveCount || 0,
+  };
+};
+
+// Deepest subtree served in one request; deeper levels are loaded from a frontier node
+export const MAX_SUBTREE_DEPTH = 6;
+
+const levelOf = (achievedLevels) => (achievedLevels?.length ? Math.max(...achievedLevels) : 0);
+
+// Nested view of the tree below `rootUserId`, `depth` levels deep. Levels are fetched
+// one query at a time through the parent index, so the cost depends on the nodes
+// returned (at most 2^(depth+1) - 1), never on the size of the whole downline. Nodes
+// whose children were not loaded have `hasMore` set. Returns null when the user has no node.
+// `extraUserFields` adds User fields to each node (e.g. email for admins).
+export const getSubtree = async (rootUserId, { depth = 3, extraUserFields = '' } = {}) => {
+  const maxDepth = Math.min(Math.max(parseInt(depth) || 0, 0), MAX_SUBTREE_DEPTH);
+
+  const root = await TreeNode.findOne({ user: rootUserId }).lean();
+  if (!root) return null;
+
+  const levels = [[root]];
+  for (let level = 1; level <= maxDepth; level++) {
+    const parents = levels[level - 1].filter(node => node.left || node.right);
+    if (parents.length === 0) break;
+    levels.push(await TreeNode.find({ parent: { $in: parents.map(node => node.user) } }).lean());
+  }
+
+  const nodes = levels.flat();
+  const users = await User.find({ _id: { $in: nodes.map(node => node.user) } })
+    .select(`username createdAt achievedLevels ${extraUserFields}`)
+    .lean();
+  const usersById = new Map(users.map(u => [u._id.toString(), u]));
+  const nodesById = new Map(nodes.map(node => [node.user.toString(), node]));
+
+  const build = (node, relativeDepth) => {
+    const { _id, achievedLevels, createdAt, ...fields } = usersById.get(node.user.toString()) || {};
+    const child = (id) => {
+      const childNode = id && nodesById.get(id.toString());
+      return childNode ? build(childNode, relativeDepth + 1) : null;
+    };
+
+    const left = child(node.left);
+    const right = child(node.right);
+
+    return {
+      user: node.user,
+      ...fields,
+      isActive: node.isActive,
+      side: node.position,
+      level: levelOf(achievedLevels),
+      joinedAt: createdAt,
+      depth: relativeDepth,
+      legCounts: {
+        left: node.leftCount,
+        right: node.rightCount,
+        leftActive: node.leftActiveCount,
+        rightActive: node.rightActiveCount,
+      },
+      left,
+      right,
+      hasMore: Boolean((node.left && !left) || (node.right && !right)),
+    };
+  };
+
+  return build(root, 0);
+};
+
+// Whether `userId` is `ancestorId` itself or somewhere in its downline
+export const isInDownline = async (ancestorId, userId) => {
+  if (ancestorId.toString() === userId.toString()) return true;
+  return Boolean(await TreeNode.exists({ user: userId, 'ancestors.user': ancestorId }));
+};
@@ -8,8 +8,8 @@ const MEMORY_TTL = 60 * 1000; // 1 minute
 let redis = null;
 const REDIS_TTL = 300; // 5 minutes in seconds
 
-// Initialize Redis connection
-const getRedis = () => {
+// Initialize Redis connection (shared with other cache-backed stores)
+export const getRedis = () => {
   if (!redis && process.env.UPSTASH_REDIS_URL && process.env.UPSTASH_REDIS_TOKEN) {
     try {
       redis = new Redis({
@@ -24,14 +24,18 @@ const getRedis = () => {
   return redis;
 };
 
-// Two-level cache for settings
-class SettingsCache {
-  constructor() {
+// Two-level cache: entries are kept in memory for `memoryTtl` ms and in Redis for
+// `redisTtl` seconds, under `<prefix>:<key>`
+class TwoLevelCache {
+  constructor(prefix, { memoryTtl = MEMORY_TTL, redisTtl = REDIS_TTL } = {}) {
+    this.prefix = prefix;
+    this.memoryTtl = memoryTtl;
+    this.redisTtl = redisTtl;
     this.redis = getRedis();
   }
 
   async set(key, value) {
-    const cacheKey = `settings:${key}`;
+    const cacheKey = `${this.prefix}:${key}`;
     
     // Set in L1 memory cache
     memoryCache.set(cacheKey, {
@@ -42,7 +46,7 @@ class SettingsCache {
     // Set in L2 Redis cache if available
     if (this.redis) {
       try {
-        await this.redis.setex(cacheKey, REDIS_TTL, JSON.stringify(value));
+        await this.redis.setex(cacheKey, this.redisTtl, JSON.stringify(value));
       } catch (error) {
         console.error('Redis set error:', error.message);
       }
@@ -50,11 +54,11 @@ class SettingsCache {
   }
 
   async get(key) {
-    const cacheKey = `settings:${key}`;
+    const cacheKey = `${this.prefix}:${key}`;
     
     // Try L1 memory cache first
     const memItem = memoryCache.get(cacheKey);
-    if (memItem && (Date.now() - memItem.timestamp) < MEMORY_TTL) {
+    if (memItem && (Date.now() - memItem.timestamp) < this.memoryTtl) {
       return memItem.value;
     }
     
@@ -80,10 +84,14 @@ class SettingsCache {
   }
 
   async clear() {
-    memoryCache.clear();
+    for (const cacheKey of memoryCache.keys()) {
+      if (cacheKey.startsWith(`${this.prefix}:`)) {
+        memoryCache.delete(cacheKey);
+      }
+    }
     if (this.redis) {
       try {
-        const keys = await this.redis.keys('settings:*');
+        const keys = await this.redis.keys(`${this.prefix}:*`);
         if (keys.length > 0) {
           await this.redis.del(...keys);
         }
@@ -94,7 +102,7 @@ class SettingsCache {
   }
 
   async delete(key) {
-    const cacheKey = `settings:${key}`;
+    const cacheKey = `${this.prefix}:${key}`;
     memoryCache.delete(cacheKey);
     if (this.redis) {
       try {
@@ -106,4 +114,7 @@ class SettingsCache {
   }
 }
 
-export const settingsCache = new SettingsCache();
+export const settingsCache = new TwoLevelCache('settings');
+
+// Leaderboards are rewritten by every refresh, so they can be kept for longer
+export const leaderboardCache = new TwoLevelCache('leaderboard', { redisTtl: 60 * 60 });
@@ -0,0 +1,145 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { normalizeTransactionHash } from './transactionHashClaims.js';
+
+// Both providers implement the same interface:
+//   name
+//   getTransaction(hash, { decimals }) -> null when the chain does not know the hash, otherwise
+//     { status: 'success' | 'failed' | 'pending', blockNumber, confirmations,
+//       transfers: [{ token, from, to, amount }] }
+//   Addresses are lowercase with 0x; `amount` is a decimal string in whole token units.
+
+// keccak256("Transfer(address,address,uint256)")
+const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+
+const RPC_TIMEOUT_MS = 10000;
+
+// Render an integer amount of base units as a decimal string, e.g. (1500000n, 6) -> "1.5"
+export const formatUnits = (raw, decimals) => {
+  const value = BigInt(raw);
+  const scale = 10n ** BigInt(decimals);
+  const fraction = (value % scale).toString().padStart(decimals, '0').replace(/0+$/, '');
+  return fraction ? `${value / scale}.${fraction}` : `${value / scale}`;
+};
+
+const topicToAddress = (topic) => `0x${topic.slice(-40)}`.toLowerCase();
+
+// Any EVM chain reachable over JSON-RPC (BSC, Ethereum, Polygon, ...). ERC-20 transfers
+// are read from the receipt's Transfer logs.
+class EvmRpcProvider {
+  constructor(rpcUrl) {
+    this.name = 'evm';
+    this.rpcUrl = rpcUrl;
+    this.requestId = 0;
+  }
+
+  async rpc(method, params) {
+    const response = await fetch(this.rpcUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: ++this.requestId, method, params }),
+      signal: AbortSignal.timeout(RPC_TIMEOUT_MS),
+    });
+
+    if (!response.ok) {
+      throw new Error(`RPC ${method} failed with HTTP ${response.status}`);
+    }
+
+    const body = await response.json();
+    if (body.error) {
+      throw new Error(`RPC ${method} failed: ${body.error.message}`);
+    }
+    return body.result;
+  }
+
+  async getTransaction(hash, { decimals }) {
+    const txHash = `0x${normalizeTransactionHash(hash)}`;
+    const receipt = await this.rpc('eth_getTransactionReceipt', [txHash]);
+
+    if (!receipt) {
+      // Known to the node but not mined yet
+      const transaction = await this.rpc('eth_getTransactionByHash', [txHash]);
+      return transaction ? { status: 'pending', blockNumber: null, confirmations: 0, transfers: [] } : null;
+    }
+
+    const latestBlock = BigInt(await this.rpc('eth_blockNumber', []));
+    const blockNumber = BigInt(receipt.blockNumber);
+
+    const transfers = receipt.logs
+      .filter(log => log.topics?.[0]?.toLowerCase() === TRANSFER_TOPIC && log.topics.length === 3)
+      .map(log => ({
+        token: log.address.toLowerCase(),
+        from: topicToAddress(log.topics[1]),
+        to: topicToAddress(log.topics[2]),
+        amount: formatUnits(log.data, decimals),
+      }));
+
+    return {
+      status: receipt.status === '0x1' ? 'success' : 'failed',
+      blockNumber: Number(blockNumber),
+      confirmations: Number(latestBlock - blockNumber + 1n),
+      transfers,
+    };
+  }
+}
+
+// Reads transactions from a JSON file so the whole verification flow can run offline:
+// { "blockNumber": 1000, "transactions": { "<hash>": { "status": "success", "blockNumber": 990,
+//   "transfers": [{ "token": "0x...", "from": "0x...", "to": "0x...", "amount": "60" }] } } }
+// The file is re-read on every lookup, so it can be edited while the server runs.
+class MockChainProvider {
+  constructor(filePath) {
+    this.name = 'mock';
+    this.filePath = path.resolve(filePath);
+  }
+
+  async getTransaction(hash) {
+    const chain = JSON.parse(await readFile(this.filePath, 'utf8'));
+    const normalized = normalizeTransactionHash(hash);
+
+    const [, transaction] = Object.entries(chain.transactions || {})
+      .find(([key]) => normalizeTransactionHash(key) === normalized) || [];
+    if (!transaction) return null;
+
+    const status = transaction.status || 'success';
+    const blockNumber = transaction.blockNumber ?? null;
+
+    return {
+      status,
+      blockNumber,
+      confirmations: status === 'pending' || blockNumber === null ? 0 : chain.blockNumber - blockNumber + 1,
+      transfers: (transaction.transfers || []).map(transfer => ({
+        token: transfer.token?.toLowerCase(),
+        from: transfer.from?.toLowerCase(),
+        to: transfer.to?.toLowerCase(),
+        amount: String(transfer.amount),
+      })),
+    };
+  }
+}
+
+let provider;
+
+// CHAIN_PROVIDER=evm (needs EVM_RPC_URL) or mock (reads MOCK_CHAIN_FILE).
+// Returns null when on-chain verification is not configured.
+export const getChainProvider = () => {
+  if (provider !== undefined) return provider;
+
+  switch (process.env.CHAIN_PROVIDER) {
+    case 'evm':
+      if (!process.env.EVM_RPC_URL) {
+        console.error('CHAIN_PROVIDER=evm but EVM_RPC_URL is not set, deposit verification is disabled');
+        provider = null;
+      } else {
+        provider = new EvmRpcProvider(process.env.EVM_RPC_URL);
+      }
+      break;
+    case 'mock':
+      provider = new MockChainProvider(process.env.MOCK_CHAIN_FILE || 'mock-chain.json');
+      break;
+    default:
+      provider = null;
+  }
+
+  return provider;
+};
@@ -0,0 +1,72 @@
+// Minimal RFC 4180 CSV helpers for admin exports and imports
+
+const escapeField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Render rows (objects) as CSV with the given columns as the header
+export const toCsv = (rows, columns) => [
+  columns.join(','),
+  ...rows.map(row => columns.map(column => escapeField(row[column])).join(',')),
+].join('\r\n') + '\r\n';
+
+// Parse CSV text into objects keyed by the lowercased, trimmed header names.
+// Blank lines are skipped; each row carries its 1-based line number as `_line`.
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    if (record.some(value => value.trim() !== '')) {
+      records.push({ values: record, line: recordLine });
+    }
+    record = [];
+    recordLine = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      line++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) endRecord();
+
+  if (records.length === 0) return [];
+
+  const [header, ...rows] = records;
+  const keys = header.values.map(name => name.trim().toLowerCase());
+  return rows.map(({ values, line: rowLine }) => ({
+    ...Object.fromEntries(keys.map((key, index) => [key, (values[index] ?? '').trim()])),
+    _line: rowLine,
+  }));
+};
@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// Transactions need a replica set (Atlas, or mongod --replSet). Standalone servers
+// can opt out with MONGODB_TRANSACTIONS=false; callers then rely on their conditional
+// updates alone, which still prevent double-spending but cannot roll back partial writes.
+const transactionsEnabled = () => process.env.MONGODB_TRANSACTIONS !== 'false';
+
+// Run `fn(session)` inside a MongoDB transaction, retrying on transient errors.
+// `session` is null when transactions are disabled; pass it through to every query.
+export const withTransaction = async (fn) => {
+  if (!transactionsEnabled()) {
+    return fn(null);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
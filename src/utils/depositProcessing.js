@@ -0,0 +1,243 @@
+import User from '../models/User.js';
+import Deposit from '../models/Deposit.js';
+import Transaction from '../models/Transaction.js';
+import Referral from '../models/Referral.js';
+import TreeNode from '../models/TreeNode.js';
+import Settings from '../models/Settings.js';
+import { ACCOUNTS, postTransfer, userAccount } from './ledger.js';
+import { withTransaction } from './dbTransaction.js';
+import * as money from './money.js';
+import { claimTransactionHash, releaseTransactionHash } from './transactionHashClaims.js';
+import { addLegVolume, removeLegVolume, setTreeNodeActive } from './binaryTree.js';
+import { evaluateUplineLevelRewards } from './levelRewards.js';
+import { payDepositCommissions, reverseDepositCommissions } from './referralCommissions.js';
+import { getSetting } from './settingsHelper.js';
+
+// Stale deposits expired per scheduled tick
+const EXPIRY_BATCH_SIZE = 100;
+
+// Approve or reject a pending deposit, regular or registration. Shared by the admin
+// endpoints and on-chain auto-approval. Returns the updated deposit, or null when the
+// deposit was no longer pending. `processedBy` is empty for automatic approvals and expiry.
+export const processDeposit = async (deposit, { status, adminNotes, processedBy, autoApproved = false, releaseReason = 'rejected' }) => {
+  const label = deposit.isRegistrationDeposit ? 'Registration deposit' : 'Deposit';
+
+  // Only a pending deposit can change status; the conditional update makes
+  // concurrent approvals of the same deposit credit the user once
+  const updated = await withTransaction(async (session) => {
+    const processed = await Deposit.findOneAndUpdate(
+      { _id: deposit._id, status: 'pending' },
+      {
+        status,
+        adminNotes: adminNotes || deposit.adminNotes,
+        approvedBy: processedBy,
+        approvedAt: new Date(),
+        autoApproved,
+      },
+      { new: true, runValidators: true, session }
+    );
+    if (!processed) return null;
+
+    if (status === 'approved') {
+      // Refuse to credit a hash that another deposit already holds
+      try {
+        await claimTransactionHash({ hash: deposit.transactionHash, deposit: deposit._id, user: deposit.user, session });
+      } catch (error) {
+        if (!session) {
+          // Without transactions the approval above is already saved; put the deposit back in the queue
+          await Deposit.updateOne(
+            { _id: deposit._id, status: 'approved' },
+            {
+              status: 'pending',
+              adminNotes: deposit.adminNotes || '',
+              autoApproved: false,
+              $unset: { approvedBy: 1, approvedAt: 1 },
+            }
+          );
+        }
+        throw error;
+      }
+
+      if (deposit.isRegistrationDeposit) {
+        // Activate user account
+        await User.updateOne(
+          { _id: deposit.user },
+          { isActive: true, registrationDepositVerified: true },
+          { session }
+        );
+      }
+
+      // Update transaction
+      const transaction = await Transaction.updateForSource(
+        'deposit',
+        deposit._id,
+        { status: 'completed', processedBy, processedAt: new Date() },
+        { session }
+      );
+
+      await postTransfer({
+        type: 'deposit',
+        debit: ACCOUNTS.TREASURY,
+        credit: userAccount(deposit.user),
+        amount: deposit.amount,
+        counters: { totalDeposits: deposit.amount },
+        transaction: transaction?._id,
+        postedBy: processedBy,
+        description: `${label} ${deposit._id} approved${autoApproved ? ' automatically' : ''}`,
+        session,
+      });
+
+      if (deposit.isRegistrationDeposit) {
+        // Activate the referral relationship
+        await Referral.updateOne(
+          { referred: deposit.user },
+          { isActive: true },
+          { session }
+        );
+
+        // Count the user in every upline leg
+        await setTreeNodeActive(deposit.user, true, session);
+      }
+
+      // The deposit counts as business volume in every upline leg
+      await addLegVolume(deposit.user, deposit.amount, session);
+
+      await payDepositCommissions(processed, { processedBy, session });
+    } else if (status === 'rejected') {
+      if (deposit.isRegistrationDeposit) {
+        // Keep user inactive and referral inactive
+        await User.updateOne(
+          { _id: deposit.user },
+          { isActive: false, registrationDepositVerified: false },
+          { session }
+        );
+
+        await Referral.updateOne(
+          { referred: deposit.user },
+          { isActive: false },
+          { session }
+        );
+
+        await setTreeNodeActive(deposit.user, false, session);
+      }
+
+      // Update transaction
+      await Transaction.updateForSource(
+        'deposit',
+        deposit._id,
+        { status: 'rejected', processedBy, processedAt: new Date() },
+        { session }
+      );
+
+      // Let the hash be submitted again
+      await releaseTransactionHash(deposit._id, session, releaseReason);
+    }
+
+    return processed;
+  });
+
+  if (updated && status === 'approved' && deposit.isRegistrationDeposit) {
+    // The new member counts towards every upline's legs, so re-evaluate their level rewards
+    // (level awards run their own transactions, so this happens after commit)
+    const node = await TreeNode.findOne({ user: deposit.user }).select('ancestors').lean();
+    if (node && node.ancestors.length > 0) {
+      await evaluateUplineLevelRewards(node.ancestors.map(a => a.user));
+    }
+  }
+
+  return updated;
+};
+
+// Take back an approved deposit: debit the user, cancel its transaction and reverse the
+// referral commissions it paid. A reversed registration deposit deactivates the account
+// again. The hash stays claimed so the same transfer cannot be credited a second time.
+// Returns the reversed deposit, or null when the deposit was no longer approved.
+export const reverseDeposit = async (deposit, { reason, processedBy, allowNegativeBalance = false }) => {
+  const label = deposit.isRegistrationDeposit ? 'Registration deposit' : 'Deposit';
+
+  return withTransaction(async (session) => {
+    const reversed = await Deposit.findOneAndUpdate(
+      { _id: deposit._id, status: 'approved' },
+      {
+        status: 'reversed',
+        reversedBy: processedBy,
+        reversedAt: new Date(),
+        reversalReason: reason || '',
+      },
+      { new: true, runValidators: true, session }
+    );
+    if (!reversed) return null;
+
+    const transaction = await Transaction.updateForSource(
+      'deposit',
+      deposit._id,
+      { status: 'cancelled', processedBy, processedAt: new Date() },
+      { session }
+    );
+
+    await postTransfer({
+      type: 'deposit_reversal',
+      debit: userAccount(deposit.user),
+      credit: ACCOUNTS.TREASURY,
+      amount: deposit.amount,
+      counters: { totalDeposits: money.negate(deposit.amount) },
+      transaction: transaction?._id,
+      postedBy: processedBy,
+      description: `${label} ${deposit._id} reversed${reason ? `: ${reason}` : ''}`,
+      minBalance: allowNegativeBalance ? null : 0,
+      session,
+    });
+
+    await reverseDepositCommissions(deposit._id, { processedBy, allowNegativeBalance, session });
+
+    await removeLegVolume(deposit.user, deposit.amount, session);
+
+    if (deposit.isRegistrationDeposit) {
+      await User.updateOne(
+        { _id: deposit.user },
+        { isActive: false, registrationDepositVerified: false },
+        { session }
+      );
+
+      await Referral.updateOne(
+        { referred: deposit.user },
+        { isActive: false },
+        { session }
+      );
+
+      await setTreeNodeActive(deposit.user, false, session);
+    }
+
+    return reversed;
+  });
+};
+
+// Scheduled job (only with a chain provider): reject pending deposits older than the
+// `depositClaimExpiryHours` setting (default 0, never) whose transaction the chain still
+// does not know, oldest first. Deposits held for manual review are left to admins. Their
+// hashes are released as expired, so only the user who submitted them can claim them again.
+export const expireStaleDeposits = async () => {
+  const expiryHours = Number(await getSetting(Settings, 'depositClaimExpiryHours', 0));
+  if (!(expiryHours > 0)) return;
+
+  const deposits = await Deposit.find({
+    status: 'pending',
+    createdAt: { $lt: new Date(Date.now() - expiryHours * 60 * 60 * 1000) },
+    'verification.status': 'not_found',
+  })
+    .sort({ createdAt: 1 })
+    .limit(EXPIRY_BATCH_SIZE)
+    .lean();
+
+  for (const deposit of deposits) {
+    try {
+      await processDeposit(deposit, {
+        status: 'rejected',
+        adminNotes: `Expired: transaction not found on chain within ${expiryHours} hours`,
+        releaseReason: 'expired',
+      });
+    } catch (error) {
+      console.error(`Expiry of deposit ${deposit._id} failed:`, error.message);
+    }
+  }
+};
@@ -0,0 +1,144 @@
+import Deposit from '../models/Deposit.js';
+import Settings from '../models/Settings.js';
+import { getChainProvider } from './chainProviders.js';
+import { processDeposit } from './depositProcessing.js';
+import { getSetting, getSettings } from './settingsHelper.js';
+import * as money from './money.js';
+
+// Results that can still change on a later check
+const RECHECK_STATUSES = ['pending', 'not_found', 'error'];
+
+// Pending deposits checked per scheduled tick
+const BATCH_SIZE = 100;
+
+const getVerificationConfig = async () => {
+  const config = await getSettings(
+    Settings,
+    ['depositWallet', 'depositTokenContract', 'depositTokenDecimals', 'depositMinConfirmations'],
+    { depositWallet: process.env.DEPOSIT_WALLET, depositTokenDecimals: 18, depositMinConfirmations: 12 }
+  );
+
+  return {
+    wallet: config.depositWallet?.toLowerCase(),
+    token: config.depositTokenContract?.toLowerCase(),
+    decimals: Number(config.depositTokenDecimals),
+    minConfirmations: Number(config.depositMinConfirmations),
+  };
+};
+
+// Compare what the chain reports with the deposit and the configured wallet and token
+const evaluate = (deposit, transaction, config) => {
+  if (!transaction) {
+    return { status: 'not_found', checks: { found: false }, reasons: ['Transaction not found on chain'] };
+  }
+  if (transaction.status === 'pending') {
+    return { status: 'pending', checks: { found: true }, confirmations: 0, reasons: ['Transaction is not mined yet'] };
+  }
+  if (transaction.status === 'failed') {
+    return {
+      status: 'failed',
+      blockNumber: transaction.blockNumber,
+      confirmations: transaction.confirmations,
+      checks: { found: true, succeeded: false },
+      reasons: ['Transaction reverted on chain'],
+    };
+  }
+
+  const reasons = [];
+  const toWallet = transaction.transfers.filter(t => config.wallet && t.to === config.wallet);
+  const ofToken = toWallet.filter(t => config.token && t.token === config.token);
+  // Only what the depositor sent from the wallet they declared counts, so a deposit cannot
+  // be credited for someone else's transfer. Registration deposits submitted without a
+  // sender carry the deposit wallet itself, which never matches.
+  const sender = deposit.walletAddress?.toLowerCase();
+  const matching = ofToken.filter(t => sender && sender !== config.wallet && t.from === sender);
+  const receivedAmount = money.add(...matching.map(t => t.amount));
+
+  const checks = {
+    found: true,
+    succeeded: true,
+    recipient: toWallet.length > 0,
+    token: ofToken.length > 0,
+    sender: matching.length > 0,
+    amount: matching.length > 0 && money.compare(receivedAmount, deposit.amount) >= 0,
+    confirmations: transaction.confirmations >= config.minConfirmations,
+  };
+
+  if (!config.token) reasons.push('The depositTokenContract setting is not configured');
+  if (!checks.recipient) reasons.push(`No transfer to the deposit wallet ${config.wallet}`);
+  else if (!checks.token) reasons.push('No transfer of the deposit token to the deposit wallet');
+  else if (!checks.sender) reasons.push(`No transfer from the declared wallet ${deposit.walletAddress || '(none)'}`);
+  else if (!checks.amount) reasons.push(`Received ${money.format(receivedAmount)}, expected ${money.format(deposit.amount)}`);
+  if (!checks.confirmations) reasons.push(`${transaction.confirmations} of ${config.minConfirmations} confirmations`);
+
+  let status = 'verified';
+  if (!checks.recipient || !checks.token || !checks.sender || !checks.amount) status = 'mismatch';
+  else if (!checks.confirmations) status = 'pending';
+
+  return {
+    status,
+    blockNumber: transaction.blockNumber,
+    confirmations: transaction.confirmations,
+    receivedAmount,
+    checks,
+    reasons,
+  };
+};
+
+// Check a deposit against the chain, store the result on it, and approve it when it
+// matches and the `depositAutoApprove` setting is on. Returns the updated deposit.
+export const verifyDeposit = async (deposit) => {
+  const provider = getChainProvider();
+  if (!provider) {
+    throw new Error('On-chain verification is not configured');
+  }
+
+  const config = await getVerificationConfig();
+
+  let result;
+  try {
+    const transaction = await provider.getTransaction(deposit.transactionHash, { decimals: config.decimals });
+    result = evaluate(deposit, transaction, config);
+  } catch (error) {
+    result = { status: 'error', reasons: [error.message] };
+  }
+
+  const verification = { ...result, provider: provider.name, checkedAt: new Date() };
+  const updated = await Deposit.findByIdAndUpdate(deposit._id, { verification }, { new: true });
+
+  const autoApprove = await getSetting(Settings, 'depositAutoApprove', false);
+  if (verification.status === 'verified' && updated.status === 'pending' && autoApprove === true) {
+    const approved = await processDeposit(updated, {
+      status: 'approved',
+      adminNotes: 'Approved automatically after on-chain verification',
+      autoApproved: true,
+    });
+    if (approved) return approved;
+  }
+
+  return updated;
+};
+
+// Scheduled job: re-check pending deposits whose result can still change, oldest first
+export const verifyPendingDeposits = async () => {
+  if (!getChainProvider()) return;
+
+  const deposits = await Deposit.find({
+    status: 'pending',
+    $or: [
+      { verification: { $exists: false } },
+      { 'verification.status': { $in: RECHECK_STATUSES } },
+    ],
+  })
+    .sort({ createdAt: 1 })
+    .limit(BATCH_SIZE)
+    .lean();
+
+  for (const deposit of deposits) {
+    try {
+      await verifyDeposit(deposit);
+    } catch (error) {
+      console.error(`Verification of deposit ${deposit._id} failed:`, error.message);
+    }
+  }
+};
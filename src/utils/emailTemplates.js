@@ -0,0 +1,88 @@
+// Transactional emails. Each template builds a subject, a plain-text body and the HTML
+// body's content from its data; values are escaped before they reach the HTML.
+
+const APP_NAME = 'Hatra Suci';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const button = (href, label) => (
+  `<p><a href="${escapeHtml(href)}" style="display:inline-block;padding:12px 24px;background:#4f46e5;color:#ffffff;text-decoration:none;border-radius:6px">${escapeHtml(label)}</a></p>`
+);
+
+const layout = (title, content) => `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+<body style="font-family:Arial,sans-serif;color:#111827;line-height:1.5">
+  <h2>${escapeHtml(title)}</h2>
+  ${content}
+  <p style="color:#6b7280;font-size:12px">${APP_NAME}</p>
+</body>
+</html>`;
+
+const TEMPLATES = {
+  verify_email: ({ username, link, expiresIn }) => ({
+    subject: `Verify your ${APP_NAME} email address`,
+    text: [
+      `Hi ${username},`,
+      '',
+      'Confirm your email address by opening this link:',
+      link,
+      '',
+      `The link expires in ${expiresIn}. If you did not sign up, ignore this email.`,
+    ].join('\n'),
+    html: [
+      `<p>Hi ${escapeHtml(username)},</p>`,
+      '<p>Confirm your email address:</p>',
+      button(link, 'Verify email'),
+      `<p>The link expires in ${escapeHtml(expiresIn)}. If you did not sign up, ignore this email.</p>`,
+    ].join('\n'),
+  }),
+
+  password_reset: ({ username, link, expiresIn }) => ({
+    subject: `Reset your ${APP_NAME} password`,
+    text: [
+      `Hi ${username},`,
+      '',
+      'Someone asked to reset your password. Choose a new one with this link:',
+      link,
+      '',
+      `The link works once and expires in ${expiresIn}. If it was not you, ignore this email; your password stays the same.`,
+    ].join('\n'),
+    html: [
+      `<p>Hi ${escapeHtml(username)},</p>`,
+      '<p>Someone asked to reset your password. Choose a new one:</p>',
+      button(link, 'Reset password'),
+      `<p>The link works once and expires in ${escapeHtml(expiresIn)}. If it was not you, ignore this email; your password stays the same.</p>`,
+    ].join('\n'),
+  }),
+
+  password_changed: ({ username, changedAt }) => ({
+    subject: `Your ${APP_NAME} password was changed`,
+    text: [
+      `Hi ${username},`,
+      '',
+      `Your password was changed on ${changedAt.toUTCString()} and every other device was signed out.`,
+      'If this was not you, reset your password right away and contact support.',
+    ].join('\n'),
+    html: [
+      `<p>Hi ${escapeHtml(username)},</p>`,
+      `<p>Your password was changed on ${escapeHtml(changedAt.toUTCString())} and every other device was signed out.</p>`,
+      '<p>If this was not you, reset your password right away and contact support.</p>',
+    ].join('\n'),
+  }),
+};
+
+export const renderEmail = (template, data) => {
+  const render = TEMPLATES[template];
+  if (!render) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+
+  const { subject, text, html } = render(data);
+  return { subject, text, html: layout(subject, html) };
+};
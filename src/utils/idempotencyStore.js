@@ -0,0 +1,109 @@
+import IdempotencyKey from '../models/IdempotencyKey.js';
+import { getRedis } from './cache.js';
+
+// Both stores implement the same interface:
+//   begin(scopedKey, requestHash, ttlSeconds) -> { state: 'new' | 'processing' | 'mismatch' | 'completed', record }
+//   complete(scopedKey, responseStatus, responseBody, ttlSeconds)
+//   release(scopedKey)   - forget a key whose request failed so the client can retry
+
+// Default store: a Mongo collection with a TTL index
+export class MongoIdempotencyStore {
+  async begin(scopedKey, requestHash, ttlSeconds) {
+    const expiresAt = new Date(Date.now() + ttlSeconds * 1000);
+
+    try {
+      await IdempotencyKey.create({ scopedKey, requestHash, expiresAt });
+      return { state: 'new' };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+
+    const existing = await IdempotencyKey.findOne({ scopedKey }).lean();
+
+    // Expired keys linger until the TTL monitor runs; treat them as gone
+    if (!existing || existing.expiresAt < new Date()) {
+      await IdempotencyKey.deleteOne({ scopedKey, expiresAt: { $lt: new Date() } });
+      return this.begin(scopedKey, requestHash, ttlSeconds);
+    }
+
+    return this.describe(existing, requestHash);
+  }
+
+  describe(record, requestHash) {
+    if (record.requestHash !== requestHash) return { state: 'mismatch', record };
+    if (record.status === 'processing') return { state: 'processing', record };
+    return { state: 'completed', record };
+  }
+
+  async complete(scopedKey, responseStatus, responseBody) {
+    await IdempotencyKey.updateOne(
+      { scopedKey },
+      { status: 'completed', responseStatus, responseBody }
+    );
+  }
+
+  async release(scopedKey) {
+    await IdempotencyKey.deleteOne({ scopedKey });
+  }
+}
+
+// Optional store backed by the shared Upstash Redis used by the cache layer
+export class CacheIdempotencyStore extends MongoIdempotencyStore {
+  constructor(redis) {
+    super();
+    this.redis = redis;
+    this.prefix = 'idempotency:';
+  }
+
+  async begin(scopedKey, requestHash, ttlSeconds) {
+    const redisKey = this.prefix + scopedKey;
+    const record = { requestHash, status: 'processing' };
+
+    const created = await this.redis.set(redisKey, JSON.stringify(record), { nx: true, ex: ttlSeconds });
+    if (created) return { state: 'new' };
+
+    const stored = await this.redis.get(redisKey);
+    if (!stored) {
+      return this.begin(scopedKey, requestHash, ttlSeconds);
+    }
+
+    const existing = typeof stored === 'string' ? JSON.parse(stored) : stored;
+    return this.describe(existing, requestHash);
+  }
+
+  async complete(scopedKey, responseStatus, responseBody, ttlSeconds) {
+    const redisKey = this.prefix + scopedKey;
+    const stored = await this.redis.get(redisKey);
+    const existing = typeof stored === 'string' ? JSON.parse(stored) : stored;
+
+    await this.redis.set(redisKey, JSON.stringify({
+      requestHash: existing?.requestHash,
+      status: 'completed',
+      responseStatus,
+      responseBody,
+    }), { ex: ttlSeconds });
+  }
+
+  async release(scopedKey) {
+    await this.redis.del(this.prefix + scopedKey);
+  }
+}
+
+let store = null;
+
+// IDEMPOTENCY_STORE=cache selects Redis; anything else (or Redis being unconfigured) uses Mongo
+export const getIdempotencyStore = () => {
+  if (store) return store;
+
+  if (process.env.IDEMPOTENCY_STORE === 'cache') {
+    const redis = getRedis();
+    if (redis) {
+      store = new CacheIdempotencyStore(redis);
+      return store;
+    }
+    console.error('IDEMPOTENCY_STORE=cache but Redis is not configured, falling back to MongoDB');
+  }
+
+  store = new MongoIdempotencyStore();
+  return store;
+};
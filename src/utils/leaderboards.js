@@ -0,0 +1,211 @@
+import User from '../models/User.js';
+import Referral from '../models/Referral.js';
+import LevelAward from '../models/LevelAward.js';
+import Transaction from '../models/Transaction.js';
+import LeaderboardSnapshot from '../models/LeaderboardSnapshot.js';
+import LeaderboardEntry from '../models/LeaderboardEntry.js';
+import { leaderboardCache } from './cache.js';
+import * as money from './money.js';
+
+export const LEADERBOARDS = ['recruiters', 'levels', 'earners'];
+export const LEADERBOARD_PERIODS = ['daily', 'weekly', 'monthly', 'all_time'];
+
+// Entries served (and cached) per leaderboard; every user keeps a rank for `me`
+const LEADERBOARD_SIZE = 100;
+const INSERT_BATCH_SIZE = 1000;
+
+// Rewards that count as earnings; admin bonuses do not
+const EARNING_TYPES = ['referral', 'level_reward', 'pairing_bonus', 'daily_reward'];
+
+// Start of the UTC day, week (Monday) or month containing `now`; null for all time
+export const periodStart = (period, now = new Date()) => {
+  const day = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  if (period === 'daily') return day;
+  if (period === 'weekly') {
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+    return day;
+  }
+  if (period === 'monthly') return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  return null;
+};
+
+const since = (start) => (start ? { createdAt: { $gte: start } } : {});
+
+// Per board: an aggregation yielding { _id: user, value, reachedAt } best first. Ties are
+// listed by who got there first.
+const BOARD_PIPELINES = {
+  // Active referrals who signed up in the period
+  recruiters: (start) => Referral.aggregate([
+    { $match: { isActive: true, ...since(start) } },
+    { $group: { _id: '$referrer', value: { $sum: 1 }, reachedAt: { $max: '$createdAt' } } },
+  ]),
+  // Highest level awarded in the period
+  levels: (start) => LevelAward.aggregate([
+    { $match: since(start) },
+    { $sort: { level: -1, createdAt: 1 } },
+    { $group: { _id: '$user', value: { $first: '$level' }, reachedAt: { $first: '$createdAt' } } },
+  ]),
+  // Rewards paid in the period, less those reversed since
+  earners: (start) => Transaction.aggregate([
+    { $match: { type: { $in: EARNING_TYPES }, status: 'completed', ...since(start) } },
+    { $group: { _id: '$user', value: { $sum: '$amount' }, reachedAt: { $max: '$createdAt' } } },
+    { $match: { value: { $gt: money.toDecimal(0) } } },
+  ]),
+};
+
+// Rank one batch of aggregation rows and store them with the users' display names
+const insertEntries = async (snapshot, rows) => {
+  const users = await User.find({ _id: { $in: rows.map(row => row._id) } })
+    .select('username leaderboardOptOut')
+    .lean();
+  const usersById = new Map(users.map(u => [u._id.toString(), u]));
+
+  const entries = rows
+    .filter(row => usersById.has(row._id.toString()))
+    .map((row) => {
+      const user = usersById.get(row._id.toString());
+      return {
+        snapshot: snapshot._id,
+        user: row._id,
+        rank: row.rank,
+        value: money.toNumber(row.value),
+        username: user.leaderboardOptOut ? null : user.username,
+      };
+    });
+
+  if (entries.length > 0) {
+    await LeaderboardEntry.insertMany(entries, { ordered: false });
+  }
+};
+
+// The cached form of a snapshot: its details and top entries
+const buildLeaderboard = async (snapshot) => {
+  const entries = await LeaderboardEntry.find({ snapshot: snapshot._id })
+    .sort({ rank: 1, _id: 1 })
+    .limit(LEADERBOARD_SIZE)
+    .lean();
+
+  return {
+    snapshot: snapshot._id.toString(),
+    board: snapshot.board,
+    period: snapshot.period,
+    periodStart: snapshot.periodStart,
+    computedAt: snapshot.computedAt,
+    totalRanked: snapshot.totalRanked,
+    entries: entries.map(entry => ({
+      rank: entry.rank,
+      user: entry.user.toString(),
+      username: entry.username,
+      value: entry.value,
+    })),
+  };
+};
+
+// Compute one leaderboard into a new snapshot, replace the older ones and refresh the cache
+export const refreshLeaderboard = async (board, period, now = new Date()) => {
+  const start = periodStart(period, now);
+  const snapshot = await LeaderboardSnapshot.create({ board, period, periodStart: start });
+
+  try {
+    const cursor = BOARD_PIPELINES[board](start)
+      .sort({ value: -1, reachedAt: 1, _id: 1 })
+      .allowDiskUse(true)
+      .cursor({ batchSize: INSERT_BATCH_SIZE });
+
+    // Users with the same value share a rank (1, 1, 3)
+    let position = 0;
+    let rank = 0;
+    let previous = null;
+    let batch = [];
+
+    for await (const row of cursor) {
+      position++;
+      if (previous === null || money.compare(row.value, previous) !== 0) rank = position;
+      previous = row.value;
+
+      batch.push({ ...row, rank });
+      if (batch.length === INSERT_BATCH_SIZE) {
+        await insertEntries(snapshot, batch);
+        batch = [];
+      }
+    }
+    if (batch.length > 0) await insertEntries(snapshot, batch);
+
+    snapshot.status = 'completed';
+    snapshot.computedAt = new Date();
+    snapshot.totalRanked = await LeaderboardEntry.countDocuments({ snapshot: snapshot._id });
+    await snapshot.save();
+  } catch (error) {
+    snapshot.status = 'failed';
+    snapshot.error = error.message;
+    await snapshot.save();
+    throw error;
+  }
+
+  // Snapshots started before this one are no longer needed
+  const older = await LeaderboardSnapshot.find({
+    board,
+    period,
+    _id: { $ne: snapshot._id },
+    startedAt: { $lt: snapshot.startedAt },
+  }).select('_id').lean();
+  if (older.length > 0) {
+    const ids = older.map(s => s._id);
+    await LeaderboardEntry.deleteMany({ snapshot: { $in: ids } });
+    await LeaderboardSnapshot.deleteMany({ _id: { $in: ids } });
+  }
+
+  const leaderboard = await buildLeaderboard(snapshot);
+  await leaderboardCache.set(`${board}:${period}`, leaderboard);
+  return snapshot;
+};
+
+// Recompute every leaderboard; one failing board does not stop the others
+export const refreshLeaderboards = async () => {
+  const now = new Date();
+  const results = [];
+
+  for (const board of LEADERBOARDS) {
+    for (const period of LEADERBOARD_PERIODS) {
+      try {
+        const snapshot = await refreshLeaderboard(board, period, now);
+        results.push({ board, period, status: snapshot.status, totalRanked: snapshot.totalRanked });
+      } catch (error) {
+        console.error(`Leaderboard ${board}/${period} failed:`, error);
+        results.push({ board, period, status: 'failed', error: error.message });
+      }
+    }
+  }
+
+  return results;
+};
+
+// The latest computed leaderboard, from the cache when possible; null before the first refresh
+export const getLeaderboard = async (board, period) => {
+  const cacheKey = `${board}:${period}`;
+  const cached = await leaderboardCache.get(cacheKey);
+  if (cached) return cached;
+
+  const snapshot = await LeaderboardSnapshot.findOne({ board, period, status: 'completed' })
+    .sort({ computedAt: -1 })
+    .lean();
+  if (!snapshot) return null;
+
+  const leaderboard = await buildLeaderboard(snapshot);
+  await leaderboardCache.set(cacheKey, leaderboard);
+  return leaderboard;
+};
+
+// A user's rank on a snapshot, or null when they are not ranked
+export const getUserRank = async (snapshotId, userId) => {
+  const entry = await LeaderboardEntry.findOne({ snapshot: snapshotId, user: userId })
+    .select('rank value')
+    .lean();
+  return entry ? { rank: entry.rank, value: entry.value } : null;
+};
+
+// Apply a change of the opt-out flag to the stored leaderboards straight away
+export const setLeaderboardName = async (userId, { optOut, username }) => {
+  await LeaderboardEntry.updateMany({ user: userId }, { username: optOut ? null : username });
+  await leaderboardCache.clear();
+};
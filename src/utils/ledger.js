@@ -0,0 +1,191 @@
+import JournalEntry from '../models/JournalEntry.js';
+import User from '../models/User.js';
+import * as money from './money.js';
+
+// Platform-side ledger accounts. Every user also has its own account (see userAccount).
+export const ACCOUNTS = {
+  TREASURY: 'platform:treasury',
+  REWARDS_EXPENSE: 'expense:rewards',
+  PENDING_WITHDRAWALS: 'liability:pending_withdrawals',
+  FEE_REVENUE: 'revenue:withdrawal_fees',
+  ADJUSTMENTS: 'equity:adjustments',
+  OPENING_BALANCES: 'equity:opening_balances',
+};
+
+const USER_ACCOUNT_PREFIX = 'user:';
+
+export const userAccount = (userId) => `${USER_ACCOUNT_PREFIX}${userId}`;
+
+const isUserAccount = (account) => account.startsWith(USER_ACCOUNT_PREFIX);
+
+// Thrown when a debit would take a user's balance below the allowed floor
+export class InsufficientFundsError extends Error {
+  constructor(message = 'Insufficient balance') {
+    super(message);
+    this.name = 'InsufficientFundsError';
+  }
+}
+
+// Thrown when a user's balance is no longer the `expectedBalance` an entry was computed from
+export class BalanceChangedError extends Error {
+  constructor(message = 'Balance changed while it was being edited, please retry') {
+    super(message);
+    this.name = 'BalanceChangedError';
+  }
+}
+
+// Post a balanced journal entry and project its user legs onto User.balance.
+// `counters` are extra $inc fields (e.g. totalDeposits) applied to the same user update.
+// Debited users are updated conditionally so the balance never drops below `minBalance`
+// (null disables the guard). With `expectedBalance` the users' balances must also still
+// equal it. Pass a `session` to make the entry part of a wider transaction.
+export const postEntry = async ({
+  type,
+  legs,
+  description = '',
+  transaction,
+  postedBy,
+  counters = {},
+  applyToBalance = true,
+  minBalance = 0,
+  expectedBalance = null,
+  session = null,
+}) => {
+  if (!Array.isArray(legs) || legs.length < 2) {
+    throw new Error('A journal entry needs at least two legs');
+  }
+
+  let debitTotal = money.toDecimal(0);
+  let creditTotal = money.toDecimal(0);
+  const normalizedLegs = legs.map((leg) => {
+    const debit = money.toDecimal(leg.debit);
+    const credit = money.toDecimal(leg.credit);
+
+    if (money.isNegative(debit) || money.isNegative(credit) || (money.isPositive(debit) && money.isPositive(credit))) {
+      throw new Error(`Invalid journal leg for account ${leg.account}`);
+    }
+
+    debitTotal = money.add(debitTotal, debit);
+    creditTotal = money.add(creditTotal, credit);
+
+    const userId = isUserAccount(leg.account) ? leg.account.slice(USER_ACCOUNT_PREFIX.length) : undefined;
+    return { account: leg.account, user: userId, debit, credit };
+  });
+
+  if (money.compare(debitTotal, creditTotal) !== 0) {
+    throw new Error(`Unbalanced journal entry: debits ${debitTotal} != credits ${creditTotal}`);
+  }
+
+  // User accounts are liabilities of the platform: credits raise the balance, debits lower it
+  const netByUser = new Map();
+  for (const leg of normalizedLegs) {
+    if (!leg.user) continue;
+    netByUser.set(leg.user, money.add(netByUser.get(leg.user), leg.credit, money.negate(leg.debit)));
+  }
+
+  // Balances are updated before the entry is written so a failed guard leaves no orphan entry
+  const users = {};
+  for (const [userId, net] of netByUser) {
+    const inc = Object.fromEntries(
+      Object.entries(counters).map(([field, amount]) => [field, money.toDecimal(amount)])
+    );
+    const filter = { _id: userId };
+    if (applyToBalance) {
+      inc.balance = net;
+      if (expectedBalance !== null) {
+        const expected = money.toDecimal(expectedBalance);
+        if (money.isNegative(net) && minBalance !== null && money.compare(money.add(expected, net), minBalance) < 0) {
+          throw new InsufficientFundsError();
+        }
+        filter.balance = expected;
+      } else if (money.isNegative(net) && minBalance !== null) {
+        filter.balance = { $gte: money.sub(minBalance, net) };
+      }
+    }
+
+    if (Object.keys(inc).length === 0) {
+      users[userId] = await User.findById(userId).session(session);
+      continue;
+    }
+
+    users[userId] = await User.findOneAndUpdate(filter, { $inc: inc }, { new: true, session });
+    if (!users[userId]) {
+      const exists = await User.exists({ _id: userId }).session(session);
+      if (exists) {
+        throw expectedBalance !== null ? new BalanceChangedError() : new InsufficientFundsError();
+      }
+      throw new Error('User not found');
+    }
+  }
+
+  const [entry] = await JournalEntry.create([{
+    type,
+    legs: normalizedLegs,
+    description,
+    transaction,
+    postedBy,
+  }], { session });
+
+  return { entry, users };
+};
+
+// Post a simple two-leg entry moving `amount` from the credit account to the debit account
+export const postTransfer = async ({ debit, credit, amount, ...rest }) => {
+  const { entry, users } = await postEntry({
+    ...rest,
+    legs: [
+      { account: debit, debit: amount },
+      { account: credit, credit: amount },
+    ],
+  });
+
+  const userId = [debit, credit].find(isUserAccount)?.slice(USER_ACCOUNT_PREFIX.length);
+  return { entry, user: userId ? users[userId] : null };
+};
+
+// Derive a user's balance purely from the journal
+export const deriveUserBalance = async (userId) => {
+  const [result] = await JournalEntry.aggregate([
+    { $match: { 'legs.account': userAccount(userId) } },
+    { $unwind: '$legs' },
+    { $match: { 'legs.account': userAccount(userId) } },
+    {
+      $group: {
+        _id: null,
+        credits: { $sum: '$legs.credit' },
+        debits: { $sum: '$legs.debit' },
+      }
+    }
+  ]);
+
+  if (!result) return money.toDecimal(0);
+  return money.sub(result.credits, result.debits);
+};
+
+// Net debit/credit totals per account; a healthy journal nets to zero overall
+export const getTrialBalance = async () => {
+  const accounts = await JournalEntry.aggregate([
+    { $unwind: '$legs' },
+    {
+      $group: {
+        _id: {
+          $cond: {
+            if: { $eq: [{ $indexOfBytes: ['$legs.account', USER_ACCOUNT_PREFIX] }, 0] },
+            then: 'user:*',
+            else: '$legs.account'
+          }
+        },
+        debits: { $sum: '$legs.debit' },
+        credits: { $sum: '$legs.credit' },
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return accounts.map(({ _id, debits, credits }) => ({
+    account: _id,
+    debits,
+    credits,
+    net: money.sub(debits, credits),
+  }));
+};
@@ -0,0 +1,104 @@
+import LevelPlan from '../models/LevelPlan.js';
+import * as money from './money.js';
+
+// Rules used until an admin activates a plan (the original hard-coded table)
+export const DEFAULT_LEVEL_PLAN = {
+  _id: null,
+  name: 'Built-in plan',
+  version: 0,
+  status: 'active',
+  levels: [
+    { level: 1, leftRequired: 1, rightRequired: 1, reward: 11 },
+    { level: 2, leftRequired: 6, rightRequired: 6, reward: 67 },
+    { level: 3, leftRequired: 12, rightRequired: 12, reward: 89 },
+    { level: 4, leftRequired: 25, rightRequired: 25, reward: 167 },
+    { level: 5, leftRequired: 50, rightRequired: 50, reward: 278 },
+    { level: 6, leftRequired: 75, rightRequired: 75, reward: 389 },
+    { level: 7, leftRequired: 120, rightRequired: 120, reward: 556 },
+    { level: 8, leftRequired: 160, rightRequired: 160, reward: 1333 },
+    { level: 9, leftRequired: 220, rightRequired: 220, reward: 1667 },
+    { level: 10, leftRequired: 300, rightRequired: 300, reward: 2500 },
+    { level: 11, leftRequired: 500, rightRequired: 500, reward: 8889 },
+    { level: 12, leftRequired: 1500, rightRequired: 1500, reward: 50000 },
+  ].map(level => ({ ...level, minPersonalDeposit: 0, nonCashReward: '' })),
+};
+
+// Thrown when submitted plan levels are invalid; `details` lists the problems
+export class LevelPlanValidationError extends Error {
+  constructor(details) {
+    super('Invalid level plan');
+    this.name = 'LevelPlanValidationError';
+    this.details = details;
+  }
+}
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+// Missing amounts mean zero; returns null for anything that is not a non-negative amount
+const nonNegativeAmount = (value) => {
+  if (value === undefined || value === null || value === '') return money.toDecimal(0);
+  try {
+    const minor = money.toMinor(value);
+    return minor >= 0n ? money.toDecimal(minor) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Check and normalize the levels of a submitted plan, sorted by level
+export const validateLevels = (levels) => {
+  if (!Array.isArray(levels) || levels.length === 0) {
+    throw new LevelPlanValidationError(['levels must be a non-empty array']);
+  }
+
+  const errors = [];
+  const seen = new Set();
+  const normalized = levels.map((entry, index) => {
+    const label = `levels[${index}]`;
+    const level = Number(entry?.level);
+    const leftRequired = Number(entry?.leftRequired);
+    const rightRequired = Number(entry?.rightRequired);
+    const nonCashReward = typeof entry?.nonCashReward === 'string' ? entry.nonCashReward.trim() : '';
+
+    if (!Number.isInteger(level) || level < 1) {
+      errors.push(`${label}.level must be a positive integer`);
+    } else if (seen.has(level)) {
+      errors.push(`${label}.level ${level} is listed more than once`);
+    }
+    seen.add(level);
+
+    if (!isCount(leftRequired)) errors.push(`${label}.leftRequired must be a non-negative integer`);
+    if (!isCount(rightRequired)) errors.push(`${label}.rightRequired must be a non-negative integer`);
+
+    const reward = nonNegativeAmount(entry?.reward);
+    if (reward === null) errors.push(`${label}.reward must be a non-negative amount`);
+
+    const minPersonalDeposit = nonNegativeAmount(entry?.minPersonalDeposit);
+    if (minPersonalDeposit === null) errors.push(`${label}.minPersonalDeposit must be a non-negative amount`);
+
+    if (reward !== null && !money.isPositive(reward) && !nonCashReward) {
+      errors.push(`${label} needs a reward or a nonCashReward`);
+    }
+
+    return { level, leftRequired, rightRequired, minPersonalDeposit, reward, nonCashReward };
+  });
+
+  if (errors.length > 0) {
+    throw new LevelPlanValidationError(errors);
+  }
+
+  return normalized.sort((a, b) => a.level - b.level);
+};
+
+// The plan rewards are currently evaluated against
+export const getActiveLevelPlan = async () => {
+  const plan = await LevelPlan.findOne({ status: 'active' }).lean();
+  return plan || DEFAULT_LEVEL_PLAN;
+};
+
+// Whether a user with these active leg counts and personal deposits meets a plan level
+export const meetsLevel = (config, { leftCount, rightCount, totalDeposits }) => {
+  return leftCount >= config.leftRequired
+    && rightCount >= config.rightRequired
+    && money.compare(totalDeposits, config.minPersonalDeposit) >= 0;
+};
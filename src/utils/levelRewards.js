@@ -0,0 +1,215 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Transaction from '../models/Transaction.js';
+import TreeNode from '../models/TreeNode.js';
+import LevelAward from '../models/LevelAward.js';
+import { ACCOUNTS, postTransfer, userAccount } from './ledger.js';
+import { withTransaction } from './dbTransaction.js';
+import { getActiveLevelPlan, meetsLevel } from './levelPlans.js';
+import * as money from './money.js';
+
+// Users loaded per query while re-evaluating everyone
+const REEVALUATE_BATCH_SIZE = 500;
+
+// Aborts an award whose level the user already holds
+class LevelAlreadyAwardedError extends Error {}
+
+// Claim a level by inserting its award, then credit the reward in the same transaction.
+// Returns the updated user, or null if the level had already been awarded.
+const awardLevel = async (userId, plan, levelConfig, { leftCount, rightCount }) => {
+  const paysCash = money.isPositive(levelConfig.reward);
+  const transactionId = paysCash ? new mongoose.Types.ObjectId() : undefined;
+
+  try {
+    return await withTransaction(async (session) => {
+      const [award] = await LevelAward.create([{
+        user: userId,
+        level: levelConfig.level,
+        plan: plan._id,
+        planVersion: plan.version,
+        reward: levelConfig.reward,
+        nonCashReward: levelConfig.nonCashReward,
+        leftCount,
+        rightCount,
+        transaction: transactionId,
+      }], { session });
+
+      // The level guard stops a second award even where the LevelAward unique index is missing
+      const user = await User.findOneAndUpdate(
+        { _id: userId, achievedLevels: { $ne: levelConfig.level } },
+        { $push: { achievedLevels: levelConfig.level } },
+        { new: true, session }
+      );
+      if (!user) {
+        // Without a transaction the award insert is not rolled back, so it is removed here
+        if (!session) await LevelAward.deleteOne({ _id: award._id });
+        throw new LevelAlreadyAwardedError();
+      }
+
+      // Non-cash prizes are recorded on the award only and handed out by the team
+      if (!paysCash) return user;
+
+      await Transaction.create([{
+        _id: transactionId,
+        user: userId,
+        type: 'level_reward',
+        amount: levelConfig.reward,
+        status: 'completed',
+        description: `Level ${levelConfig.level} achievement reward: ${money.format(levelConfig.reward)} (L: ${leftCount}, R: ${rightCount}, plan v${plan.version})`,
+        sourceType: 'level_reward',
+      }], { session });
+
+      const { user: credited } = await postTransfer({
+        type: 'level_reward',
+        debit: ACCOUNTS.REWARDS_EXPENSE,
+        credit: userAccount(userId),
+        amount: levelConfig.reward,
+        transaction: transactionId,
+        description: `Level ${levelConfig.level} reward (plan v${plan.version})`,
+        session,
+      });
+      return credited;
+    });
+  } catch (error) {
+    // Another evaluation inserted the award (or claimed the level) first
+    if (error.code === 11000 || error instanceof LevelAlreadyAwardedError) return null;
+    throw error;
+  }
+};
+
+// Levels of the plan a user meets but has not been awarded yet
+export const dueLevels = (plan, awardedLevels, counts) => {
+  const awarded = new Set(awardedLevels);
+  return plan.levels.filter(config => !awarded.has(config.level) && meetsLevel(config, counts));
+};
+
+// The single evaluation path for level rewards: award every level of the active plan
+// the user meets. With `dryRun` nothing is written and `newLevelsAchieved` lists what
+// would be awarded. Pass `plan` to reuse one plan across many users.
+export const evaluateLevelRewards = async (userId, { plan, dryRun = false } = {}) => {
+  const [user, node, awards, activePlan] = await Promise.all([
+    User.findById(userId).select('balance totalDeposits achievedLevels').lean(),
+    TreeNode.findOne({ user: userId }).select('leftActiveCount rightActiveCount').lean(),
+    LevelAward.find({ user: userId }).select('level').lean(),
+    plan || getActiveLevelPlan(),
+  ]);
+  if (!user) return null;
+
+  // Levels claimed before awards were recorded only exist in achievedLevels
+  const awardedLevels = [...new Set([...(user.achievedLevels || []), ...awards.map(a => a.level)])];
+  const counts = {
+    leftCount: node?.leftActiveCount || 0,
+    rightCount: node?.rightActiveCount || 0,
+    totalDeposits: user.totalDeposits,
+  };
+
+  let balance = user.balance;
+  const newLevelsAchieved = [];
+
+  for (const levelConfig of dueLevels(activePlan, awardedLevels, counts)) {
+    if (!dryRun) {
+      const credited = await awardLevel(userId, activePlan, levelConfig, counts);
+      if (!credited) continue;
+      balance = credited.balance;
+    }
+
+    awardedLevels.push(levelConfig.level);
+    newLevelsAchieved.push({
+      level: levelConfig.level,
+      reward: levelConfig.reward,
+      nonCashReward: levelConfig.nonCashReward,
+      planVersion: activePlan.version,
+    });
+  }
+
+  return {
+    leftCount: counts.leftCount,
+    rightCount: counts.rightCount,
+    achievedLevels: awardedLevels.sort((a, b) => a - b),
+    newLevelsAchieved,
+    balance,
+    planVersion: activePlan.version,
+  };
+};
+
+// Re-evaluate the upline of a newly active member. Only uplines that now meet an
+// unclaimed level are evaluated, so a deep upline costs two queries.
+export const evaluateUplineLevelRewards = async (userIds) => {
+  const [nodes, users, plan] = await Promise.all([
+    TreeNode.find({ user: { $in: userIds } }).select('user leftActiveCount rightActiveCount').lean(),
+    User.find({ _id: { $in: userIds } }).select('achievedLevels totalDeposits').lean(),
+    getActiveLevelPlan(),
+  ]);
+  const usersById = new Map(users.map(u => [u._id.toString(), u]));
+
+  for (const node of nodes) {
+    const user = usersById.get(node.user.toString());
+    if (!user) continue;
+
+    const due = dueLevels(plan, user.achievedLevels || [], {
+      leftCount: node.leftActiveCount,
+      rightCount: node.rightActiveCount,
+      totalDeposits: user.totalDeposits,
+    });
+
+    if (due.length > 0) {
+      try {
+        await evaluateLevelRewards(node.user, { plan });
+      } catch (error) {
+        console.error(`Error evaluating level rewards for ${node.user}:`, error);
+      }
+    }
+  }
+};
+
+// Evaluate every user in the tree against the active plan, e.g. after a new plan is
+// activated. Returns a report of the levels awarded (or due, with `dryRun`).
+export const reevaluateAllLevelRewards = async ({ dryRun = false } = {}) => {
+  const plan = await getActiveLevelPlan();
+  const report = { planVersion: plan.version, dryRun, usersChecked: 0, usersAwarded: 0, totalReward: money.toDecimal(0), awards: [], errors: [] };
+
+  let batch = [];
+  const flush = async () => {
+    const users = await User.find({ _id: { $in: batch.map(node => node.user) } })
+      .select('username achievedLevels totalDeposits')
+      .lean();
+    const usersById = new Map(users.map(u => [u._id.toString(), u]));
+
+    for (const node of batch) {
+      const user = usersById.get(node.user.toString());
+      if (!user) continue;
+      report.usersChecked++;
+
+      // Cheap pre-check from the cached counts before loading the user's awards
+      const due = dueLevels(plan, user.achievedLevels || [], {
+        leftCount: node.leftActiveCount,
+        rightCount: node.rightActiveCount,
+        totalDeposits: user.totalDeposits,
+      });
+      if (due.length === 0) continue;
+
+      try {
+        const result = await evaluateLevelRewards(user._id, { plan, dryRun });
+        if (result.newLevelsAchieved.length === 0) continue;
+
+        report.usersAwarded++;
+        for (const award of result.newLevelsAchieved) {
+          report.totalReward = money.add(report.totalReward, award.reward);
+          report.awards.push({ user: user._id, username: user.username, ...award });
+        }
+      } catch (error) {
+        report.errors.push({ user: user._id, username: user.username, message: error.message });
+      }
+    }
+    batch = [];
+  };
+
+  const cursor = TreeNode.find({}).select('user leftActiveCount rightActiveCount').lean().cursor();
+  for await (const node of cursor) {
+    batch.push(node);
+    if (batch.length >= REEVALUATE_BATCH_SIZE) await flush();
+  }
+  if (batch.length > 0) await flush();
+
+  return report;
+};
@@ -0,0 +1,105 @@
+import { mkdir, writeFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { renderEmail } from './emailTemplates.js';
+
+// Every transport implements the same interface:
+//   name
+//   send({ from, to, subject, text, html }) -> { messageId }
+
+// Delivers through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+class SmtpTransport {
+  constructor() {
+    this.name = 'smtp';
+    this.transporter = null;
+  }
+
+  async send(message) {
+    if (!this.transporter) {
+      const nodemailer = (await import('nodemailer')).default;
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        // true for implicit TLS (usually port 465); otherwise STARTTLS is used when offered
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+      });
+    }
+
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+// Writes each message as a JSON file, for development and tests that read the mail back
+class FileTransport {
+  constructor(directory) {
+    this.name = 'file';
+    this.directory = path.resolve(directory);
+  }
+
+  async send(message) {
+    await mkdir(this.directory, { recursive: true });
+
+    const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    const file = path.join(this.directory, `${messageId}.json`);
+    await writeFile(file, JSON.stringify({ messageId, date: new Date(), ...message }, null, 2));
+
+    return { messageId };
+  }
+}
+
+// Prints the plain-text part to the server log
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(message) {
+    console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { messageId: `console-${Date.now()}` };
+  }
+}
+
+let transport;
+
+// MAIL_TRANSPORT=smtp, file (writes to MAIL_FILE_DIR) or console (the default)
+export const getMailTransport = () => {
+  if (transport) return transport;
+
+  switch (process.env.MAIL_TRANSPORT) {
+    case 'smtp':
+      if (!process.env.SMTP_HOST) {
+        console.error('MAIL_TRANSPORT=smtp but SMTP_HOST is not set, mail is logged to the console');
+        transport = new ConsoleTransport();
+      } else {
+        transport = new SmtpTransport();
+      }
+      break;
+    case 'file':
+      transport = new FileTransport(process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'hatra-suci-mail'));
+      break;
+    default:
+      transport = new ConsoleTransport();
+  }
+
+  return transport;
+};
+
+// Render a template and send it
+export const sendMail = async ({ to, template, data = {} }) => {
+  const { subject, text, html } = renderEmail(template, data);
+
+  return getMailTransport().send({
+    from: process.env.MAIL_FROM || 'Hatra Suci <no-reply@hatrasuci.com>',
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+// Mail that must not fail the request that triggered it is sent in the background
+export const sendInBackground = (promise) => {
+  promise.catch(error => console.error('Mail error:', error.message));
+};
@@ -0,0 +1,152 @@
+import mongoose from 'mongoose';
+
+const { Decimal128 } = mongoose.Types;
+
+// Money is stored as Decimal128 and computed as BigInt minor units, so no float
+// arithmetic ever touches a balance. Six decimals cover USDT's on-chain precision.
+export const MONEY_DECIMALS = 6;
+const SCALE = 10n ** BigInt(MONEY_DECIMALS);
+
+// Divide rounding half away from zero
+const divRound = (numerator, denominator) => {
+  const negative = (numerator < 0n) !== (denominator < 0n);
+  const n = numerator < 0n ? -numerator : numerator;
+  const d = denominator < 0n ? -denominator : denominator;
+  const quotient = (n * 2n + d) / (d * 2n);
+  return negative ? -quotient : quotient;
+};
+
+// Well past Decimal128's 34 significant digits; bounds the BigInt work for client input
+const MAX_DIGITS = 40;
+
+// Parse a plain or exponent decimal string into minor units
+const parseDecimal = (text) => {
+  const match = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(text.trim());
+  if (!match || (match[2] === '' && (match[3] || '') === '')) {
+    throw new Error(`Invalid money amount: ${text}`);
+  }
+
+  const [, sign, whole, fraction = '', exponent = '0'] = match;
+  const scale = fraction.length - parseInt(exponent, 10);
+  if (whole.length + fraction.length > MAX_DIGITS || scale < -MAX_DIGITS) {
+    throw new Error(`Invalid money amount: ${text}`);
+  }
+
+  // Fewer than MAX_DIGITS digits divided by more than that always rounds to zero
+  if (scale - MONEY_DECIMALS > MAX_DIGITS) return 0n;
+
+  const digits = BigInt(`${whole}${fraction}` || '0');
+  let minor;
+  if (scale <= MONEY_DECIMALS) {
+    minor = digits * 10n ** BigInt(MONEY_DECIMALS - scale);
+  } else {
+    minor = divRound(digits, 10n ** BigInt(scale - MONEY_DECIMALS));
+  }
+  return sign === '-' ? -minor : minor;
+};
+
+// Convert any amount (number, numeric string, Decimal128, BigInt minor units) to minor units
+export const toMinor = (value) => {
+  if (value === null || value === undefined || value === '') return 0n;
+  if (typeof value === 'bigint') return value;
+  if (value instanceof Decimal128 || value?._bsontype === 'Decimal128') {
+    return parseDecimal(value.toString());
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw new Error(`Invalid money amount: ${value}`);
+    // String() yields the shortest representation that round-trips, e.g. 0.1 -> "0.1"
+    return parseDecimal(String(value));
+  }
+  return parseDecimal(String(value));
+};
+
+// Render minor units as a fixed-precision decimal string
+export const toFixedString = (value, decimals = MONEY_DECIMALS) => {
+  let minor = toMinor(value);
+  if (decimals < MONEY_DECIMALS) {
+    const step = 10n ** BigInt(MONEY_DECIMALS - decimals);
+    minor = divRound(minor, step) * step;
+  }
+
+  const negative = minor < 0n;
+  const abs = negative ? -minor : minor;
+  const whole = abs / SCALE;
+  const fraction = (abs % SCALE).toString().padStart(MONEY_DECIMALS, '0').slice(0, decimals);
+  return `${negative ? '-' : ''}${whole}${decimals > 0 ? `.${fraction}` : ''}`;
+};
+
+export const toDecimal = (value) => Decimal128.fromString(toFixedString(value));
+
+// Numbers are only for API output; they are exact for every amount we store
+export const toNumber = (value) => Number(toFixedString(value));
+
+export const add = (...values) => toDecimal(values.reduce((sum, value) => sum + toMinor(value), 0n));
+
+export const sub = (a, b) => toDecimal(toMinor(a) - toMinor(b));
+
+export const negate = (value) => toDecimal(-toMinor(value));
+
+export const abs = (value) => {
+  const minor = toMinor(value);
+  return toDecimal(minor < 0n ? -minor : minor);
+};
+
+// Multiply by a plain factor (e.g. 0.025) and round to money precision
+export const mul = (value, factor) => {
+  const factorMinor = toMinor(factor);
+  return toDecimal(divRound(toMinor(value) * factorMinor, SCALE));
+};
+
+export const percentOf = (value, percent) => toDecimal(divRound(toMinor(value) * toMinor(percent), SCALE * 100n));
+
+export const compare = (a, b) => {
+  const difference = toMinor(a) - toMinor(b);
+  if (difference === 0n) return 0;
+  return difference > 0n ? 1 : -1;
+};
+
+export const isZero = (value) => toMinor(value) === 0n;
+export const isPositive = (value) => toMinor(value) > 0n;
+export const isNegative = (value) => toMinor(value) < 0n;
+
+export const min = (a, b) => (compare(a, b) <= 0 ? toDecimal(a) : toDecimal(b));
+export const max = (a, b) => (compare(a, b) >= 0 ? toDecimal(a) : toDecimal(b));
+
+// Human-readable amount for descriptions and messages, e.g. "$12.50"
+export const format = (value, decimals = 2) => {
+  const text = toFixedString(value, decimals);
+  return text.startsWith('-') ? `-$${text.slice(1)}` : `$${text}`;
+};
+
+// Parse a client-supplied amount; returns null when it is not a valid positive amount
+export const parseAmount = (value) => {
+  try {
+    const minor = toMinor(value);
+    return minor > 0n ? toDecimal(minor) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Schema type for money paths: Decimal128, rounded to MONEY_DECIMALS on assignment.
+// `min` is enforced with a validator since Decimal128 has no built-in one.
+export const moneyField = ({ min: minimum, ...options } = {}) => ({
+  type: mongoose.Schema.Types.Decimal128,
+  set: (value) => (value === null || value === undefined ? value : toDecimal(value)),
+  ...(minimum !== undefined && {
+    validate: {
+      validator: (value) => value === null || value === undefined || compare(value, minimum) >= 0,
+      message: `{PATH} must be at least ${minimum}`,
+    },
+  }),
+  ...options,
+});
+
+// JSON replacer for Express: amounts leave the API as fixed-precision numbers
+export function moneyJsonReplacer(key, value) {
+  const original = this[key];
+  if (original instanceof Decimal128 || original?._bsontype === 'Decimal128') {
+    return toNumber(original);
+  }
+  return value;
+}
@@ -0,0 +1,200 @@
+import mongoose from 'mongoose';
+import TreeNode from '../models/TreeNode.js';
+import Transaction from '../models/Transaction.js';
+import Settings from '../models/Settings.js';
+import PairingRun from '../models/PairingRun.js';
+import PairingPayout from '../models/PairingPayout.js';
+import { ACCOUNTS, postTransfer, userAccount } from './ledger.js';
+import { withTransaction } from './dbTransaction.js';
+import { getSettings } from './settingsHelper.js';
+import * as money from './money.js';
+
+// A run still marked running after this long is assumed to have crashed
+const STALE_RUN_MS = 60 * 60 * 1000;
+
+// The pairing settings, normalized
+export const getPairingSettings = async () => {
+  const settings = await getSettings(Settings, [
+    'pairingBonusEnabled',
+    'pairingBonusRate',
+    'pairingDailyCap',
+  ], { pairingBonusRate: 10 });
+
+  const rate = Number(settings.pairingBonusRate);
+  return {
+    enabled: settings.pairingBonusEnabled === true,
+    rate: Number.isFinite(rate) && rate > 0 && rate <= 100 ? rate : 0,
+    // Zero or missing means no cap
+    dailyCap: money.parseAmount(settings.pairingDailyCap) || money.toDecimal(0),
+  };
+};
+
+// UTC business day a run pays for
+export const toRunDate = (date = new Date()) => date.toISOString().slice(0, 10);
+
+// Thrown inside a payout transaction to roll it back when the volumes changed meanwhile
+class VolumeChangedError extends Error {}
+
+// Match one user's leg volumes and pay the bonus. The payout is claimed first (unique
+// per run and user) and the volumes are taken off in the same transaction, so a resumed
+// run cannot pay the same user twice. Returns the payout, or null when nothing was paid.
+const payPairingBonus = async (run, node, { rate, dailyCap }) => {
+  const matched = money.min(node.leftVolume, node.rightVolume);
+  const bonus = money.percentOf(matched, rate);
+  if (!money.isPositive(bonus)) return null;
+
+  const amount = money.isPositive(dailyCap) ? money.min(bonus, dailyCap) : bonus;
+  const transactionId = new mongoose.Types.ObjectId();
+
+  try {
+    return await withTransaction(async (session) => {
+      const [payout] = await PairingPayout.create([{
+        run: run._id,
+        user: node.user,
+        leftVolume: node.leftVolume,
+        rightVolume: node.rightVolume,
+        matched,
+        bonus,
+        amount,
+        capped: money.sub(bonus, amount),
+        carryLeft: money.sub(node.leftVolume, matched),
+        carryRight: money.sub(node.rightVolume, matched),
+        transaction: transactionId,
+      }], { session });
+
+      const updated = await TreeNode.updateOne(
+        { _id: node._id, leftVolume: { $gte: matched }, rightVolume: { $gte: matched } },
+        { $inc: { leftVolume: money.negate(matched), rightVolume: money.negate(matched) } },
+        { session }
+      );
+      // A reversal took volume away since the node was read; it is picked up next run
+      if (updated.modifiedCount === 0) throw new VolumeChangedError();
+
+      await Transaction.create([{
+        _id: transactionId,
+        user: node.user,
+        type: 'pairing_bonus',
+        amount,
+        status: 'completed',
+        description: `Pairing bonus for ${run.runDate}: ${rate}% of ${money.format(matched)} matched volume`,
+        sourceType: 'pairing',
+        sourceId: run._id,
+      }], { session });
+
+      await postTransfer({
+        type: 'pairing_bonus',
+        debit: ACCOUNTS.REWARDS_EXPENSE,
+        credit: userAccount(node.user),
+        amount,
+        transaction: transactionId,
+        description: `Pairing bonus ${run.runDate}`,
+        session,
+      });
+
+      return payout;
+    });
+  } catch (error) {
+    // Already paid in an earlier attempt of this run, or the volumes changed
+    if (error.code === 11000 || error instanceof VolumeChangedError) return null;
+    throw error;
+  }
+};
+
+// Recompute a run's totals from its payouts, which also covers earlier attempts of a resumed run
+const refreshRunTotals = async (run) => {
+  const [totals] = await PairingPayout.aggregate([
+    { $match: { run: run._id } },
+    {
+      $group: {
+        _id: null,
+        usersPaid: { $sum: 1 },
+        usersCapped: { $sum: { $cond: [{ $gt: ['$capped', money.toDecimal(0)] }, 1, 0] } },
+        totalMatched: { $sum: '$matched' },
+        totalPaid: { $sum: '$amount' },
+        totalCapped: { $sum: '$capped' },
+      }
+    }
+  ]);
+
+  run.usersPaid = totals?.usersPaid || 0;
+  run.usersCapped = totals?.usersCapped || 0;
+  run.totalMatched = money.toDecimal(totals?.totalMatched);
+  run.totalPaid = money.toDecimal(totals?.totalPaid);
+  run.totalCapped = money.toDecimal(totals?.totalCapped);
+};
+
+// Pay the pairing bonus for a day: every active member with volume in both legs is paid
+// `pairingBonusRate`% of the smaller leg, up to `pairingDailyCap`. The matched volume is
+// taken off both legs and the rest of the stronger leg carries forward.
+export const runPairing = async ({ trigger = 'manual', triggeredBy, date = new Date() } = {}) => {
+  const runDate = toRunDate(date);
+  const settings = await getPairingSettings();
+
+  let run = await PairingRun.findOne({ runDate });
+  if (run?.status === 'completed') {
+    return { run, alreadyCompleted: true };
+  }
+  if (run?.status === 'running' && run.startedAt > new Date(Date.now() - STALE_RUN_MS)) {
+    return { run, alreadyRunning: true };
+  }
+
+  if (run) {
+    // Resume a failed or crashed run; users it already paid are skipped
+    run = await PairingRun.findOneAndUpdate(
+      { _id: run._id, status: run.status, startedAt: run.startedAt },
+      { status: 'running', startedAt: new Date(), error: '' },
+      { new: true }
+    );
+    if (!run) {
+      return { run: await PairingRun.findOne({ runDate }).lean(), alreadyRunning: true };
+    }
+  } else {
+    try {
+      run = await PairingRun.create({ runDate, trigger, triggeredBy, rate: settings.rate, dailyCap: settings.dailyCap });
+    } catch (error) {
+      if (error.code === 11000) {
+        return { run: await PairingRun.findOne({ runDate }).lean(), alreadyRunning: true };
+      }
+      throw error;
+    }
+  }
+
+  // A resumed run keeps the settings it started with
+  const terms = { rate: run.rate, dailyCap: run.dailyCap };
+
+  try {
+    const cursor = TreeNode.find({
+      isActive: true,
+      leftVolume: { $gt: money.toDecimal(0) },
+      rightVolume: { $gt: money.toDecimal(0) },
+    }).select('user leftVolume rightVolume').lean().cursor();
+
+    for await (const node of cursor) {
+      run.usersChecked++;
+      await payPairingBonus(run, node, terms);
+    }
+
+    run.status = 'completed';
+  } catch (error) {
+    console.error('Pairing run failed:', error);
+    run.status = 'failed';
+    run.error = error.message;
+  }
+
+  await refreshRunTotals(run);
+  run.finishedAt = new Date();
+  await run.save();
+
+  return { run };
+};
+
+// Scheduled entry point: pays today's run once pairing is enabled
+export const runScheduledPairing = async () => {
+  const { enabled } = await getPairingSettings();
+  if (!enabled) return;
+
+  const existing = await PairingRun.exists({ runDate: toRunDate(), status: 'completed' });
+  if (existing) return;
+
+  await runPairing({ trigger: 'scheduled' });
+};
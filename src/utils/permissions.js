@@ -0,0 +1,114 @@
+import Role from '../models/Role.js';
+
+// Every permission an admin role can grant
+export const PERMISSIONS = [
+  'users.read',
+  'users.write',
+  'users.delete',
+  'users.move',
+  'deposits.read',
+  'deposits.approve',
+  'deposits.reverse',
+  'registrations.verify',
+  'withdrawals.read',
+  'withdrawals.approve',
+  'payouts.manage',
+  'transactions.read',
+  'stats.read',
+  'referrals.read',
+  'settings.read',
+  'settings.write',
+  'bonus.credit',
+  'levels.read',
+  'levels.manage',
+  'pairing.read',
+  'pairing.run',
+  'leaderboards.refresh',
+  'finance.read',
+  'finance.reconcile',
+  'admins.manage',
+  'roles.manage',
+];
+
+// Roles defined in code. A superadmin always has every permission; custom roles are
+// stored as Role documents.
+export const BUILT_IN_ROLES = {
+  superadmin: PERMISSIONS,
+  admin: PERMISSIONS.filter(permission => !['admins.manage', 'roles.manage'].includes(permission)),
+  moderator: [
+    'users.read',
+    'deposits.read',
+    'deposits.approve',
+    'registrations.verify',
+    'withdrawals.read',
+    'transactions.read',
+    'stats.read',
+    'referrals.read',
+    'levels.read',
+    'pairing.read',
+  ],
+};
+
+const ROLE_NAME = /^[a-z][a-z0-9_-]{1,31}$/;
+
+// Thrown when a submitted role is invalid; `details` lists the problems
+export class RoleValidationError extends Error {
+  constructor(details) {
+    super('Invalid role');
+    this.name = 'RoleValidationError';
+    this.details = details;
+  }
+}
+
+// Check a custom role's name and permissions; returns the normalized permissions
+export const validateRole = ({ name, permissions }, { checkName = true } = {}) => {
+  const details = [];
+
+  if (checkName) {
+    if (typeof name !== 'string' || !ROLE_NAME.test(name)) {
+      details.push('name must be 2-32 lowercase letters, digits, "_" or "-", starting with a letter');
+    } else if (Object.hasOwn(BUILT_IN_ROLES, name)) {
+      details.push(`${name} is a built-in role`);
+    }
+  }
+
+  if (!Array.isArray(permissions)) {
+    details.push('permissions must be an array');
+  } else {
+    const unknown = permissions.filter(permission => !PERMISSIONS.includes(permission));
+    if (unknown.length > 0) {
+      details.push(`Unknown permissions: ${unknown.join(', ')}`);
+    }
+  }
+
+  if (details.length > 0) {
+    throw new RoleValidationError(details);
+  }
+  return [...new Set(permissions)];
+};
+
+// Permissions of a built-in or custom role, or null when no such role exists
+export const findRolePermissions = async (roleName) => {
+  if (Object.hasOwn(BUILT_IN_ROLES, roleName)) {
+    return BUILT_IN_ROLES[roleName];
+  }
+
+  const role = await Role.findOne({ name: roleName }).select('permissions').lean();
+  return role ? role.permissions : null;
+};
+
+// Permissions of a role name; unknown roles have none
+export const getRolePermissions = async (roleName) => {
+  return (await findRolePermissions(roleName)) || [];
+};
+
+// Permissions of an admin account; deactivated admins have none
+export const getAdminPermissions = async (admin) => {
+  if (!admin || admin.isActive === false) return [];
+  return getRolePermissions(admin.role);
+};
+
+// An admin can only hand out (or edit) roles within their own permissions
+export const canGrant = (ownPermissions, permissions) => {
+  return permissions.every(permission => ownPermissions.includes(permission));
+};
@@ -0,0 +1,214 @@
+import User from '../models/User.js';
+import Deposit from '../models/Deposit.js';
+import Withdrawal from '../models/Withdrawal.js';
+import Transaction from '../models/Transaction.js';
+import JournalEntry from '../models/JournalEntry.js';
+import ReconciliationRun from '../models/ReconciliationRun.js';
+import ReconciliationDiscrepancy from '../models/ReconciliationDiscrepancy.js';
+import { ACCOUNTS, postTransfer, userAccount } from './ledger.js';
+import { withTransaction } from './dbTransaction.js';
+import * as money from './money.js';
+
+// Reward transactions credit the balance once completed
+const REWARD_TYPES = ['daily_reward', 'bonus', 'level_reward', 'referral', 'pairing_bonus'];
+
+// Withdrawals take the amount off the balance at request time and only give it back on rejection
+const BALANCE_HOLDING_WITHDRAWAL_STATUSES = ['pending', 'processing', 'approved'];
+
+// Manual journal postings that have no Deposit/Withdrawal/Transaction behind them.
+// Opening-balance entries are left out: they restate pre-ledger history whose deposits,
+// withdrawals and rewards are already counted from their own records.
+const MANUAL_JOURNAL_TYPES = ['adjustment'];
+
+// A run still marked running after this long is assumed to have crashed
+const STALE_RUN_MS = 60 * 60 * 1000;
+
+// Cap the records stored per discrepancy so one heavy user cannot bloat a report
+const MAX_RECORDS_PER_MODEL = 200;
+
+const sumByUser = async (Model, match) => {
+  const rows = await Model.aggregate([
+    { $match: match },
+    { $group: { _id: '$user', total: { $sum: '$amount' } } }
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), row.total]));
+};
+
+// Net credit on each user's ledger account, optionally limited to some entry types
+const journalNetByUser = async (types) => {
+  const rows = await JournalEntry.aggregate([
+    ...(types ? [{ $match: { type: { $in: types } } }] : []),
+    { $unwind: '$legs' },
+    { $match: { 'legs.user': { $exists: true, $ne: null } } },
+    {
+      $group: {
+        _id: '$legs.user',
+        credits: { $sum: '$legs.credit' },
+        debits: { $sum: '$legs.debit' },
+      }
+    }
+  ]);
+  return new Map(rows.map(row => [row._id.toString(), money.sub(row.credits, row.debits)]));
+};
+
+// Everything that feeds a user's expected figures, for drill-down in the report
+const collectRecords = async (userId) => {
+  const userAccountId = userAccount(userId);
+  const [deposits, withdrawals, transactions, journal] = await Promise.all([
+    Deposit.find({ user: userId, status: 'approved' }).sort({ createdAt: -1 }).limit(MAX_RECORDS_PER_MODEL).lean(),
+    Withdrawal.find({ user: userId, status: { $in: BALANCE_HOLDING_WITHDRAWAL_STATUSES } }).sort({ createdAt: -1 }).limit(MAX_RECORDS_PER_MODEL).lean(),
+    Transaction.find({ user: userId, type: { $in: REWARD_TYPES }, status: 'completed' }).sort({ createdAt: -1 }).limit(MAX_RECORDS_PER_MODEL).lean(),
+    JournalEntry.find({ 'legs.account': userAccountId, type: { $in: MANUAL_JOURNAL_TYPES } }).sort({ createdAt: -1 }).limit(MAX_RECORDS_PER_MODEL).lean(),
+  ]);
+
+  return [
+    ...deposits.map(d => ({ model: 'Deposit', id: d._id, type: d.isRegistrationDeposit ? 'registration_deposit' : 'deposit', status: d.status, amount: d.amount, createdAt: d.createdAt })),
+    ...withdrawals.map(w => ({ model: 'Withdrawal', id: w._id, type: 'withdrawal', status: w.status, amount: w.amount, createdAt: w.createdAt })),
+    ...transactions.map(t => ({ model: 'Transaction', id: t._id, type: t.type, status: t.status, amount: t.amount, createdAt: t.createdAt })),
+    ...journal.map((entry) => {
+      const leg = entry.legs.find(l => l.account === userAccountId);
+      return { model: 'JournalEntry', id: entry._id, type: entry.type, status: 'posted', amount: money.sub(leg.credit, leg.debit), createdAt: entry.createdAt };
+    }),
+  ];
+};
+
+// Recompute every user's expected balance and totals from history and store a report
+export const runReconciliation = async ({ trigger = 'manual', triggeredBy } = {}) => {
+  // Only one run at a time across all instances
+  const active = await ReconciliationRun.findOne({
+    status: 'running',
+    startedAt: { $gt: new Date(Date.now() - STALE_RUN_MS) },
+  }).lean();
+  if (active) {
+    return { run: active, alreadyRunning: true };
+  }
+
+  const run = await ReconciliationRun.create({ trigger, triggeredBy });
+
+  try {
+    const [deposits, withdrawalsHeld, withdrawalsApproved, rewards, manualPostings, journalBalances] = await Promise.all([
+      sumByUser(Deposit, { status: 'approved' }),
+      sumByUser(Withdrawal, { status: { $in: BALANCE_HOLDING_WITHDRAWAL_STATUSES } }),
+      sumByUser(Withdrawal, { status: 'approved' }),
+      sumByUser(Transaction, { type: { $in: REWARD_TYPES }, status: 'completed' }),
+      journalNetByUser(MANUAL_JOURNAL_TYPES),
+      journalNetByUser(),
+    ]);
+
+    let usersChecked = 0;
+    let discrepancyCount = 0;
+
+    const cursor = User.find({}).select('_id balance totalDeposits totalWithdrawals').lean().cursor();
+    for await (const user of cursor) {
+      usersChecked++;
+      const id = user._id.toString();
+
+      const expected = {
+        balance: money.sub(
+          money.add(deposits.get(id), rewards.get(id), manualPostings.get(id)),
+          withdrawalsHeld.get(id)
+        ),
+        totalDeposits: money.toDecimal(deposits.get(id)),
+        totalWithdrawals: money.toDecimal(withdrawalsApproved.get(id)),
+      };
+      const stored = {
+        balance: money.toDecimal(user.balance),
+        totalDeposits: money.toDecimal(user.totalDeposits),
+        totalWithdrawals: money.toDecimal(user.totalWithdrawals),
+      };
+
+      const matches = Object.keys(expected).every(field => money.compare(expected[field], stored[field]) === 0);
+      if (matches) continue;
+
+      discrepancyCount++;
+      await ReconciliationDiscrepancy.create({
+        run: run._id,
+        user: user._id,
+        stored,
+        expected,
+        journalBalance: money.toDecimal(journalBalances.get(id)),
+        records: await collectRecords(user._id),
+      });
+    }
+
+    run.status = 'completed';
+    run.usersChecked = usersChecked;
+    run.discrepancyCount = discrepancyCount;
+  } catch (error) {
+    console.error('Reconciliation run failed:', error);
+    run.status = 'failed';
+    run.error = error.message;
+  }
+
+  run.finishedAt = new Date();
+  await run.save();
+  return { run };
+};
+
+// Thrown when a repair cannot be applied safely; `statusCode` maps to the HTTP response
+export class RepairError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'RepairError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Bring a user's stored figures in line with the expected ones from a report.
+// The balance is corrected with an adjustment entry so the journal records the repair.
+export const repairDiscrepancy = async (discrepancyId, adminId) => {
+  return withTransaction(async (session) => {
+    const discrepancy = await ReconciliationDiscrepancy.findById(discrepancyId).session(session);
+    if (!discrepancy) {
+      throw new RepairError('Discrepancy not found', 404);
+    }
+    if (discrepancy.repairedAt) {
+      throw new RepairError('Discrepancy has already been repaired', 409);
+    }
+
+    const user = await User.findById(discrepancy.user).session(session);
+    if (!user) {
+      throw new RepairError('User not found', 404);
+    }
+
+    // Refuse to apply a stale correction if the user's figures moved since the run
+    const unchanged = ['balance', 'totalDeposits', 'totalWithdrawals']
+      .every(field => money.compare(user[field], discrepancy.stored[field]) === 0);
+    if (!unchanged) {
+      throw new RepairError('User figures changed since this run; start a new reconciliation run', 409);
+    }
+
+    const balanceDifference = money.sub(discrepancy.expected.balance, discrepancy.stored.balance);
+    const counters = {
+      totalDeposits: money.sub(discrepancy.expected.totalDeposits, discrepancy.stored.totalDeposits),
+      totalWithdrawals: money.sub(discrepancy.expected.totalWithdrawals, discrepancy.stored.totalWithdrawals),
+    };
+
+    let entry = null;
+    if (!money.isZero(balanceDifference)) {
+      ({ entry } = await postTransfer({
+        type: 'adjustment',
+        debit: money.isPositive(balanceDifference) ? ACCOUNTS.ADJUSTMENTS : userAccount(user._id),
+        credit: money.isPositive(balanceDifference) ? userAccount(user._id) : ACCOUNTS.ADJUSTMENTS,
+        amount: money.abs(balanceDifference),
+        counters,
+        // The expected balance may legitimately be negative; do not block the repair on it
+        minBalance: money.toDecimal(discrepancy.expected.balance),
+        postedBy: adminId,
+        description: `Reconciliation repair for run ${discrepancy.run}`,
+        session,
+      }));
+    } else {
+      await User.updateOne({ _id: user._id }, { $inc: counters }, { session });
+    }
+
+    discrepancy.repairedAt = new Date();
+    discrepancy.repairedBy = adminId;
+    discrepancy.repairEntry = entry?._id;
+    await discrepancy.save({ session });
+
+    await ReconciliationRun.updateOne({ _id: discrepancy.run }, { $inc: { repairedCount: 1 } }, { session });
+
+    return discrepancy;
+  });
+};
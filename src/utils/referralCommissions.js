@@ -0,0 +1,130 @@
+import User from '../models/User.js';
+import Referral from '../models/Referral.js';
+import Settings from '../models/Settings.js';
+import Transaction from '../models/Transaction.js';
+import Commission from '../models/Commission.js';
+import { ACCOUNTS, postTransfer, userAccount } from './ledger.js';
+import { getSetting } from './settingsHelper.js';
+import * as money from './money.js';
+
+// Used until `referralCommissionRates` is configured: 10% to the direct sponsor only
+export const DEFAULT_COMMISSION_RATES = [10];
+
+// Commission percentages per upline generation, e.g. [10, 5, 2]. Entries that are not
+// a percentage between 0 and 100 pay nothing but still count as a generation.
+export const getCommissionRates = async () => {
+  const rates = await getSetting(Settings, 'referralCommissionRates', DEFAULT_COMMISSION_RATES);
+  if (!Array.isArray(rates)) return DEFAULT_COMMISSION_RATES;
+
+  return rates.map((rate) => {
+    const percent = Number(rate);
+    return Number.isFinite(percent) && percent > 0 && percent <= 100 ? percent : 0;
+  });
+};
+
+// Pay every upline generation its commission on an approved deposit. Runs inside the
+// approval transaction; the sponsor chain follows Referral documents, not tree placement.
+// The direct sponsor is paid the rate stored on their Referral, which is the first
+// configured rate at sign-up; further generations use the current settings.
+// Inactive sponsors are skipped without passing their share further up.
+export const payDepositCommissions = async (deposit, { processedBy, session = null } = {}) => {
+  const rates = await getCommissionRates();
+  const commissions = [];
+  let referred = deposit.user;
+
+  for (let generation = 1; generation <= rates.length; generation++) {
+    const referral = await Referral.findOne({ referred }).session(session);
+    if (!referral) break;
+    referred = referral.referrer;
+
+    const rate = generation === 1 ? referral.commissionRate : rates[generation - 1];
+    const amount = money.percentOf(deposit.amount, rate);
+    if (!money.isPositive(amount)) continue;
+
+    const earner = await User.findById(referral.referrer).select('isActive').session(session);
+    if (!earner || !earner.isActive) continue;
+
+    const [transaction] = await Transaction.create([{
+      user: referral.referrer,
+      type: 'referral',
+      amount,
+      status: 'completed',
+      description: `Generation ${generation} referral commission (${rate}%)`,
+      processedBy,
+      processedAt: new Date(),
+      sourceType: 'deposit',
+      sourceId: deposit._id,
+    }], { session });
+
+    const [commission] = await Commission.create([{
+      deposit: deposit._id,
+      sourceUser: deposit.user,
+      user: referral.referrer,
+      referral: referral._id,
+      generation,
+      rate,
+      baseAmount: deposit.amount,
+      amount,
+      transaction: transaction._id,
+    }], { session });
+
+    await postTransfer({
+      type: 'referral',
+      debit: ACCOUNTS.REWARDS_EXPENSE,
+      credit: userAccount(referral.referrer),
+      amount,
+      counters: { referralEarnings: amount },
+      transaction: transaction._id,
+      postedBy: processedBy,
+      description: `Generation ${generation} referral commission on deposit ${deposit._id}`,
+      session,
+    });
+
+    await Referral.updateOne({ _id: referral._id }, { $inc: { commission: amount } }, { session });
+
+    commissions.push(commission);
+  }
+
+  return commissions;
+};
+
+// Take back the commissions a deposit paid. With `allowNegativeBalance` an earner who
+// already spent the commission ends up with a negative balance instead of blocking the
+// reversal. Returns the reversed commissions.
+export const reverseDepositCommissions = async (depositId, { processedBy, allowNegativeBalance = false, session = null } = {}) => {
+  const commissions = await Commission.find({ deposit: depositId, status: 'paid' }).session(session);
+
+  for (const commission of commissions) {
+    commission.status = 'reversed';
+    commission.reversedBy = processedBy;
+    commission.reversedAt = new Date();
+    await commission.save({ session });
+
+    await Transaction.updateOne(
+      { _id: commission.transaction },
+      { status: 'cancelled', processedBy, processedAt: new Date() },
+      { session }
+    );
+
+    await postTransfer({
+      type: 'referral_reversal',
+      debit: userAccount(commission.user),
+      credit: ACCOUNTS.REWARDS_EXPENSE,
+      amount: commission.amount,
+      counters: { referralEarnings: money.negate(commission.amount) },
+      transaction: commission.transaction,
+      postedBy: processedBy,
+      description: `Generation ${commission.generation} referral commission on deposit ${depositId} reversed`,
+      minBalance: allowNegativeBalance ? null : 0,
+      session,
+    });
+
+    await Referral.updateOne(
+      { _id: commission.referral },
+      { $inc: { commission: money.negate(commission.amount) } },
+      { session }
+    );
+  }
+
+  return commissions;
+};
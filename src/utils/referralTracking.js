@@ -0,0 +1,133 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import ReferralVisit from '../models/ReferralVisit.js';
+
+const ATTRIBUTION_PURPOSE = 'referral_attribution';
+const MAX_CAMPAIGN_LENGTH = 64;
+const MAX_USER_AGENT_LENGTH = 512;
+
+// Keyed hash of the visitor's IP, so visits can be told apart without storing the address
+export const hashIp = (ip) => {
+  if (!ip) return '';
+  const secret = process.env.REFERRAL_IP_HASH_SECRET || process.env.JWT_SECRET;
+  return crypto.createHmac('sha256', secret).update(ip).digest('hex');
+};
+
+// Record a visit to `referralCode`'s link and return it with a short-lived token that
+// `register` accepts to attribute the signup. Returns null for an unknown code.
+export const recordReferralVisit = async ({ referralCode, campaign, ip, userAgent }) => {
+  const referrer = await User.findOne({ referralCode }).select('_id').lean();
+  if (!referrer) return null;
+
+  const visit = await ReferralVisit.create({
+    referrer: referrer._id,
+    referralCode,
+    ipHash: hashIp(ip),
+    userAgent: String(userAgent || '').slice(0, MAX_USER_AGENT_LENGTH),
+    campaign: String(campaign || '').trim().slice(0, MAX_CAMPAIGN_LENGTH),
+  });
+
+  const expiresIn = process.env.REFERRAL_ATTRIBUTION_EXPIRE || '24h';
+  const token = jwt.sign({ visit: visit._id, purpose: ATTRIBUTION_PURPOSE }, process.env.JWT_SECRET, { expiresIn });
+
+  return { visit, token, expiresIn };
+};
+
+// The visit behind an attribution token, or null when the token is invalid, expired or
+// already used by another signup. Attribution never blocks a registration.
+export const findAttributedVisit = async (token) => {
+  if (!token || typeof token !== 'string') return null;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== ATTRIBUTION_PURPOSE) return null;
+    return await ReferralVisit.findOne({ _id: decoded.visit, convertedUser: null }).lean();
+  } catch (error) {
+    return null;
+  }
+};
+
+// Link a new user to the visit that brought them; each visit converts at most once
+export const linkReferralSignup = async (visitId, userId) => {
+  return ReferralVisit.findOneAndUpdate(
+    { _id: visitId, convertedUser: null },
+    { convertedUser: userId, convertedAt: new Date() },
+    { new: true }
+  );
+};
+
+// Parse `from`/`to` query dates into a createdAt filter; returns null when either is invalid
+export const visitDateFilter = ({ from, to } = {}) => {
+  const filter = {};
+  if (from) {
+    const date = new Date(from);
+    if (Number.isNaN(date.getTime())) return null;
+    filter.$gte = date;
+  }
+  if (to) {
+    const date = new Date(to);
+    if (Number.isNaN(date.getTime())) return null;
+    filter.$lte = date;
+  }
+  return Object.keys(filter).length > 0 ? { createdAt: filter } : {};
+};
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0);
+
+// Add conversion rates between the funnel stages
+export const withConversionRates = (stats) => ({
+  ...stats,
+  signupRate: percent(stats.signups, stats.visits),
+  paidRate: percent(stats.paidRegistrations, stats.signups),
+  activationRate: percent(stats.activated, stats.signups),
+});
+
+// Aggregation stages that turn matching visits into funnel counts grouped by `groupBy`:
+// visits, unique visitors, signups, paid registrations and activated members
+export const referralFunnelStages = (match, groupBy = null) => [
+  { $match: match },
+  {
+    $lookup: {
+      from: User.collection.name,
+      let: { userId: '$convertedUser' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$_id', '$$userId'] } } },
+        { $project: { registrationDepositPaid: 1, isActive: 1 } },
+      ],
+      as: 'signup',
+    }
+  },
+  { $set: { signup: { $arrayElemAt: ['$signup', 0] } } },
+  {
+    $group: {
+      _id: groupBy,
+      visits: { $sum: 1 },
+      visitors: { $addToSet: '$ipHash' },
+      signups: { $sum: { $cond: [{ $ifNull: ['$convertedUser', false] }, 1, 0] } },
+      paidRegistrations: { $sum: { $cond: [{ $eq: ['$signup.registrationDepositPaid', true] }, 1, 0] } },
+      activated: { $sum: { $cond: [{ $eq: ['$signup.isActive', true] }, 1, 0] } },
+      lastVisitAt: { $max: '$createdAt' },
+    }
+  },
+  { $set: { uniqueVisitors: { $size: '$visitors' } } },
+  { $unset: 'visitors' },
+];
+
+const EMPTY_FUNNEL = { visits: 0, uniqueVisitors: 0, signups: 0, paidRegistrations: 0, activated: 0, lastVisitAt: null };
+
+// Funnel of one sponsor's referral links, overall and per campaign tag
+export const getReferralFunnel = async (referrerId, dateFilter = {}) => {
+  const match = { referrer: referrerId, ...dateFilter };
+
+  const [[total], campaigns] = await Promise.all([
+    ReferralVisit.aggregate(referralFunnelStages(match)),
+    ReferralVisit.aggregate([...referralFunnelStages(match, '$campaign'), { $sort: { visits: -1 } }]),
+  ]);
+
+  const { _id, ...overall } = total || EMPTY_FUNNEL;
+  return {
+    ...withConversionRates(overall),
+    campaigns: campaigns.map(({ _id: campaign, ...stats }) => ({ campaign, ...withConversionRates(stats) })),
+  };
+};
@@ -0,0 +1,67 @@
+import cluster from 'cluster';
+
+// A worker announces it can run jobs; the cluster primary answers the one it elects
+export const SCHEDULER_READY_MESSAGE = 'scheduler:ready';
+export const SCHEDULER_ELECTION_MESSAGE = 'scheduler:elect';
+
+const definitions = new Map();
+const jobs = new Map();
+
+// Only one process runs scheduled jobs: the single process when not clustered, or the
+// worker the primary elects (see cluster.js). Serverless deployments never start jobs.
+let elected = !cluster.isWorker;
+
+const startJob = (name) => {
+  const { intervalMs, task } = definitions.get(name);
+
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await task();
+    } catch (error) {
+      console.error(`Scheduled job "${name}" failed:`, error);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  // Do not keep the process alive just for scheduled jobs
+  timer.unref();
+  jobs.set(name, timer);
+  console.log(`✓ Scheduled job "${name}" every ${Math.round(intervalMs / 60000)} minutes`);
+};
+
+if (cluster.isWorker) {
+  process.on('message', (message) => {
+    if (message?.type !== SCHEDULER_ELECTION_MESSAGE || elected) return;
+    elected = true;
+    console.log(`✓ Worker ${process.pid} elected to run scheduled jobs`);
+    for (const name of definitions.keys()) {
+      startJob(name);
+    }
+  });
+  // Sent only once the listener exists, so the election cannot be missed
+  process.send({ type: SCHEDULER_READY_MESSAGE });
+}
+
+// Run `task` every `intervalMs`. A tick is skipped while the previous one is still running.
+// In a worker that is not elected (yet) the job waits until the primary elects it.
+export const scheduleJob = (name, intervalMs, task) => {
+  if (!intervalMs || intervalMs <= 0 || definitions.has(name)) {
+    return;
+  }
+
+  definitions.set(name, { intervalMs, task });
+  if (elected) {
+    startJob(name);
+  }
+};
+
+// Interval from an env var in hours, falling back to a default; 0 disables the job
+export const hoursFromEnv = (name, defaultHours) => {
+  const value = process.env[name];
+  const hours = value === undefined || value === '' ? defaultHours : parseFloat(value);
+  return Number.isFinite(hours) && hours > 0 ? hours * 60 * 60 * 1000 : 0;
+};
@@ -0,0 +1,204 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+
+// The token rotated last, presented again this soon, is a client race (e.g. two tabs), not theft
+const REUSE_GRACE_MS = 10 * 1000;
+const MAX_DEVICE_NAME_LENGTH = 100;
+const MAX_USER_AGENT_LENGTH = 512;
+
+export class SessionError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = 'SessionError';
+    this.statusCode = statusCode;
+  }
+}
+
+const newTokenKey = () => crypto.randomBytes(32).toString('base64url');
+
+const refreshExpiry = () => {
+  const days = parseFloat(process.env.REFRESH_TOKEN_EXPIRE_DAYS);
+  return new Date(Date.now() + (Number.isFinite(days) && days > 0 ? days : 30) * 24 * 60 * 60 * 1000);
+};
+
+// Users and admins authenticate in separate realms. Each realm's tokens carry it as their
+// audience and can have their own signing key and lifetime.
+export const REALMS = {
+  user: {
+    model: 'User',
+    secret: () => process.env.JWT_SECRET,
+    expiresIn: () => process.env.ACCESS_TOKEN_EXPIRE || '15m',
+  },
+  admin: {
+    model: 'Admin',
+    secret: () => process.env.ADMIN_JWT_SECRET || process.env.JWT_SECRET,
+    expiresIn: () => process.env.ADMIN_JWT_EXPIRE || '15m',
+  },
+};
+
+const realmOf = (userModel) => (userModel === 'Admin' ? 'admin' : 'user');
+
+// Short-lived access token bound to a session; `protect` rejects it once the session ends
+export const generateAccessToken = (id, sessionId, realm = 'user') => {
+  return jwt.sign({ id, sid: sessionId }, REALMS[realm].secret(), {
+    expiresIn: REALMS[realm].expiresIn(),
+    audience: realm,
+  });
+};
+
+// Verify an access token of `realm`; throws for tokens of the other realm
+export const verifyAccessToken = (token, realm) => {
+  return jwt.verify(token, REALMS[realm].secret(), { audience: realm });
+};
+
+// The secret of a session's refresh token of one generation. It is derived from the
+// session's random key and the realm's signing key, so every token the session ever issued
+// can be recognized without storing them, and the database alone cannot mint one.
+const refreshSecret = (session, generation) => {
+  return crypto
+    .createHmac('sha256', REALMS[realmOf(session.userModel)].secret())
+    .update(`${session.tokenKey}.${generation}`)
+    .digest('base64url');
+};
+
+const secretsMatch = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// Refresh tokens are "<session id>.<generation>.<secret>"; the generation goes up on every refresh
+const tokenResponse = (session) => {
+  const realm = realmOf(session.userModel);
+  return {
+    token: generateAccessToken(session.user, session._id, realm),
+    refreshToken: `${session._id}.${session.generation}.${refreshSecret(session, session.generation)}`,
+    expiresIn: REALMS[realm].expiresIn(),
+  };
+};
+
+const clientDetails = (req) => {
+  const userAgent = String(req.get('user-agent') || '').slice(0, MAX_USER_AGENT_LENGTH);
+  return {
+    userAgent,
+    ip: req.ip || '',
+    deviceName: String(req.body?.deviceName || userAgent).trim().slice(0, MAX_DEVICE_NAME_LENGTH),
+  };
+};
+
+// Start a session for a login (or registration) and return its first token pair
+export const startSession = async (userId, userModel, req) => {
+  const session = await Session.create({
+    user: userId,
+    userModel,
+    tokenKey: newTokenKey(),
+    expiresAt: refreshExpiry(),
+    ...clientDetails(req),
+  });
+
+  return tokenResponse(session);
+};
+
+// Exchange a refresh token for a new token pair. The presented token stops working; any
+// earlier token of the session presented again revokes the whole session, since someone
+// else has it.
+export const refreshSession = async (refreshToken, req) => {
+  const [sessionId, generationText, secret] = String(refreshToken || '').split('.');
+  const generation = Number(generationText);
+  if (!secret || !mongoose.isValidObjectId(sessionId) || !Number.isInteger(generation) || generation < 0) {
+    throw new SessionError('Invalid refresh token');
+  }
+
+  const session = await Session.findById(sessionId).select('+tokenKey').lean();
+  if (!session || !session.tokenKey || generation > session.generation
+    || !secretsMatch(secret, refreshSecret(session, generation))) {
+    throw new SessionError('Invalid refresh token');
+  }
+  if (session.revokedAt || session.expiresAt <= new Date()) {
+    throw new SessionError('Session has expired or been revoked, please log in again');
+  }
+
+  if (generation < session.generation) {
+    const justRotated = generation === session.generation - 1
+      && Date.now() - session.lastRefreshedAt.getTime() < REUSE_GRACE_MS;
+    if (justRotated) {
+      throw new SessionError('Refresh token has already been used');
+    }
+
+    await revokeSession(session._id, 'reuse_detected');
+    throw new SessionError('Refresh token reuse detected, the session has been revoked');
+  }
+
+  const now = new Date();
+  const { ip, userAgent } = clientDetails(req);
+
+  // Conditional on the generation, so two refreshes with the same token cannot both succeed
+  const updated = await Session.findOneAndUpdate(
+    { _id: session._id, generation, revokedAt: null },
+    {
+      $inc: { generation: 1 },
+      lastRefreshedAt: now,
+      lastSeenAt: now,
+      expiresAt: refreshExpiry(),
+      ip,
+      userAgent,
+    },
+    { new: true }
+  ).select('+tokenKey');
+  if (!updated) {
+    throw new SessionError('Refresh token has already been used');
+  }
+
+  return tokenResponse(updated);
+};
+
+// The session behind an access token, or null when it is revoked, expired or does not
+// belong to that user in that realm
+export const findActiveSession = async (sessionId, userId, realm = 'user') => {
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) return null;
+
+  const session = await Session.findOne({
+    _id: sessionId,
+    user: userId,
+    userModel: REALMS[realm].model,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).lean();
+  if (!session) return null;
+
+  // Last-seen is only written once a minute per session
+  const now = new Date();
+  if (now - session.lastSeenAt > 60 * 1000) {
+    await Session.updateOne({ _id: session._id }, { lastSeenAt: now });
+  }
+  return session;
+};
+
+// Revoke an active session, limited to one user's sessions when `userId` is given.
+// Returns null when there was no such active session.
+export const revokeSession = async (sessionId, reason = 'revoked', { userId } = {}) => {
+  return Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null, ...(userId && { user: userId }) },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+};
+
+// Revoke every active session of a user, optionally keeping one (the caller's own)
+export const revokeAllSessions = async (userId, { except, reason = 'revoked_all' } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+
+  const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+};
+
+// A user's active sessions, most recently seen first
+export const listActiveSessions = async (userId) => {
+  return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('deviceName userAgent ip lastSeenAt lastRefreshedAt createdAt expiresAt')
+    .sort({ lastSeenAt: -1 })
+    .lean();
+};
@@ -0,0 +1,179 @@
+import crypto from 'crypto';
+
+// RFC 6238 time-based one-time passwords as authenticator apps expect them:
+// HMAC-SHA1, 6 digits, 30 second steps
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+const SECRET_BYTES = 20;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const BACKUP_CODE_COUNT = 10;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  const clean = text.replace(/[\s=]/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// A new random secret, base32 encoded for authenticator apps
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+// The time step a moment falls in
+export const totpCounter = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// RFC 4226 HOTP value of one counter
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const digest = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+export const totpCode = (secret, time = Date.now()) => hotp(base32Decode(secret), totpCounter(time));
+
+// The counter `code` is valid for, allowing `window` steps of clock drift either way,
+// or null when it matches none
+export const matchTotp = (secret, code, { window = 1, time = Date.now() } = {}) => {
+  const submitted = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(submitted)) return null;
+
+  const key = base32Decode(secret);
+  const current = totpCounter(time);
+
+  for (let counter = current - window; counter <= current + window; counter++) {
+    if (crypto.timingSafeEqual(Buffer.from(hotp(key, counter)), Buffer.from(submitted))) {
+      return counter;
+    }
+  }
+  return null;
+};
+
+// otpauth:// URI that authenticator apps import, usually rendered as a QR code
+export const provisioningUri = ({ secret, account, issuer }) => {
+  // Percent-encoded by hand: some apps show URLSearchParams' "+" for spaces literally
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+  const params = Object.entries({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: DIGITS,
+    period: STEP_SECONDS,
+  }).map(([name, value]) => `${name}=${encodeURIComponent(value)}`);
+
+  return `otpauth://totp/${label}?${params.join('&')}`;
+};
+
+// Secrets are kept encrypted (AES-256-GCM) since, unlike passwords, they must be readable
+const encryptionKey = () => {
+  const key = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  return crypto.createHash('sha256').update(key).digest();
+};
+
+// "<iv>.<auth tag>.<ciphertext>", base64url
+export const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+};
+
+export const decryptSecret = (stored) => {
+  const [iv, tag, ciphertext] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+// Backup codes are typed by hand, so they ignore case, spaces and dashes
+export const normalizeBackupCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+export const hashBackupCode = (code) => {
+  return crypto.createHash('sha256').update(normalizeBackupCode(code)).digest('hex');
+};
+
+// One-time backup codes ("xxxxx-xxxxx") with the hashes to store; the codes are shown once
+export const generateBackupCodes = (count = BACKUP_CODE_COUNT) => {
+  const codes = Array.from({ length: count }, () => {
+    const code = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+// Schema fields shared by the User and Admin models
+export const twoFactorFields = {
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  twoFactorEnabledAt: {
+    type: Date,
+  },
+  // Encrypted; the pending secret is the one being set up until a code confirms it
+  twoFactorSecret: {
+    type: String,
+    select: false,
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false,
+  },
+  // SHA-256 hashes of the unused backup codes
+  twoFactorBackupCodes: {
+    type: [String],
+    default: undefined,
+    select: false,
+  },
+  // Time step of the last accepted code, so a code cannot be used twice
+  twoFactorLastCounter: {
+    type: Number,
+    default: 0,
+    select: false,
+  },
+  twoFactorFailures: {
+    type: Number,
+    default: 0,
+    select: false,
+  },
+  twoFactorLockedUntil: {
+    type: Date,
+    default: null,
+  },
+};
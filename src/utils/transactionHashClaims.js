@@ -0,0 +1,66 @@
+import TransactionHashClaim from '../models/TransactionHashClaim.js';
+
+// Canonical form used for uniqueness: no whitespace, lowercase, no 0x prefix.
+// Returns null when nothing is left.
+export const normalizeTransactionHash = (hash) => {
+  if (typeof hash !== 'string') return null;
+  const normalized = hash.replace(/\s+/g, '').toLowerCase().replace(/^0x/, '');
+  return normalized || null;
+};
+
+// Thrown when another deposit already holds the hash
+export class DuplicateTransactionHashError extends Error {
+  constructor(hash) {
+    super('This transaction hash has already been submitted');
+    this.name = 'DuplicateTransactionHashError';
+    this.hash = hash;
+  }
+}
+
+// Reserve a hash for a deposit. Claiming again for the same deposit is a no-op, so
+// approvals can call this to cover deposits created before claims existed. A hash whose
+// deposit expired (see expireStaleDeposits) can only be claimed again by the same user.
+export const claimTransactionHash = async ({ hash, deposit, user, session = null }) => {
+  const normalized = normalizeTransactionHash(hash);
+
+  const existing = await TransactionHashClaim.findOne({ hash: normalized, status: 'active' }).session(session);
+  if (existing) {
+    if (existing.deposit.equals(deposit)) return existing;
+    throw new DuplicateTransactionHashError(normalized);
+  }
+
+  const expiredForOtherUser = await TransactionHashClaim.exists({
+    hash: normalized,
+    status: 'released',
+    releaseReason: 'expired',
+    user: { $ne: user },
+  }).session(session);
+  if (expiredForOtherUser) {
+    throw new DuplicateTransactionHashError(normalized);
+  }
+
+  try {
+    // The partial unique index settles concurrent claims for the same hash
+    const [claim] = await TransactionHashClaim.create([{ hash: normalized, deposit, user }], { session });
+    return claim;
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new DuplicateTransactionHashError(normalized);
+    }
+    throw error;
+  }
+};
+
+// Free the hash held by a rejected (or expired) deposit
+export const releaseTransactionHash = (depositId, session = null, reason = 'rejected') => TransactionHashClaim.updateOne(
+  { deposit: depositId, status: 'active' },
+  { status: 'released', releaseReason: reason, releasedAt: new Date() },
+  { session }
+);
+
+// Record a refused submission against the claim that holds the hash. Called outside
+// the failed transaction so the record survives its rollback.
+export const recordDuplicateAttempt = (hash, attempt) => TransactionHashClaim.updateOne(
+  { hash, status: 'active' },
+  { $push: { duplicateAttempts: { ...attempt, attemptedAt: new Date() } } }
+);
@@ -0,0 +1,278 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Referral from '../models/Referral.js';
+import TreeNode from '../models/TreeNode.js';
+import TreeMove from '../models/TreeMove.js';
+import { isInDownline, moveSubtree, subtreeStats } from './binaryTree.js';
+import { withTransaction } from './dbTransaction.js';
+import { getActiveLevelPlan, meetsLevel } from './levelPlans.js';
+import { dueLevels, evaluateUplineLevelRewards } from './levelRewards.js';
+import { getCommissionRates } from './referralCommissions.js';
+import * as money from './money.js';
+
+// Nearest uplines of each path listed in a preview; the rest are only counted
+const PREVIEW_UPLINE_LIMIT = 100;
+
+export class TreeMoveError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'TreeMoveError';
+    this.statusCode = statusCode;
+  }
+}
+
+const sameId = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+// Every referrer above `sponsorId` in the Referral chain, nearest first
+const getSponsorChain = async (sponsorId) => {
+  const [start] = await Referral.aggregate([
+    { $match: { referred: new mongoose.Types.ObjectId(sponsorId.toString()) } },
+    {
+      $graphLookup: {
+        from: Referral.collection.name,
+        startWith: '$referrer',
+        connectFromField: 'referrer',
+        connectToField: 'referred',
+        as: 'chain',
+        depthField: 'generation',
+      }
+    },
+  ]);
+  if (!start) return [];
+
+  const above = start.chain.sort((a, b) => a.generation - b.generation).map(r => r.referrer);
+  return [start.referrer, ...above];
+};
+
+// Active leg counts of every upline before and after the move, and the change in level
+// eligibility. Already awarded levels are kept even when they are no longer met.
+const previewUplines = async (fromAncestors, toAncestors, subtreeActive) => {
+  const deltas = new Map();
+  const shift = (ancestors, sign) => {
+    for (const { user, side } of ancestors) {
+      const key = user.toString();
+      const delta = deltas.get(key) || { left: 0, right: 0 };
+      delta[side] += sign * subtreeActive;
+      deltas.set(key, delta);
+    }
+  };
+  shift(fromAncestors, -1);
+  shift(toAncestors, 1);
+
+  // Uplines both paths share on the same side see no change
+  const changed = (key) => deltas.get(key).left !== 0 || deltas.get(key).right !== 0;
+  const nearest = (ancestors) => ancestors.slice(-PREVIEW_UPLINE_LIMIT).map(a => a.user.toString()).filter(changed);
+  const listed = [...new Set([...nearest(toAncestors), ...nearest(fromAncestors)])];
+
+  const [nodes, users, plan] = await Promise.all([
+    TreeNode.find({ user: { $in: listed } }).select('user leftActiveCount rightActiveCount').lean(),
+    User.find({ _id: { $in: listed } }).select('username achievedLevels totalDeposits').lean(),
+    getActiveLevelPlan(),
+  ]);
+  const nodesById = new Map(nodes.map(node => [node.user.toString(), node]));
+  const usersById = new Map(users.map(u => [u._id.toString(), u]));
+
+  const uplines = listed.map((key) => {
+    const node = nodesById.get(key);
+    const user = usersById.get(key);
+    const delta = deltas.get(key);
+    const leftBefore = node?.leftActiveCount || 0;
+    const rightBefore = node?.rightActiveCount || 0;
+    const after = {
+      leftCount: leftBefore + delta.left,
+      rightCount: rightBefore + delta.right,
+      totalDeposits: user?.totalDeposits,
+    };
+    const achievedLevels = user?.achievedLevels || [];
+
+    return {
+      user: node?.user || key,
+      username: user?.username,
+      leftBefore,
+      rightBefore,
+      leftAfter: after.leftCount,
+      rightAfter: after.rightCount,
+      levelsDue: dueLevels(plan, achievedLevels, after).map(config => config.level),
+      levelsNoLongerMet: plan.levels
+        .filter(config => achievedLevels.includes(config.level) && !meetsLevel(config, after))
+        .map(config => config.level),
+    };
+  });
+
+  return { uplinesAffected: [...deltas.keys()].filter(changed).length, uplines, planVersion: plan.version };
+};
+
+// Validate a move of `userId` (with their whole subtree) to `sponsorId`'s `side` leg and
+// describe its effect without writing anything. The sponsor defaults to the current one
+// and the side to the user's current leg. Throws TreeMoveError when the move is invalid.
+export const planTreeMove = async (userId, { sponsorId, side } = {}) => {
+  if (!mongoose.isValidObjectId(userId) || (sponsorId && !mongoose.isValidObjectId(sponsorId))) {
+    throw new TreeMoveError('Invalid user id');
+  }
+
+  const [user, node, referral] = await Promise.all([
+    User.findById(userId).select('username totalDeposits').lean(),
+    TreeNode.findOne({ user: userId }).lean(),
+    Referral.findOne({ referred: userId }).lean(),
+  ]);
+  if (!user) {
+    throw new TreeMoveError('User not found', 404);
+  }
+  if (!node) {
+    throw new TreeMoveError('User is not placed in the binary tree');
+  }
+
+  const currentSponsor = node.sponsor || referral?.referrer || null;
+  const currentSide = node.ancestors.find(a => sameId(a.user, currentSponsor))?.side || referral?.side || null;
+
+  const targetSponsor = sponsorId || currentSponsor;
+  const targetSide = side || currentSide;
+  if (!targetSponsor) {
+    throw new TreeMoveError('A sponsor is required for a user without one');
+  }
+  if (!['left', 'right'].includes(targetSide)) {
+    throw new TreeMoveError('Side must be left or right');
+  }
+  if (sameId(targetSponsor, currentSponsor) && targetSide === currentSide) {
+    throw new TreeMoveError('User is already placed in that leg of the sponsor');
+  }
+
+  const sponsor = await User.findById(targetSponsor).select('username').lean();
+  if (!sponsor) {
+    throw new TreeMoveError('Sponsor not found', 404);
+  }
+
+  // Neither the placement tree nor the sponsor chain may loop back to the user
+  if (sameId(sponsor._id, userId)) {
+    throw new TreeMoveError('A user cannot sponsor themselves');
+  }
+  if (await isInDownline(userId, sponsor._id)) {
+    throw new TreeMoveError('The sponsor is in the user\'s own downline');
+  }
+  const sponsorChain = await getSponsorChain(sponsor._id);
+  if (sponsorChain.some(id => sameId(id, userId))) {
+    throw new TreeMoveError('The user is in the sponsor\'s upline');
+  }
+
+  // The slot the move will take: the outermost open slot of the sponsor's leg, once the
+  // subtree has been taken out of it
+  const sponsorNode = await TreeNode.findOne({ user: sponsor._id }).lean();
+  let parent = sponsorNode || { user: sponsor._id, ancestors: [], depth: 0 };
+  const extreme = sponsorNode?.[`${targetSide}Extreme`];
+  if (extreme && !sameId(extreme, sponsor._id)) {
+    parent = await isInDownline(userId, extreme)
+      ? await TreeNode.findOne({ user: node.parent }).lean()
+      : await TreeNode.findOne({ user: extreme }).lean();
+  }
+
+  const toAncestors = [...parent.ancestors, { user: parent.user, side: targetSide }];
+  const stats = subtreeStats(node, user.totalDeposits);
+  const upline = await previewUplines(node.ancestors, toAncestors, stats.active);
+
+  return {
+    user: { _id: user._id, username: user.username },
+    from: {
+      sponsor: currentSponsor,
+      side: currentSide,
+      parent: node.parent,
+      position: node.position,
+      depth: node.depth,
+    },
+    to: {
+      sponsor: sponsor._id,
+      sponsorUsername: sponsor.username,
+      side: targetSide,
+      parent: parent.user,
+      position: targetSide,
+      depth: parent.depth + 1,
+    },
+    subtreeSize: stats.size,
+    subtreeActive: stats.active,
+    volume: stats.volume,
+    ...upline,
+  };
+};
+
+// Move a user and their subtree, re-point their Referral at the new sponsor and record
+// the move. Rewards already paid stay as they are; uplines that now meet a level are
+// awarded it once the move is committed.
+export const applyTreeMove = async (userId, { sponsorId, side, reason, movedBy }) => {
+  const preview = await planTreeMove(userId, { sponsorId, side });
+  const { to } = preview;
+
+  const move = await withTransaction(async (session) => {
+    // The tree may have changed since the preview was built
+    const cycle = await TreeNode.exists({ user: to.sponsor, 'ancestors.user': userId }).session(session);
+    if (cycle) {
+      throw new TreeMoveError('The sponsor is in the user\'s own downline', 409);
+    }
+
+    const user = await User.findById(userId).select('totalDeposits').session(session).lean();
+    const result = await moveSubtree({ userId, sponsorId: to.sponsor, side: to.side, ownVolume: user.totalDeposits, session });
+
+    const referral = await Referral.findOne({ referred: userId }).session(session);
+    const previousReferralCommission = referral?.commission || 0;
+    const sponsorChanged = !sameId(referral?.referrer, to.sponsor);
+
+    if (referral) {
+      referral.side = to.side;
+      referral.placementStrategy = 'moved';
+      if (sponsorChanged) {
+        // Commission earned so far stays with the old sponsor's Commission records
+        const [commissionRate] = await getCommissionRates();
+        referral.referrer = to.sponsor;
+        referral.commission = money.toDecimal(0);
+        referral.commissionRate = commissionRate;
+      }
+      await referral.save({ session });
+    } else {
+      const [commissionRate] = await getCommissionRates();
+      const node = await TreeNode.findOne({ user: userId }).select('isActive').session(session).lean();
+      await Referral.create([{
+        referrer: to.sponsor,
+        referred: userId,
+        side: to.side,
+        placementStrategy: 'moved',
+        commissionRate,
+        isActive: Boolean(node?.isActive),
+      }], { session });
+    }
+
+    await User.updateOne({ _id: userId }, { referredBy: to.sponsor }, { session });
+
+    const [record] = await TreeMove.create([{
+      user: userId,
+      movedBy,
+      reason,
+      from: {
+        ...preview.from,
+        parent: result.from.parent,
+        position: result.from.position,
+        depth: result.from.depth,
+      },
+      to: {
+        sponsor: to.sponsor,
+        side: to.side,
+        parent: result.to.parent,
+        position: result.to.position,
+        depth: result.to.depth,
+      },
+      subtreeSize: result.stats.size,
+      subtreeActive: result.stats.active,
+      volume: result.stats.volume,
+      previousReferralCommission: sponsorChanged ? previousReferralCommission : 0,
+      uplinesAffected: preview.uplinesAffected,
+      uplines: preview.uplines,
+    }], { session });
+
+    return { record, newAncestors: result.to.ancestors };
+  });
+
+  try {
+    await evaluateUplineLevelRewards(move.newAncestors.map(a => a.user));
+  } catch (error) {
+    console.error(`Error evaluating level rewards after moving ${userId}:`, error);
+  }
+
+  return { move: move.record, preview };
+};
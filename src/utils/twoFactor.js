@@ -0,0 +1,206 @@
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import Admin from '../models/Admin.js';
+import { REALMS } from './sessions.js';
+import {
+  decryptSecret,
+  encryptSecret,
+  generateBackupCodes,
+  generateTotpSecret,
+  hashBackupCode,
+  matchTotp,
+  provisioningUri,
+} from './totp.js';
+
+// Wrong codes in a row before the account's codes are refused for a while
+const MAX_FAILURES = 5;
+const LOCK_MS = 15 * 60 * 1000;
+const SETUP_AUDIENCE = 'admin_2fa_setup';
+export const SETUP_TOKEN_EXPIRE = '10m';
+
+const MODELS = { user: User, admin: Admin };
+
+// Thrown when a two-factor code is missing, wrong or refused; `details` is added to the response
+export class TwoFactorError extends Error {
+  constructor(message, statusCode = 403, details = {}) {
+    super(message);
+    this.name = 'TwoFactorError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+const issuer = () => process.env.TWO_FACTOR_ISSUER || 'Hatra Suci';
+
+const loadAccount = async (realm, accountId, fields) => {
+  const account = await MODELS[realm].findById(accountId).select(fields);
+  if (!account) {
+    throw new TwoFactorError('Account not found', 404);
+  }
+  return account;
+};
+
+// Start (or restart) enrollment: a new secret is kept pending until a code confirms it
+export const beginTwoFactorSetup = async (realm, accountId) => {
+  const account = await loadAccount(realm, accountId, 'email twoFactorEnabled');
+  if (account.twoFactorEnabled) {
+    throw new TwoFactorError('Two-factor authentication is already enabled', 400);
+  }
+
+  const secret = generateTotpSecret();
+  await MODELS[realm].updateOne({ _id: accountId }, { twoFactorPendingSecret: encryptSecret(secret) });
+
+  return {
+    secret,
+    otpauthUrl: provisioningUri({ secret, account: account.email, issuer: issuer() }),
+  };
+};
+
+// Confirm enrollment with a code from the app; returns the backup codes, shown only once
+export const completeTwoFactorSetup = async (realm, accountId, code) => {
+  const account = await loadAccount(realm, accountId, 'twoFactorEnabled +twoFactorPendingSecret');
+  if (account.twoFactorEnabled) {
+    throw new TwoFactorError('Two-factor authentication is already enabled', 400);
+  }
+  if (!account.twoFactorPendingSecret) {
+    throw new TwoFactorError('Start two-factor setup first', 400);
+  }
+
+  const counter = matchTotp(decryptSecret(account.twoFactorPendingSecret), code);
+  if (counter === null) {
+    throw new TwoFactorError('Invalid two-factor code', 400);
+  }
+
+  const { codes, hashes } = generateBackupCodes();
+  const enabled = await MODELS[realm].findOneAndUpdate(
+    { _id: accountId, twoFactorEnabled: { $ne: true }, twoFactorPendingSecret: account.twoFactorPendingSecret },
+    {
+      twoFactorEnabled: true,
+      twoFactorEnabledAt: new Date(),
+      twoFactorSecret: account.twoFactorPendingSecret,
+      $unset: { twoFactorPendingSecret: 1 },
+      twoFactorBackupCodes: hashes,
+      twoFactorLastCounter: counter,
+      twoFactorFailures: 0,
+      twoFactorLockedUntil: null,
+    }
+  );
+  if (!enabled) {
+    throw new TwoFactorError('Two-factor setup changed, please start again', 409);
+  }
+
+  return codes;
+};
+
+const recordFailure = async (realm, accountId) => {
+  const account = await MODELS[realm].findOneAndUpdate(
+    { _id: accountId },
+    { $inc: { twoFactorFailures: 1 } },
+    { new: true, projection: { twoFactorFailures: 1 } }
+  );
+
+  if (account && account.twoFactorFailures >= MAX_FAILURES) {
+    await MODELS[realm].updateOne(
+      { _id: accountId },
+      { twoFactorFailures: 0, twoFactorLockedUntil: new Date(Date.now() + LOCK_MS) }
+    );
+  }
+};
+
+// Check a TOTP or backup code for an account with two-factor enabled. Each code works
+// once: TOTP codes up to the last accepted time step and used backup codes are refused.
+export const verifyTwoFactorCode = async (realm, accountId, code) => {
+  if (!code) {
+    throw new TwoFactorError('Two-factor code required', 403, { twoFactorRequired: true });
+  }
+
+  const account = await loadAccount(realm, accountId, 'twoFactorEnabled twoFactorLockedUntil +twoFactorSecret +twoFactorLastCounter');
+  if (!account.twoFactorEnabled) {
+    throw new TwoFactorError('Two-factor authentication is not enabled', 400);
+  }
+  if (account.twoFactorLockedUntil > new Date()) {
+    throw new TwoFactorError('Too many invalid two-factor codes, please try again later', 429, {
+      twoFactorRequired: true,
+      lockedUntil: account.twoFactorLockedUntil,
+    });
+  }
+
+  const reset = { twoFactorFailures: 0, twoFactorLockedUntil: null };
+  const counter = matchTotp(decryptSecret(account.twoFactorSecret), code);
+
+  if (counter !== null) {
+    // Conditional on the counter, so the same code cannot pass two requests at once
+    const accepted = await MODELS[realm].findOneAndUpdate(
+      { _id: accountId, twoFactorLastCounter: { $lt: counter } },
+      { twoFactorLastCounter: counter, ...reset }
+    );
+    if (accepted) return { method: 'totp' };
+  } else {
+    const hash = hashBackupCode(code);
+    const accepted = await MODELS[realm].findOneAndUpdate(
+      { _id: accountId, twoFactorBackupCodes: hash },
+      { $pull: { twoFactorBackupCodes: hash }, ...reset },
+      { new: true, projection: { twoFactorBackupCodes: 1 } }
+    );
+    if (accepted) {
+      return { method: 'backup_code', backupCodesRemaining: accepted.twoFactorBackupCodes.length };
+    }
+  }
+
+  await recordFailure(realm, accountId);
+  throw new TwoFactorError('Invalid two-factor code', 403, { twoFactorRequired: true });
+};
+
+// Challenge an account for a code only when it has two-factor enabled
+export const challengeTwoFactor = async (realm, account, code) => {
+  if (!account.twoFactorEnabled) return null;
+  return verifyTwoFactorCode(realm, account._id, code);
+};
+
+// Replace the backup codes; returns the new codes, shown only once
+export const regenerateBackupCodes = async (realm, accountId) => {
+  const { codes, hashes } = generateBackupCodes();
+  await MODELS[realm].updateOne({ _id: accountId, twoFactorEnabled: true }, { twoFactorBackupCodes: hashes });
+  return codes;
+};
+
+export const disableTwoFactor = async (realm, accountId) => {
+  await MODELS[realm].updateOne({ _id: accountId }, {
+    twoFactorEnabled: false,
+    $unset: {
+      twoFactorEnabledAt: 1,
+      twoFactorSecret: 1,
+      twoFactorPendingSecret: 1,
+      twoFactorBackupCodes: 1,
+    },
+    twoFactorLastCounter: 0,
+    twoFactorFailures: 0,
+    twoFactorLockedUntil: null,
+  });
+};
+
+export const getTwoFactorStatus = async (realm, accountId) => {
+  const account = await loadAccount(realm, accountId, 'twoFactorEnabled twoFactorEnabledAt twoFactorLockedUntil +twoFactorBackupCodes');
+  return {
+    enabled: account.twoFactorEnabled === true,
+    enabledAt: account.twoFactorEnabledAt || null,
+    required: realm === 'admin',
+    backupCodesRemaining: account.twoFactorBackupCodes?.length || 0,
+    lockedUntil: account.twoFactorLockedUntil > new Date() ? account.twoFactorLockedUntil : null,
+  };
+};
+
+// Admins must enroll before they get a session. After their password is checked they get
+// this short-lived token, which only the two-factor setup routes accept.
+export const generateSetupToken = (adminId) => {
+  return jwt.sign({ id: adminId }, REALMS.admin.secret(), {
+    expiresIn: SETUP_TOKEN_EXPIRE,
+    audience: SETUP_AUDIENCE,
+  });
+};
+
+export const verifySetupToken = (token) => {
+  return jwt.verify(token, REALMS.admin.secret(), { audience: SETUP_AUDIENCE });
+};
+
+export const isSetupToken = (token) => jwt.decode(token)?.aud === SETUP_AUDIENCE;
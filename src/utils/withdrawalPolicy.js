@@ -0,0 +1,134 @@
+import Settings from '../models/Settings.js';
+import Withdrawal from '../models/Withdrawal.js';
+import { getSettings } from './settingsHelper.js';
+import * as money from './money.js';
+
+// Address formats accepted per payout network
+const NETWORK_ADDRESS_PATTERNS = {
+  bep20: /^0x[0-9a-fA-F]{40}$/,
+  erc20: /^0x[0-9a-fA-F]{40}$/,
+  trc20: /^T[1-9A-HJ-NP-Za-km-z]{33}$/,
+};
+
+// Withdrawals in these statuses count towards a user's daily and monthly limits
+const COUNTED_STATUSES = ['pending', 'processing', 'approved'];
+
+// Thrown when a withdrawal request breaks the policy; `details` is added to the 400 response
+export class WithdrawalPolicyError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'WithdrawalPolicyError';
+    this.details = details;
+  }
+}
+
+// Zero, empty or missing limits mean "no limit"
+const optionalAmount = (value) => {
+  const amount = money.parseAmount(value);
+  return amount ? money.toNumber(amount) : null;
+};
+
+const optionalCount = (value) => {
+  const count = parseInt(value);
+  return count > 0 ? count : null;
+};
+
+// The current policy from Settings, in the shape exposed to the frontend
+export const getWithdrawalPolicy = async () => {
+  const settings = await getSettings(Settings, [
+    'withdrawalFeeType',
+    'withdrawalFeeValue',
+    'withdrawalMinAmount',
+    'withdrawalMaxAmount',
+    'withdrawalDailyLimit',
+    'withdrawalMonthlyLimit',
+    'withdrawalDailyCount',
+    'withdrawalNetwork',
+  ], { withdrawalFeeType: 'flat' });
+
+  const network = settings.withdrawalNetwork ? String(settings.withdrawalNetwork).toLowerCase() : null;
+
+  return {
+    feeType: settings.withdrawalFeeType === 'percent' ? 'percent' : 'flat',
+    feeValue: optionalAmount(settings.withdrawalFeeValue) || 0,
+    minAmount: optionalAmount(settings.withdrawalMinAmount),
+    maxAmount: optionalAmount(settings.withdrawalMaxAmount),
+    dailyLimit: optionalAmount(settings.withdrawalDailyLimit),
+    monthlyLimit: optionalAmount(settings.withdrawalMonthlyLimit),
+    dailyCount: optionalCount(settings.withdrawalDailyCount),
+    network: NETWORK_ADDRESS_PATTERNS[network] ? network : null,
+  };
+};
+
+export const calculateWithdrawalFee = (amount, policy) => {
+  const fee = policy.feeType === 'percent'
+    ? money.percentOf(amount, policy.feeValue)
+    : money.toDecimal(policy.feeValue);
+  return { fee, netAmount: money.sub(amount, fee) };
+};
+
+// Check the per-request rules and work out the fee
+export const quoteWithdrawal = (amount, walletAddress, policy) => {
+  if (policy.network && !NETWORK_ADDRESS_PATTERNS[policy.network].test(walletAddress || '')) {
+    throw new WithdrawalPolicyError(`Wallet address is not a valid ${policy.network.toUpperCase()} address`, { network: policy.network });
+  }
+
+  if (policy.minAmount !== null && money.compare(amount, policy.minAmount) < 0) {
+    throw new WithdrawalPolicyError(`Minimum withdrawal amount is ${money.format(policy.minAmount)}`, { minAmount: policy.minAmount });
+  }
+
+  if (policy.maxAmount !== null && money.compare(amount, policy.maxAmount) > 0) {
+    throw new WithdrawalPolicyError(`Maximum withdrawal amount is ${money.format(policy.maxAmount)}`, { maxAmount: policy.maxAmount });
+  }
+
+  const { fee, netAmount } = calculateWithdrawalFee(amount, policy);
+  if (!money.isPositive(netAmount)) {
+    throw new WithdrawalPolicyError(`Amount must be more than the ${money.format(fee)} withdrawal fee`, { fee: money.toNumber(fee) });
+  }
+
+  return { fee, netAmount };
+};
+
+const sumSince = async (userId, since, session) => {
+  const [row] = await Withdrawal.aggregate([
+    { $match: { user: userId, status: { $in: COUNTED_STATUSES }, createdAt: { $gte: since } } },
+    { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }
+  ]).session(session);
+  return { total: row?.total ?? 0, count: row?.count ?? 0 };
+};
+
+// Check the user's daily and monthly totals (UTC calendar day and month). Run it inside
+// the withdrawal's transaction: the ledger update on the user makes concurrent requests
+// conflict and retry, so they cannot both slip under a limit.
+export const checkWithdrawalVelocity = async (userId, amount, policy, session = null) => {
+  if (policy.dailyLimit === null && policy.monthlyLimit === null && policy.dailyCount === null) {
+    return;
+  }
+
+  const now = new Date();
+  const startOfDay = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const startOfMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+  const [today, month] = await Promise.all([
+    sumSince(userId, startOfDay, session),
+    policy.monthlyLimit !== null ? sumSince(userId, startOfMonth, session) : null,
+  ]);
+
+  if (policy.dailyCount !== null && today.count >= policy.dailyCount) {
+    throw new WithdrawalPolicyError(`You can make at most ${policy.dailyCount} withdrawals per day`, { dailyCount: policy.dailyCount });
+  }
+
+  if (policy.dailyLimit !== null && money.compare(money.add(today.total, amount), policy.dailyLimit) > 0) {
+    throw new WithdrawalPolicyError(`Daily withdrawal limit is ${money.format(policy.dailyLimit)}`, {
+      dailyLimit: policy.dailyLimit,
+      remainingToday: money.toNumber(money.max(0, money.sub(policy.dailyLimit, today.total))),
+    });
+  }
+
+  if (month && money.compare(money.add(month.total, amount), policy.monthlyLimit) > 0) {
+    throw new WithdrawalPolicyError(`Monthly withdrawal limit is ${money.format(policy.monthlyLimit)}`, {
+      monthlyLimit: policy.monthlyLimit,
+      remainingThisMonth: money.toNumber(money.max(0, money.sub(policy.monthlyLimit, month.total))),
+    });
+  }
+};
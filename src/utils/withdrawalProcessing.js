@@ -0,0 +1,98 @@
+import User from '../models/User.js';
+import Withdrawal from '../models/Withdrawal.js';
+import Transaction from '../models/Transaction.js';
+import { ACCOUNTS, postEntry, postTransfer, userAccount } from './ledger.js';
+import { withTransaction } from './dbTransaction.js';
+import * as money from './money.js';
+
+// Settle a withdrawal as approved (paid out) or rejected (refunded). Shared by the admin
+// endpoint and payout batches. Only a withdrawal still in `fromStatus` changes, so a
+// double-submitted rejection cannot refund the user twice; returns null otherwise.
+export const processWithdrawal = async (withdrawal, { status, transactionHash, adminNotes, processedBy, fromStatus = 'pending' }) => {
+  const fee = money.toDecimal(withdrawal.fee);
+  const hasFee = money.isPositive(fee);
+
+  return withTransaction(async (session) => {
+    const processed = await Withdrawal.findOneAndUpdate(
+      { _id: withdrawal._id, status: fromStatus },
+      {
+        status,
+        transactionHash: transactionHash || withdrawal.transactionHash,
+        adminNotes: adminNotes || withdrawal.adminNotes,
+        approvedBy: processedBy,
+        approvedAt: new Date(),
+      },
+      { new: true, runValidators: true, session }
+    );
+    if (!processed) return null;
+
+    // If rejected, return balance to user
+    if (status === 'rejected') {
+      const transaction = await Transaction.updateForSource(
+        'withdrawal',
+        withdrawal._id,
+        { status: 'rejected', processedBy, processedAt: new Date() },
+        { session }
+      );
+
+      // The fee is refunded along with the rest of the amount
+      if (hasFee) {
+        await Transaction.updateForSource(
+          'withdrawal',
+          withdrawal._id,
+          { status: 'rejected', processedBy, processedAt: new Date() },
+          { session, type: 'withdrawal_fee' }
+        );
+      }
+
+      await postTransfer({
+        type: 'withdrawal_reversal',
+        debit: ACCOUNTS.PENDING_WITHDRAWALS,
+        credit: userAccount(withdrawal.user),
+        amount: withdrawal.amount,
+        transaction: transaction?._id,
+        postedBy: processedBy,
+        description: `Withdrawal ${withdrawal._id} rejected`,
+        session,
+      });
+    } else if (status === 'approved') {
+      const transaction = await Transaction.updateForSource(
+        'withdrawal',
+        withdrawal._id,
+        { status: 'completed', transactionHash, processedBy, processedAt: new Date() },
+        { session }
+      );
+
+      if (hasFee) {
+        await Transaction.updateForSource(
+          'withdrawal',
+          withdrawal._id,
+          { status: 'completed', processedBy, processedAt: new Date() },
+          { session, type: 'withdrawal_fee' }
+        );
+      }
+
+      // Paid out on-chain: the pending liability is settled from the treasury,
+      // except for the fee, which the platform keeps
+      await postEntry({
+        type: 'withdrawal_payout',
+        legs: [
+          { account: ACCOUNTS.PENDING_WITHDRAWALS, debit: withdrawal.amount },
+          { account: ACCOUNTS.TREASURY, credit: money.sub(withdrawal.amount, fee) },
+          ...(hasFee ? [{ account: ACCOUNTS.FEE_REVENUE, credit: fee }] : []),
+        ],
+        transaction: transaction?._id,
+        postedBy: processedBy,
+        description: `Withdrawal ${withdrawal._id} paid out`,
+        session,
+      });
+      await User.updateOne(
+        { _id: withdrawal.user },
+        { $inc: { totalWithdrawals: withdrawal.amount } },
+        { session }
+      );
+    }
+
+    return processed;
+  });
+};
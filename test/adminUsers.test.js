@@ -0,0 +1,92 @@
+import { after, afterEach, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../src/models/User.js';
+import JournalEntry from '../src/models/JournalEntry.js';
+import { updateUser } from '../src/controllers/adminController.js';
+import { ACCOUNTS, postTransfer, userAccount } from '../src/utils/ledger.js';
+import * as money from '../src/utils/money.js';
+import { callController, clearDatabase, startDatabase, stopDatabase } from './helpers.js';
+
+const credit = (userId, amount) => postTransfer({
+  type: 'deposit',
+  debit: ACCOUNTS.TREASURY,
+  credit: userAccount(userId),
+  amount,
+  counters: { totalDeposits: amount },
+});
+
+const createUser = async (balance) => {
+  const user = await User.create({
+    username: `user${new mongoose.Types.ObjectId()}`,
+    email: `${new mongoose.Types.ObjectId()}@example.com`,
+    password: 'password123',
+  });
+  await credit(user._id, balance);
+  return user;
+};
+
+const editUser = (user, body) => callController(updateUser, {
+  params: { id: user._id.toString() },
+  user: { _id: new mongoose.Types.ObjectId() },
+  body,
+});
+
+describe('admin user edits', () => {
+  before(startDatabase);
+  after(stopDatabase);
+  afterEach(clearDatabase);
+
+  it('saves the profile and posts the balance adjustment together', async () => {
+    const user = await createUser(100);
+
+    const response = await editUser(user, { username: 'renamed', balance: 80 });
+
+    assert.equal(response.status, 200);
+    const updated = await User.findById(user._id);
+    assert.equal(updated.username, 'renamed');
+    assert.equal(money.toNumber(updated.balance), 80);
+    assert.equal(await JournalEntry.countDocuments({ type: 'adjustment' }), 1);
+  });
+
+  for (const transactions of [true, false]) {
+    it(`refuses a stale balance edit without applying the profile ${transactions ? 'with' : 'without'} transactions`, async () => {
+      const user = await createUser(100);
+
+      // Another posting lands between the admin's read and the adjustment
+      const findById = User.findById;
+      User.findById = function (...args) {
+        User.findById = findById;
+        return findById.apply(this, args).then(async (found) => {
+          await credit(user._id, 5);
+          return found;
+        });
+      };
+      if (!transactions) process.env.MONGODB_TRANSACTIONS = 'false';
+
+      try {
+        const response = await editUser(user, { username: 'renamed', balance: 80 });
+        assert.equal(response.status, 409);
+      } finally {
+        User.findById = findById;
+        delete process.env.MONGODB_TRANSACTIONS;
+      }
+
+      const updated = await User.findById(user._id);
+      assert.equal(updated.username, user.username);
+      assert.equal(money.toNumber(updated.balance), 105);
+      assert.equal(await JournalEntry.countDocuments({ type: 'adjustment' }), 0);
+    });
+  }
+
+  it('refuses a negative balance without applying the profile', async () => {
+    const user = await createUser(100);
+
+    const response = await editUser(user, { username: 'renamed', balance: -1 });
+
+    assert.equal(response.status, 400);
+    const updated = await User.findById(user._id);
+    assert.equal(updated.username, user.username);
+    assert.equal(money.toNumber(updated.balance), 100);
+  });
+});
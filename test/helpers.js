@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+import { MongoMemoryReplSet } from 'mongodb-memory-server';
+import { settingsCache } from '../src/utils/cache.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+let replSet;
+
+// A single-node replica set, so the code under test runs with real transactions
+export const startDatabase = async () => {
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  await mongoose.connect(replSet.getUri());
+
+  // Unique indexes back several of the guarantees under test
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+};
+
+export const stopDatabase = async () => {
+  await mongoose.disconnect();
+  await replSet?.stop();
+};
+
+export const clearDatabase = async () => {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+  await settingsCache.clear();
+};
+
+// Run an Express handler with a minimal request and collect its response
+export const callController = (handler, req) => new Promise((resolve, reject) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set() {
+      return this;
+    },
+    json(body) {
+      resolve({ status: this.statusCode, body: JSON.parse(JSON.stringify(body ?? null)) });
+      return this;
+    },
+  };
+
+  Promise.resolve(handler({ body: {}, params: {}, query: {}, get: () => undefined, ...req }, res)).catch(reject);
+});
@@ -0,0 +1,230 @@
+import { after, afterEach, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import IdempotencyKey from '../src/models/IdempotencyKey.js';
+import { idempotency } from '../src/middleware/idempotency.js';
+import * as money from '../src/utils/money.js';
+import { CacheIdempotencyStore, MongoIdempotencyStore } from '../src/utils/idempotencyStore.js';
+import { clearDatabase, startDatabase, stopDatabase } from './helpers.js';
+
+const TTL_SECONDS = 60;
+
+// In-memory stand-in for the Upstash client: SET with NX/EX, GET and DEL on a movable clock
+class FakeRedis {
+  constructor() {
+    this.entries = new Map();
+    this.now = Date.now();
+  }
+
+  live(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= this.now) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  async set(key, value, { nx, ex } = {}) {
+    if (nx && this.live(key)) return null;
+    this.entries.set(key, { value, expiresAt: ex ? this.now + ex * 1000 : Infinity });
+    return 'OK';
+  }
+
+  async get(key) {
+    return this.live(key)?.value ?? null;
+  }
+
+  async del(key) {
+    return this.entries.delete(key) ? 1 : 0;
+  }
+}
+
+// The same contract holds for both stores; `expire` makes a stored key outlive its TTL
+const storeContract = (createStore, expire) => {
+  it('hands out a key once and reports it in flight until completed', async () => {
+    const store = createStore();
+
+    assert.equal((await store.begin('k', 'hash', TTL_SECONDS)).state, 'new');
+    assert.equal((await store.begin('k', 'hash', TTL_SECONDS)).state, 'processing');
+  });
+
+  it('reports a different payload under the same key as a mismatch', async () => {
+    const store = createStore();
+    await store.begin('k', 'hash', TTL_SECONDS);
+
+    assert.equal((await store.begin('k', 'other', TTL_SECONDS)).state, 'mismatch');
+  });
+
+  it('replays the stored response once completed', async () => {
+    const store = createStore();
+    await store.begin('k', 'hash', TTL_SECONDS);
+    await store.complete('k', 201, { ok: true }, TTL_SECONDS);
+
+    const { state, record } = await store.begin('k', 'hash', TTL_SECONDS);
+    assert.equal(state, 'completed');
+    assert.equal(record.responseStatus, 201);
+    assert.deepEqual(record.responseBody, { ok: true });
+  });
+
+  it('forgets a released key', async () => {
+    const store = createStore();
+    await store.begin('k', 'hash', TTL_SECONDS);
+    await store.release('k');
+
+    assert.equal((await store.begin('k', 'hash', TTL_SECONDS)).state, 'new');
+  });
+
+  it('treats an expired key as new', async () => {
+    const store = createStore();
+    await store.begin('k', 'hash', TTL_SECONDS);
+    await store.complete('k', 201, { ok: true }, TTL_SECONDS);
+    await expire(store, 'k');
+
+    assert.equal((await store.begin('k', 'other', TTL_SECONDS)).state, 'new');
+  });
+};
+
+// Run the middleware in front of `handler` with a minimal request; resolves with the response
+const callWithKey = ({ key, body = {}, user, ip = '10.0.0.1', path = '/deposits' }, handler) => new Promise((resolve, reject) => {
+  const headers = {};
+  const req = {
+    method: 'POST',
+    baseUrl: '/api/user',
+    path,
+    originalUrl: `/api/user${path}`,
+    body,
+    user,
+    ip,
+    app: { get: (setting) => (setting === 'json replacer' ? money.moneyJsonReplacer : undefined) },
+    get: (name) => (name.toLowerCase() === 'idempotency-key' ? key : undefined),
+  };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      headers[name] = value;
+      return this;
+    },
+    json(payload) {
+      resolve({ status: this.statusCode, body: payload, headers });
+      return this;
+    },
+  };
+
+  Promise.resolve(idempotency(req, res, () => handler(req, res))).catch(reject);
+});
+
+// Responses are stored in the background; wait until no key is left in flight
+const waitForStored = async () => {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    if (!(await IdempotencyKey.exists({ status: 'processing' }))) return;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Idempotency key was never stored');
+};
+
+describe('Redis idempotency store', () => {
+  storeContract(
+    () => new CacheIdempotencyStore(new FakeRedis()),
+    async (store) => {
+      store.redis.now += (TTL_SECONDS + 1) * 1000;
+    }
+  );
+});
+
+describe('idempotency', () => {
+  before(startDatabase);
+  after(stopDatabase);
+  afterEach(clearDatabase);
+
+  describe('Mongo store', () => {
+    storeContract(
+      () => new MongoIdempotencyStore(),
+      (store, key) => IdempotencyKey.updateOne({ scopedKey: key }, { expiresAt: new Date(Date.now() - 1000) })
+    );
+  });
+
+  describe('middleware', () => {
+    const user = { _id: '64b000000000000000000001' };
+
+    it('replays the first response without running the handler again', async () => {
+      let calls = 0;
+      const handler = (req, res) => {
+        calls++;
+        res.status(201).json({ id: calls });
+      };
+
+      const first = await callWithKey({ key: 'a', body: { amount: 10 }, user }, handler);
+      await waitForStored();
+      const second = await callWithKey({ key: 'a', body: { amount: 10 }, user }, handler);
+
+      assert.equal(calls, 1);
+      assert.equal(second.status, 201);
+      assert.deepEqual(second.body, first.body);
+      assert.equal(second.headers['Idempotent-Replayed'], 'true');
+    });
+
+    it('replays amounts the way the app serializes them', async () => {
+      const handler = (req, res) => res.status(201).json({ amount: money.toDecimal('12.5') });
+
+      await callWithKey({ key: 'a', body: { amount: 12.5 }, user }, handler);
+      await waitForStored();
+      const replayed = await callWithKey({ key: 'a', body: { amount: 12.5 }, user }, handler);
+
+      assert.equal(replayed.headers['Idempotent-Replayed'], 'true');
+      assert.deepEqual(replayed.body, { amount: 12.5 });
+    });
+
+    it('answers 409 while the first request is still running', async () => {
+      let finish;
+      const pending = callWithKey({ key: 'a', body: { amount: 10 }, user }, (req, res) => {
+        finish = () => res.status(201).json({ ok: true });
+      });
+
+      const concurrent = await callWithKey({ key: 'a', body: { amount: 10 }, user }, () => assert.fail('handler ran twice'));
+      assert.equal(concurrent.status, 409);
+
+      finish();
+      assert.equal((await pending).status, 201);
+    });
+
+    it('answers 422 when the key is reused with a different payload', async () => {
+      await callWithKey({ key: 'a', body: { amount: 10 }, user }, (req, res) => res.status(201).json({ ok: true }));
+      await waitForStored();
+
+      const reused = await callWithKey({ key: 'a', body: { amount: 20 }, user }, () => assert.fail('handler ran'));
+      assert.equal(reused.status, 422);
+    });
+
+    it('releases the key after a server error so the client can retry', async () => {
+      await callWithKey({ key: 'a', body: { amount: 10 }, user }, (req, res) => res.status(500).json({ message: 'boom' }));
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const retried = await callWithKey({ key: 'a', body: { amount: 10 }, user }, (req, res) => res.status(201).json({ ok: true }));
+      assert.equal(retried.status, 201);
+    });
+
+    it('keeps public callers naming different accounts apart', async () => {
+      const handler = (req, res) => res.status(201).json({ userId: req.body.userId });
+
+      const first = await callWithKey({ key: 'a', body: { userId: 'one', amount: 60 }, path: '/registration-deposit' }, handler);
+      const second = await callWithKey({ key: 'a', body: { userId: 'two', amount: 60 }, path: '/registration-deposit' }, handler);
+
+      assert.deepEqual(first.body, { userId: 'one' });
+      assert.deepEqual(second.body, { userId: 'two' });
+    });
+
+    it('keeps anonymous public callers apart by IP', async () => {
+      const handler = (req, res) => res.status(201).json({ ip: req.ip });
+
+      const first = await callWithKey({ key: 'a', body: { amount: 60 }, ip: '10.0.0.1' }, handler);
+      const second = await callWithKey({ key: 'a', body: { amount: 60 }, ip: '10.0.0.2' }, handler);
+
+      assert.deepEqual(first.body, { ip: '10.0.0.1' });
+      assert.deepEqual(second.body, { ip: '10.0.0.2' });
+    });
+  });
+});
@@ -0,0 +1,42 @@
+import { after, afterEach, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../src/models/User.js';
+import TreeNode from '../src/models/TreeNode.js';
+import LevelAward from '../src/models/LevelAward.js';
+import JournalEntry from '../src/models/JournalEntry.js';
+import { evaluateLevelRewards } from '../src/utils/levelRewards.js';
+import * as money from '../src/utils/money.js';
+import { clearDatabase, startDatabase, stopDatabase } from './helpers.js';
+
+// A user with one active member in each leg, which meets level 1 of the built-in plan
+const createQualifiedUser = async () => {
+  const user = await User.create({
+    username: `user${new mongoose.Types.ObjectId()}`,
+    email: `${new mongoose.Types.ObjectId()}@example.com`,
+    password: 'password123',
+  });
+  await TreeNode.create({ user: user._id, leftActiveCount: 1, rightActiveCount: 1, leftCount: 1, rightCount: 1 });
+  return user;
+};
+
+describe('level rewards', () => {
+  before(startDatabase);
+  after(stopDatabase);
+  afterEach(clearDatabase);
+
+  it('awards a level once under concurrent evaluations without the unique index', async () => {
+    // Deployments that never ran CREATE_INDEXES_ON_START have no (user, level) index
+    await LevelAward.collection.dropIndexes();
+    const user = await createQualifiedUser();
+
+    await Promise.all(Array.from({ length: 5 }, () => evaluateLevelRewards(user._id)));
+
+    assert.equal(await LevelAward.countDocuments({ user: user._id, level: 1 }), 1);
+    assert.equal(await JournalEntry.countDocuments({ type: 'level_reward' }), 1);
+
+    const updated = await User.findById(user._id);
+    assert.deepEqual([...updated.achievedLevels], [1]);
+    assert.equal(money.toNumber(updated.balance), 11);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as money from '../src/utils/money.js';
+
+describe('money', () => {
+  describe('parsing', () => {
+    it('reads numbers, strings, exponents and Decimal128 values into minor units', () => {
+      assert.equal(money.toMinor(12.5), 12500000n);
+      assert.equal(money.toMinor('0.1'), 100000n);
+      assert.equal(money.toMinor('-3'), -3000000n);
+      assert.equal(money.toMinor('1.5e3'), 1500000000n);
+      assert.equal(money.toMinor(1e-7), 0n);
+      assert.equal(money.toMinor(money.toDecimal('7.25')), 7250000n);
+      assert.equal(money.toMinor(''), 0n);
+      assert.equal(money.toMinor(null), 0n);
+    });
+
+    it('rejects malformed amounts', () => {
+      for (const value of ['abc', '.', '1.2.3', '--1', '1e', Infinity, NaN]) {
+        assert.throws(() => money.toMinor(value), /Invalid money amount/, String(value));
+      }
+    });
+
+    it('rejects oversized input before doing any arithmetic on it', () => {
+      const started = Date.now();
+
+      assert.throws(() => money.toMinor('1e50000000'), /Invalid money amount/);
+      assert.throws(() => money.toMinor('9'.repeat(41)), /Invalid money amount/);
+      assert.equal(money.toMinor('1e-50000000'), 0n);
+
+      assert.ok(Date.now() - started < 1000);
+    });
+
+    it('only accepts positive client amounts', () => {
+      assert.equal(money.parseAmount('25.5').toString(), '25.500000');
+      assert.equal(money.parseAmount(0), null);
+      assert.equal(money.parseAmount('-5'), null);
+      assert.equal(money.parseAmount('0.0000001'), null);
+      assert.equal(money.parseAmount('1e50000000'), null);
+      assert.equal(money.parseAmount('ten'), null);
+    });
+  });
+
+  describe('rounding', () => {
+    it('rounds half away from zero at six decimals', () => {
+      assert.equal(money.toFixedString('0.0000005'), '0.000001');
+      assert.equal(money.toFixedString('-0.0000005'), '-0.000001');
+      assert.equal(money.toFixedString('0.00000049'), '0.000000');
+      assert.equal(money.toFixedString('2.345', 2), '2.35');
+      assert.equal(money.toFixedString('-2.345', 2), '-2.35');
+    });
+
+    it('does exact decimal arithmetic', () => {
+      assert.equal(money.add(0.1, 0.2).toString(), '0.300000');
+      assert.equal(money.sub('10', '0.000001').toString(), '9.999999');
+      assert.equal(money.mul('3', '0.025').toString(), '0.075000');
+      assert.equal(money.compare('1.000001', 1), 1);
+      assert.equal(money.compare(money.toDecimal(1), '1'), 0);
+    });
+  });
+
+  describe('percentOf', () => {
+    it('takes a percentage and rounds to money precision', () => {
+      assert.equal(money.percentOf(100, 2.5).toString(), '2.500000');
+      assert.equal(money.percentOf('33.33', 10).toString(), '3.333000');
+      assert.equal(money.percentOf('0.000003', 50).toString(), '0.000002');
+      assert.equal(money.percentOf(100, 0).toString(), '0.000000');
+    });
+  });
+
+  describe('format', () => {
+    it('renders dollars with two decimals by default', () => {
+      assert.equal(money.format(12.5), '$12.50');
+      assert.equal(money.format('0.005'), '$0.01');
+      assert.equal(money.format(-3), '-$3.00');
+      assert.equal(money.format('1.234567', 4), '$1.2346');
+    });
+  });
+
+  describe('moneyJsonReplacer', () => {
+    it('serializes Decimal128 amounts as numbers and leaves other values alone', () => {
+      const payload = {
+        amount: money.toDecimal('12.5'),
+        nested: { fees: [money.toDecimal('0.000001')] },
+        note: '12.5',
+        count: 3,
+      };
+
+      assert.equal(
+        JSON.stringify(payload, money.moneyJsonReplacer),
+        '{"amount":12.5,"nested":{"fees":[0.000001]},"note":"12.5","count":3}'
+      );
+    });
+  });
+});
@@ -0,0 +1,78 @@
+import { after, afterEach, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../src/models/User.js';
+import Deposit from '../src/models/Deposit.js';
+import Withdrawal from '../src/models/Withdrawal.js';
+import Transaction from '../src/models/Transaction.js';
+import ReconciliationDiscrepancy from '../src/models/ReconciliationDiscrepancy.js';
+import { ACCOUNTS, deriveUserBalance, postTransfer, userAccount } from '../src/utils/ledger.js';
+import { runReconciliation } from '../src/utils/reconciliation.js';
+import * as money from '../src/utils/money.js';
+import { clearDatabase, startDatabase, stopDatabase } from './helpers.js';
+
+const WALLET = '0x1111111111111111111111111111111111111111';
+
+// A user whose balance was built before the ledger existed: the records are there, the journal is empty
+const createPreLedgerUser = async () => {
+  const user = await User.create({
+    username: `user${new mongoose.Types.ObjectId()}`,
+    email: `${new mongoose.Types.ObjectId()}@example.com`,
+    password: 'password123',
+    balance: 120,
+    totalDeposits: 100,
+    totalWithdrawals: 30,
+  });
+
+  await Deposit.create({ user: user._id, amount: 100, transactionHash: '0x' + 'cd'.repeat(32), walletAddress: WALLET, status: 'approved' });
+  await Withdrawal.create({ user: user._id, amount: 30, walletAddress: WALLET, status: 'approved' });
+  await Transaction.create({ user: user._id, type: 'daily_reward', amount: 50, status: 'completed' });
+
+  return user;
+};
+
+// What migrateLedgerOpeningBalances.js posts for each user
+const postOpeningBalance = async (user) => {
+  const difference = money.sub(user.balance, await deriveUserBalance(user._id));
+  await postTransfer({
+    type: 'opening_balance',
+    debit: ACCOUNTS.OPENING_BALANCES,
+    credit: userAccount(user._id),
+    amount: difference,
+    applyToBalance: false,
+    description: 'Opening balance carried over from pre-ledger history',
+  });
+};
+
+describe('reconciliation', () => {
+  before(startDatabase);
+  after(stopDatabase);
+  afterEach(clearDatabase);
+
+  it('finds nothing to repair for a freshly migrated user', async () => {
+    const user = await createPreLedgerUser();
+    await postOpeningBalance(user);
+
+    assert.equal(money.compare(await deriveUserBalance(user._id), 120), 0);
+
+    const { run } = await runReconciliation();
+
+    assert.equal(run.status, 'completed');
+    assert.equal(run.usersChecked, 1);
+    assert.equal(run.discrepancyCount, 0);
+    assert.equal(await ReconciliationDiscrepancy.countDocuments({ user: user._id }), 0);
+  });
+
+  it('still reports a balance that no record explains', async () => {
+    const user = await createPreLedgerUser();
+    await postOpeningBalance(user);
+    await User.updateOne({ _id: user._id }, { $inc: { balance: 5 } });
+
+    const { run } = await runReconciliation();
+
+    assert.equal(run.discrepancyCount, 1);
+    const discrepancy = await ReconciliationDiscrepancy.findOne({ user: user._id });
+    assert.equal(money.toNumber(discrepancy.expected.balance), 120);
+    assert.equal(money.toNumber(discrepancy.stored.balance), 125);
+  });
+});
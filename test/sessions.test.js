@@ -0,0 +1,61 @@
+import { after, afterEach, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Session from '../src/models/Session.js';
+import { refreshSession, SessionError, startSession } from '../src/utils/sessions.js';
+import { clearDatabase, startDatabase, stopDatabase } from './helpers.js';
+
+const req = { get: () => 'test-agent', ip: '127.0.0.1', body: {} };
+
+const sessionIdOf = (refreshToken) => refreshToken.split('.')[0];
+
+// Move the last rotation out of the grace window
+const endGraceWindow = (refreshToken) => Session.collection.updateOne(
+  { _id: new mongoose.Types.ObjectId(sessionIdOf(refreshToken)) },
+  { $set: { lastRefreshedAt: new Date(Date.now() - 60 * 1000) } }
+);
+
+describe('refresh token rotation', () => {
+  before(startDatabase);
+  after(stopDatabase);
+  afterEach(clearDatabase);
+
+  it('revokes the session when any superseded token is replayed', async () => {
+    const first = await startSession(new mongoose.Types.ObjectId(), 'User', req);
+
+    // Rotate well past any fixed-size history of old tokens
+    let current = first;
+    for (let i = 0; i < 15; i++) {
+      current = await refreshSession(current.refreshToken, req);
+    }
+    await endGraceWindow(current.refreshToken);
+
+    await assert.rejects(refreshSession(first.refreshToken, req), { message: /reuse detected/ });
+
+    const session = await Session.findById(sessionIdOf(first.refreshToken));
+    assert.equal(session.revokedReason, 'reuse_detected');
+    await assert.rejects(refreshSession(current.refreshToken, req), SessionError);
+  });
+
+  it('only refuses the token rotated last within the grace window', async () => {
+    const first = await startSession(new mongoose.Types.ObjectId(), 'User', req);
+    const second = await refreshSession(first.refreshToken, req);
+
+    await assert.rejects(refreshSession(first.refreshToken, req), { message: /already been used/ });
+
+    const session = await Session.findById(sessionIdOf(first.refreshToken));
+    assert.equal(session.revokedAt, null);
+    assert.ok(await refreshSession(second.refreshToken, req));
+  });
+
+  it('refuses a token with a forged secret without revoking', async () => {
+    const first = await startSession(new mongoose.Types.ObjectId(), 'User', req);
+    await refreshSession(first.refreshToken, req);
+    const [sessionId] = first.refreshToken.split('.');
+
+    await assert.rejects(refreshSession(`${sessionId}.0.forged`, req), { message: 'Invalid refresh token' });
+
+    const session = await Session.findById(sessionId);
+    assert.equal(session.revokedAt, null);
+  });
+});
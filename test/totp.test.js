@@ -0,0 +1,121 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  decryptSecret,
+  encryptSecret,
+  generateBackupCodes,
+  generateTotpSecret,
+  hashBackupCode,
+  matchTotp,
+  provisioningUri,
+  totpCode,
+  totpCounter,
+} from '../src/utils/totp.js';
+
+// The ASCII secret "12345678901234567890" of RFC 4226 appendix D and RFC 6238 appendix B, base32 encoded
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const STEP_MS = 30 * 1000;
+
+describe('totp', () => {
+  it('matches the RFC 4226 HOTP test values', () => {
+    const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+
+    // Counter c is the time step starting at c * 30 seconds
+    expected.forEach((code, counter) => {
+      assert.equal(totpCode(RFC_SECRET, counter * STEP_MS), code, `counter ${counter}`);
+    });
+  });
+
+  it('matches the RFC 6238 SHA1 test values truncated to six digits', () => {
+    const vectors = [
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1111111111, '14050471'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037'],
+      [20000000000, '65353130'],
+    ];
+
+    for (const [seconds, code] of vectors) {
+      assert.equal(totpCode(RFC_SECRET, seconds * 1000), code.slice(-6), `T = ${seconds}`);
+    }
+  });
+
+  it('counts 30 second steps', () => {
+    assert.equal(totpCounter(0), 0);
+    assert.equal(totpCounter(29999), 0);
+    assert.equal(totpCounter(30000), 1);
+    assert.equal(totpCounter(1111111109 * 1000), 37037036);
+  });
+
+  describe('matchTotp', () => {
+    const time = 1234567890 * 1000;
+    const current = totpCounter(time);
+
+    it('accepts the current code and returns its time step', () => {
+      assert.equal(matchTotp(RFC_SECRET, '005924', { time }), current);
+    });
+
+    it('tolerates one step of clock drift either way by default', () => {
+      assert.equal(matchTotp(RFC_SECRET, totpCode(RFC_SECRET, time - STEP_MS), { time }), current - 1);
+      assert.equal(matchTotp(RFC_SECRET, totpCode(RFC_SECRET, time + STEP_MS), { time }), current + 1);
+    });
+
+    it('refuses codes outside the window', () => {
+      const twoStepsBehind = totpCode(RFC_SECRET, time - 2 * STEP_MS);
+
+      assert.equal(matchTotp(RFC_SECRET, twoStepsBehind, { time }), null);
+      assert.equal(matchTotp(RFC_SECRET, twoStepsBehind, { time, window: 2 }), current - 2);
+      assert.equal(matchTotp(RFC_SECRET, totpCode(RFC_SECRET, time - STEP_MS), { time, window: 0 }), null);
+    });
+
+    it('ignores spaces and refuses anything but six digits', () => {
+      assert.equal(matchTotp(RFC_SECRET, '005 924', { time }), current);
+      for (const code of ['05924', '0059240', 'abcdef', '', null, undefined]) {
+        assert.equal(matchTotp(RFC_SECRET, code, { time }), null, String(code));
+      }
+    });
+  });
+
+  it('generates base32 secrets that produce codes', () => {
+    const secret = generateTotpSecret();
+
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    const time = Date.now();
+    assert.equal(matchTotp(secret, totpCode(secret, time), { time }), totpCounter(time));
+  });
+
+  it('builds an otpauth URI with percent-encoded labels', () => {
+    const uri = provisioningUri({ secret: RFC_SECRET, account: 'jo doe@example.com', issuer: 'Hatra Suci' });
+
+    assert.equal(
+      uri,
+      `otpauth://totp/Hatra%20Suci:jo%20doe%40example.com?secret=${RFC_SECRET}&issuer=Hatra%20Suci&algorithm=SHA1&digits=6&period=30`
+    );
+  });
+
+  it('encrypts secrets so only this server can read them back', () => {
+    process.env.TWO_FACTOR_ENCRYPTION_KEY = 'test-key';
+    try {
+      const stored = encryptSecret(RFC_SECRET);
+
+      assert.notEqual(stored, RFC_SECRET);
+      assert.notEqual(encryptSecret(RFC_SECRET), stored);
+      assert.equal(decryptSecret(stored), RFC_SECRET);
+
+      process.env.TWO_FACTOR_ENCRYPTION_KEY = 'other-key';
+      assert.throws(() => decryptSecret(stored));
+    } finally {
+      delete process.env.TWO_FACTOR_ENCRYPTION_KEY;
+    }
+  });
+
+  it('hashes backup codes regardless of case, spaces and dashes', () => {
+    const { codes, hashes } = generateBackupCodes();
+
+    assert.equal(codes.length, 10);
+    assert.equal(new Set(codes).size, 10);
+    codes.forEach(code => assert.match(code, /^[a-z2-7]{5}-[a-z2-7]{5}$/));
+    assert.equal(hashBackupCode(codes[0].toUpperCase().replace('-', ' ')), hashes[0]);
+  });
+});
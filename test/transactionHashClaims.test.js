@@ -0,0 +1,125 @@
+import { after, afterEach, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../src/models/User.js';
+import Deposit from '../src/models/Deposit.js';
+import TransactionHashClaim from '../src/models/TransactionHashClaim.js';
+import Settings from '../src/models/Settings.js';
+import { claimTransactionHash, DuplicateTransactionHashError } from '../src/utils/transactionHashClaims.js';
+import { expireStaleDeposits, processDeposit } from '../src/utils/depositProcessing.js';
+import { submitRegistrationDeposit } from '../src/controllers/authController.js';
+import { callController, clearDatabase, startDatabase, stopDatabase } from './helpers.js';
+
+const HASH = '0x' + 'ef'.repeat(32);
+const WALLET = '0x1111111111111111111111111111111111111111';
+
+const setExpiryHours = (hours) => Settings.create({ key: 'depositClaimExpiryHours', value: hours });
+
+// A pending deposit submitted long ago whose transaction the chain does not know
+const createStaleDeposit = async (user, verification = { status: 'not_found' }) => {
+  const deposit = await Deposit.create({ user, amount: 50, transactionHash: HASH, walletAddress: WALLET, verification });
+  await Deposit.collection.updateOne({ _id: deposit._id }, { $set: { createdAt: new Date('2020-01-01') } });
+  await claimTransactionHash({ hash: HASH, deposit: deposit._id, user });
+  await TransactionHashClaim.collection.updateOne({ deposit: deposit._id }, { $set: { createdAt: new Date('2020-01-01') } });
+  return deposit;
+};
+
+describe('transaction hash claims', () => {
+  before(startDatabase);
+  after(stopDatabase);
+  afterEach(clearDatabase);
+
+  it('does not hand a stale claim over to another submission', async () => {
+    const owner = new mongoose.Types.ObjectId();
+    const deposit = await createStaleDeposit(owner);
+
+    await assert.rejects(
+      claimTransactionHash({ hash: HASH, deposit: new mongoose.Types.ObjectId(), user: new mongoose.Types.ObjectId() }),
+      DuplicateTransactionHashError
+    );
+
+    assert.equal((await Deposit.findById(deposit._id)).status, 'pending');
+  });
+
+  it('releases an expired hash only to the user who submitted it', async () => {
+    const owner = new mongoose.Types.ObjectId();
+    const deposit = await createStaleDeposit(owner);
+    await setExpiryHours(72);
+
+    await expireStaleDeposits();
+
+    assert.equal((await Deposit.findById(deposit._id)).status, 'rejected');
+    const released = await TransactionHashClaim.findOne({ deposit: deposit._id });
+    assert.equal(released.status, 'released');
+    assert.equal(released.releaseReason, 'expired');
+
+    await assert.rejects(
+      claimTransactionHash({ hash: HASH, deposit: new mongoose.Types.ObjectId(), user: new mongoose.Types.ObjectId() }),
+      DuplicateTransactionHashError
+    );
+
+    const resubmitted = new mongoose.Types.ObjectId();
+    const claim = await claimTransactionHash({ hash: HASH, deposit: resubmitted, user: owner });
+    assert.ok(claim.deposit.equals(resubmitted));
+  });
+
+  it('never expires deposits unless an expiry is configured', async () => {
+    const deposit = await createStaleDeposit(new mongoose.Types.ObjectId());
+
+    await expireStaleDeposits();
+
+    assert.equal((await Deposit.findById(deposit._id)).status, 'pending');
+  });
+
+  it('leaves deposits held for manual review to admins', async () => {
+    const deposit = await createStaleDeposit(new mongoose.Types.ObjectId(), { status: 'mismatch' });
+    await setExpiryHours(72);
+
+    await expireStaleDeposits();
+
+    assert.equal((await Deposit.findById(deposit._id)).status, 'pending');
+  });
+
+  it('keeps a deposit pending when approval finds its hash taken without transactions', async () => {
+    await createStaleDeposit(new mongoose.Types.ObjectId());
+    const deposit = await Deposit.create({ user: new mongoose.Types.ObjectId(), amount: 50, transactionHash: HASH, walletAddress: WALLET });
+
+    process.env.MONGODB_TRANSACTIONS = 'false';
+    try {
+      await assert.rejects(
+        processDeposit(deposit, { status: 'approved', adminNotes: 'looks fine', processedBy: new mongoose.Types.ObjectId() }),
+        DuplicateTransactionHashError
+      );
+    } finally {
+      delete process.env.MONGODB_TRANSACTIONS;
+    }
+
+    const unchanged = await Deposit.findById(deposit._id);
+    assert.equal(unchanged.status, 'pending');
+    assert.equal(unchanged.adminNotes, '');
+    assert.equal(unchanged.approvedBy, undefined);
+  });
+
+  it('leaves a registration unpaid when its hash is refused without transactions', async () => {
+    await createStaleDeposit(new mongoose.Types.ObjectId());
+    const user = await User.create({
+      username: `user${new mongoose.Types.ObjectId()}`,
+      email: `${new mongoose.Types.ObjectId()}@example.com`,
+      password: 'password123',
+    });
+
+    process.env.MONGODB_TRANSACTIONS = 'false';
+    try {
+      const response = await callController(submitRegistrationDeposit, {
+        body: { userId: user._id.toString(), transactionHash: HASH, amount: 60 },
+      });
+      assert.equal(response.status, 409);
+    } finally {
+      delete process.env.MONGODB_TRANSACTIONS;
+    }
+
+    const updated = await User.findById(user._id);
+    assert.equal(updated.registrationDepositPaid, false);
+    assert.equal(await Deposit.countDocuments({ user: user._id }), 0);
+  });
+});
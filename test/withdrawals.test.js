@@ -0,0 +1,191 @@
+import { after, afterEach, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import User from '../src/models/User.js';
+import Deposit from '../src/models/Deposit.js';
+import Withdrawal from '../src/models/Withdrawal.js';
+import Transaction from '../src/models/Transaction.js';
+import JournalEntry from '../src/models/JournalEntry.js';
+import PayoutBatch from '../src/models/PayoutBatch.js';
+import { createWithdrawal } from '../src/controllers/userController.js';
+import { createPayoutBatch } from '../src/controllers/payoutBatchController.js';
+import { ACCOUNTS, deriveUserBalance, getTrialBalance, postTransfer, userAccount } from '../src/utils/ledger.js';
+import { processWithdrawal } from '../src/utils/withdrawalProcessing.js';
+import { processDeposit } from '../src/utils/depositProcessing.js';
+import * as money from '../src/utils/money.js';
+import { callController, clearDatabase, startDatabase, stopDatabase } from './helpers.js';
+
+const WALLET = '0x1111111111111111111111111111111111111111';
+
+// An account old enough to be past the withdrawal lock, funded through the ledger
+const createFundedUser = async (balance) => {
+  const user = await User.create({
+    username: `user${new mongoose.Types.ObjectId()}`,
+    email: `${new mongoose.Types.ObjectId()}@example.com`,
+    password: 'password123',
+    isActive: true,
+    registrationDepositVerified: true,
+  });
+  // createdAt is immutable through Mongoose, so it is backdated on the collection
+  await User.collection.updateOne({ _id: user._id }, { $set: { createdAt: new Date('2020-01-01') } });
+
+  if (balance > 0) {
+    await postTransfer({
+      type: 'deposit',
+      debit: ACCOUNTS.TREASURY,
+      credit: userAccount(user._id),
+      amount: balance,
+      counters: { totalDeposits: balance },
+    });
+  }
+  return User.findById(user._id);
+};
+
+const requestWithdrawal = (user, amount) => callController(createWithdrawal, {
+  user,
+  body: { amount, walletAddress: WALLET },
+});
+
+// The stored balance is a projection of the journal, and the journal as a whole balances
+const assertLedgerConsistent = async (userId) => {
+  const user = await User.findById(userId);
+  const derived = await deriveUserBalance(userId);
+  assert.equal(money.compare(user.balance, derived), 0, `stored ${user.balance} != derived ${derived}`);
+  assert.ok(!money.isNegative(user.balance), 'balance went negative');
+
+  const accounts = await getTrialBalance();
+  const net = accounts.reduce((sum, account) => money.add(sum, account.credits, money.negate(account.debits)), money.toDecimal(0));
+  assert.ok(money.isZero(net), `trial balance is off by ${net}`);
+  return user;
+};
+
+describe('withdrawal and approval concurrency', () => {
+  before(startDatabase);
+  after(stopDatabase);
+  afterEach(clearDatabase);
+
+  it('never overdraws when many withdrawals race for the same balance', async () => {
+    const user = await createFundedUser(100);
+
+    const responses = await Promise.all(Array.from({ length: 8 }, () => requestWithdrawal(user, 30)));
+
+    const accepted = responses.filter(response => response.status === 201);
+    const refused = responses.filter(response => response.status !== 201);
+    assert.equal(accepted.length, 3);
+    assert.ok(refused.every(response => response.status === 400));
+
+    const updated = await assertLedgerConsistent(user._id);
+    assert.equal(money.toNumber(updated.balance), 10);
+    assert.equal(await Withdrawal.countDocuments({ user: user._id }), 3);
+    assert.equal(await JournalEntry.countDocuments({ type: 'withdrawal_request' }), 3);
+    assert.equal(await Transaction.countDocuments({ user: user._id, type: 'withdrawal' }), 3);
+  });
+
+  it('pays out a withdrawal once when it is approved concurrently', async () => {
+    const user = await createFundedUser(100);
+    const { body } = await requestWithdrawal(user, 40);
+    const withdrawal = await Withdrawal.findById(body._id);
+    const adminId = new mongoose.Types.ObjectId();
+
+    const results = await Promise.all(Array.from({ length: 5 }, () => (
+      processWithdrawal(withdrawal, { status: 'approved', transactionHash: '0xabc', processedBy: adminId })
+    )));
+
+    assert.equal(results.filter(Boolean).length, 1);
+    assert.equal(await JournalEntry.countDocuments({ type: 'withdrawal_payout' }), 1);
+
+    const updated = await assertLedgerConsistent(user._id);
+    assert.equal(money.toNumber(updated.balance), 60);
+    assert.equal(money.toNumber(updated.totalWithdrawals), 40);
+  });
+
+  it('settles a withdrawal once when approval and rejection race', async () => {
+    const user = await createFundedUser(100);
+    const { body } = await requestWithdrawal(user, 40);
+    const withdrawal = await Withdrawal.findById(body._id);
+    const adminId = new mongoose.Types.ObjectId();
+
+    const results = await Promise.all([
+      processWithdrawal(withdrawal, { status: 'approved', transactionHash: '0xabc', processedBy: adminId }),
+      processWithdrawal(withdrawal, { status: 'rejected', processedBy: adminId }),
+      processWithdrawal(withdrawal, { status: 'rejected', processedBy: adminId }),
+    ]);
+
+    const winners = results.filter(Boolean);
+    assert.equal(winners.length, 1);
+
+    const settlements = await JournalEntry.countDocuments({ type: { $in: ['withdrawal_payout', 'withdrawal_reversal'] } });
+    assert.equal(settlements, 1);
+
+    const updated = await assertLedgerConsistent(user._id);
+    assert.equal(money.toNumber(updated.balance), winners[0].status === 'approved' ? 60 : 100);
+  });
+
+  it('credits a deposit once when it is approved concurrently', async () => {
+    const user = await createFundedUser(0);
+    const deposit = await Deposit.create({
+      user: user._id,
+      amount: 75,
+      transactionHash: '0x' + 'ab'.repeat(32),
+      walletAddress: WALLET,
+    });
+    const adminId = new mongoose.Types.ObjectId();
+
+    const results = await Promise.all(Array.from({ length: 5 }, () => (
+      processDeposit(deposit, { status: 'approved', processedBy: adminId })
+    )));
+
+    assert.equal(results.filter(Boolean).length, 1);
+    assert.equal(await JournalEntry.countDocuments({ type: 'deposit' }), 1);
+
+    const updated = await assertLedgerConsistent(user._id);
+    assert.equal(money.toNumber(updated.balance), 75);
+  });
+
+  it('undoes the debit when the withdrawal cannot be recorded without transactions', async () => {
+    const user = await createFundedUser(100);
+    const create = Withdrawal.create;
+    process.env.MONGODB_TRANSACTIONS = 'false';
+    Withdrawal.create = async () => {
+      throw new Error('insert failed');
+    };
+
+    try {
+      const response = await requestWithdrawal(user, 30);
+      assert.equal(response.status, 500);
+    } finally {
+      Withdrawal.create = create;
+      delete process.env.MONGODB_TRANSACTIONS;
+    }
+
+    const updated = await assertLedgerConsistent(user._id);
+    assert.equal(money.toNumber(updated.balance), 100);
+    assert.equal(await Withdrawal.countDocuments({ user: user._id }), 0);
+    assert.equal(await Transaction.countDocuments({ user: user._id, type: 'withdrawal' }), 0);
+  });
+
+  it('hands withdrawals back when their payout batch cannot be created without transactions', async () => {
+    const user = await createFundedUser(100);
+    const { body } = await requestWithdrawal(user, 30);
+    const create = PayoutBatch.create;
+    process.env.MONGODB_TRANSACTIONS = 'false';
+    PayoutBatch.create = async () => {
+      throw new Error('insert failed');
+    };
+
+    try {
+      const response = await callController(createPayoutBatch, {
+        user: { _id: new mongoose.Types.ObjectId() },
+        body: { name: 'Batch', withdrawalIds: [body._id.toString()] },
+      });
+      assert.equal(response.status, 500);
+    } finally {
+      PayoutBatch.create = create;
+      delete process.env.MONGODB_TRANSACTIONS;
+    }
+
+    const withdrawal = await Withdrawal.findById(body._id);
+    assert.equal(withdrawal.status, 'pending');
+    assert.equal(withdrawal.payoutBatch, undefined);
+  });
+});